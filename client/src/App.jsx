@@ -1,12 +1,15 @@
 import React from 'react';
-import { Routes, Route } from 'react-router-dom';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import Generator from './pages/Generator';
 import LandingPage from './pages/LandingPage';
+import Login from './pages/Login';
+import { getToken } from './auth';
 
 function App() {
   return (
     <Routes>
-      <Route path="/" element={<Generator />} />
+      <Route path="/" element={getToken() ? <Generator /> : <Navigate to="/login" replace />} />
+      <Route path="/login" element={<Login />} />
       <Route path="/v/:slug" element={<LandingPage />} />
     </Routes>
   );
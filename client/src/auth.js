@@ -0,0 +1,49 @@
+import axios from 'axios';
+
+// Session token from /api/auth, sent as a bearer token with every API request
+const TOKEN_KEY = 'vsl_token';
+
+// Workspace the campaign, lead and video requests work in (X-Workspace-Id)
+const WORKSPACE_KEY = 'vsl_workspace';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+    setWorkspaceId(null);
+  }
+};
+
+export const getWorkspaceId = () => localStorage.getItem(WORKSPACE_KEY);
+
+export const setWorkspaceId = (workspaceId) => {
+  if (workspaceId) {
+    localStorage.setItem(WORKSPACE_KEY, workspaceId);
+    axios.defaults.headers.common['X-Workspace-Id'] = workspaceId;
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+    delete axios.defaults.headers.common['X-Workspace-Id'];
+  }
+};
+
+// Restore the saved session, and go back to sign-in when the server rejects it
+export const initAuth = () => {
+  setToken(getToken());
+  setWorkspaceId(getWorkspaceId());
+
+  axios.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response?.status === 401 && getToken()) {
+        setToken(null);
+        window.location.assign('/login');
+      }
+      return Promise.reject(error);
+    }
+  );
+};
@@ -2,6 +2,7 @@ import React, { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import toast from 'react-hot-toast';
 import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
 import {
   Upload, Play, Settings, Users, Zap, Download, Eye, Trash2,
   ChevronDown, ChevronRight, Video, Globe, Mail, Phone, Building,
@@ -9,11 +10,49 @@ import {
   Circle, Square, Maximize, Monitor, RefreshCw, Check, X, Copy,
   ExternalLink, Loader2, Sparkles, Film, Plus, Search, FolderOpen,
   Clock, ChevronLeft, FileDown, Package, Pause, SkipBack, SkipForward,
-  RotateCcw, Volume2, VolumeX
+  RotateCcw, Volume2, VolumeX, Smartphone, LogOut, Building2, KeyRound, Webhook
 } from 'lucide-react';
+import { setToken, getWorkspaceId, setWorkspaceId } from '../auth';
 
 const API_URL = '/api';
 
+// Start of a CSV/TSV file sent for the import preview (spreadsheets are sent whole)
+const PREVIEW_BYTES = 256 * 1024;
+
+// Personalization tokens every lead has (custom fields add their own)
+const BUILT_IN_TOKENS = ['FirstName', 'LastName', 'CompanyName', 'Email', 'Phone', 'Website'];
+
+// Turn a CSV header into a token-safe custom field name ("Job Title" -> "JobTitle")
+const toFieldName = (header) => {
+  let name = header
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  if (!/^[A-Za-z]/.test(name)) name = `Field${name}`;
+  if (BUILT_IN_TOKENS.some(token => token.toLowerCase() === name.toLowerCase())) name = `Other${name}`;
+  return name.slice(0, 50);
+};
+
+// Landing page engagement with a video: furthest quartile played through and total watch time
+const Engagement = ({ video }) => {
+  if (!video.plays) return <span className="text-gray-500">-</span>;
+
+  const minutes = Math.floor(video.watch_seconds / 60);
+  const seconds = String(video.watch_seconds % 60).padStart(2, '0');
+  const details = [
+    `${video.plays} play${video.plays === 1 ? '' : 's'}`,
+    `${video.cta_clicks} CTA click${video.cta_clicks === 1 ? '' : 's'}`,
+    video.last_played_at && `last played ${new Date(video.last_played_at).toLocaleString()}`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <span title={details} className={video.max_progress >= 75 ? 'text-green-400' : ''}>
+      {video.max_progress}% · {minutes}:{seconds}
+    </span>
+  );
+};
+
 // Custom Video Player Component
 const VideoPlayer = ({ src, className = '', maxHeight = 'max-h-48' }) => {
   const videoRef = React.useRef(null);
@@ -201,7 +240,424 @@ const VideoPlayer = ({ src, className = '', maxHeight = 'max-h-48' }) => {
   );
 };
 
+// Workspace API keys for scripts and integrations (owners only)
+const ApiKeysDialog = ({ workspace, onClose }) => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [form, setForm] = useState({ name: '', role: 'editor' });
+  const [newKey, setNewKey] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const fetchApiKeys = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/workspaces/${workspace.id}/api-keys`);
+      setApiKeys(res.data.apiKeys || []);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load API keys');
+    }
+  };
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [workspace.id]);
+
+  const createApiKey = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const res = await axios.post(`${API_URL}/workspaces/${workspace.id}/api-keys`, form);
+      setNewKey(res.data.key);
+      setForm({ name: '', role: 'editor' });
+      fetchApiKeys();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create API key');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const revokeApiKey = async (apiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await axios.delete(`${API_URL}/workspaces/${workspace.id}/api-keys/${apiKey.id}`);
+      toast.success('API key revoked');
+      fetchApiKeys();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  const copyKey = () => {
+    navigator.clipboard.writeText(newKey);
+    toast.success('API key copied!');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center px-4" onClick={onClose}>
+      <div className="glass rounded-2xl p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <KeyRound className="w-5 h-5 text-primary-400" />
+            API Keys · {workspace.name}
+          </h2>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-400 mb-4">
+          Send a key as <code className="text-gray-300">Authorization: Bearer &lt;key&gt;</code> to use the API
+          (described at <a href="/api/openapi.json" target="_blank" rel="noreferrer" className="text-primary-400 hover:text-primary-300">/api/openapi.json</a>) in this workspace.
+        </p>
+
+        {newKey && (
+          <div className="mb-4 p-3 rounded-xl bg-primary-500/10 border border-primary-500/30">
+            <p className="text-sm mb-2">Copy your new key now - it won't be shown again.</p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 text-xs break-all text-gray-200">{newKey}</code>
+              <button onClick={copyKey} className="p-2 text-gray-400 hover:text-white" title="Copy">
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={createApiKey} className="flex items-center gap-2 mb-6">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Key name, e.g. CRM automation"
+            className="input-field"
+            required
+          />
+          <select
+            value={form.role}
+            onChange={(e) => setForm({ ...form, role: e.target.value })}
+            className="input-field w-36"
+          >
+            <option value="editor">Editor</option>
+            <option value="viewer">Viewer</option>
+          </select>
+          <button type="submit" disabled={isCreating} className="btn-primary flex items-center gap-2 whitespace-nowrap">
+            {isCreating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Create
+          </button>
+        </form>
+
+        {apiKeys.length > 0 ? (
+          <div className="space-y-2">
+            {apiKeys.map(apiKey => (
+              <div key={apiKey.id} className={`flex items-center justify-between p-3 rounded-xl bg-white/5 ${apiKey.revoked_at ? 'opacity-50' : ''}`}>
+                <div>
+                  <div className="font-medium">
+                    {apiKey.name} <span className="text-xs text-gray-400">({apiKey.role})</span>
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    <code>{apiKey.key_prefix}…</code>
+                    {' · '}Last used {apiKey.last_used_at ? new Date(apiKey.last_used_at).toLocaleString() : 'never'}
+                    {apiKey.revoked_at && ` · Revoked ${new Date(apiKey.revoked_at).toLocaleDateString()}`}
+                  </div>
+                </div>
+                {!apiKey.revoked_at && (
+                  <button
+                    onClick={() => revokeApiKey(apiKey)}
+                    className="p-2 text-gray-400 hover:text-red-400 transition-colors"
+                    title="Revoke"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-4">No API keys yet</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Webhook events a campaign endpoint can subscribe to
+const WEBHOOK_EVENTS = [
+  { id: 'video.completed', label: 'Video completed' },
+  { id: 'video.failed', label: 'Video failed' },
+  { id: 'video.viewed', label: 'Video viewed' },
+  { id: 'cta.clicked', label: 'CTA clicked' },
+  { id: 'campaign.batch_finished', label: 'Batch finished' }
+];
+
+const DELIVERY_STATUS_COLORS = {
+  pending: 'text-yellow-400',
+  delivered: 'text-green-400',
+  failed: 'text-red-400'
+};
+
+// A campaign's webhook endpoints and their delivery logs
+const WebhooksDialog = ({ campaign, canEdit, onClose }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState({ url: '', events: ['video.completed'] });
+  const [newSecret, setNewSecret] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [openWebhookId, setOpenWebhookId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+
+  const fetchWebhooks = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/webhooks/campaign/${campaign.id}`);
+      setWebhooks(res.data.webhooks || []);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load webhooks');
+    }
+  };
+
+  const fetchDeliveries = async (webhookId) => {
+    try {
+      const res = await axios.get(`${API_URL}/webhooks/${webhookId}/deliveries`, { params: { limit: 20 } });
+      setDeliveries(res.data.deliveries || []);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load deliveries');
+    }
+  };
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [campaign.id]);
+
+  useEffect(() => {
+    setDeliveries([]);
+    if (openWebhookId) fetchDeliveries(openWebhookId);
+  }, [openWebhookId]);
+
+  const toggleFormEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+    }));
+  };
+
+  const createWebhook = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const res = await axios.post(`${API_URL}/webhooks/campaign/${campaign.id}`, form);
+      setNewSecret(res.data.secret);
+      setForm({ url: '', events: ['video.completed'] });
+      fetchWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add webhook');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const updateWebhook = async (webhook, updates) => {
+    try {
+      await axios.put(`${API_URL}/webhooks/${webhook.id}`, updates);
+      fetchWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update webhook');
+    }
+  };
+
+  const rotateSecret = async (webhook) => {
+    if (!confirm('Replace the signing secret? The endpoint must be updated to verify with the new one.')) return;
+    try {
+      const res = await axios.post(`${API_URL}/webhooks/${webhook.id}/rotate-secret`);
+      setNewSecret(res.data.secret);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to rotate secret');
+    }
+  };
+
+  const deleteWebhook = async (webhook) => {
+    if (!confirm(`Delete the webhook for ${webhook.url}?`)) return;
+    try {
+      await axios.delete(`${API_URL}/webhooks/${webhook.id}`);
+      if (openWebhookId === webhook.id) setOpenWebhookId(null);
+      toast.success('Webhook deleted');
+      fetchWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete webhook');
+    }
+  };
+
+  const redeliver = async (delivery) => {
+    try {
+      await axios.post(`${API_URL}/webhooks/${delivery.webhook_id}/deliveries/${delivery.id}/redeliver`);
+      toast.success('Delivery queued');
+      setTimeout(() => fetchDeliveries(delivery.webhook_id), 1000);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to redeliver');
+    }
+  };
+
+  const copySecret = () => {
+    navigator.clipboard.writeText(newSecret);
+    toast.success('Secret copied!');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center px-4" onClick={onClose}>
+      <div className="glass rounded-2xl p-6 w-full max-w-3xl max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <Webhook className="w-5 h-5 text-primary-400" />
+            Webhooks · {campaign.name}
+          </h2>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-400 mb-4">
+          Endpoints get a signed JSON POST for each event. Verify the <code className="text-gray-300">X-VSL-Signature</code> header
+          (<code className="text-gray-300">t=&lt;time&gt;,v1=&lt;HMAC-SHA256 of "t.body"&gt;</code>) with the webhook's secret.
+        </p>
+
+        {newSecret && (
+          <div className="mb-4 p-3 rounded-xl bg-primary-500/10 border border-primary-500/30">
+            <p className="text-sm mb-2">Copy the signing secret now - it won't be shown again.</p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 text-xs break-all text-gray-200">{newSecret}</code>
+              <button onClick={copySecret} className="p-2 text-gray-400 hover:text-white" title="Copy">
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {canEdit && (
+          <form onSubmit={createWebhook} className="mb-6 space-y-3">
+            <div className="flex items-center gap-2">
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://example.com/hooks/vsl"
+                className="input-field"
+                required
+              />
+              <button
+                type="submit"
+                disabled={isCreating || form.events.length === 0}
+                className="btn-primary flex items-center gap-2 whitespace-nowrap"
+              >
+                {isCreating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                Add
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {WEBHOOK_EVENTS.map(event => (
+                <label key={event.id} className="flex items-center gap-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event.id)}
+                    onChange={() => toggleFormEvent(event.id)}
+                  />
+                  {event.label}
+                </label>
+              ))}
+            </div>
+          </form>
+        )}
+
+        {webhooks.length > 0 ? (
+          <div className="space-y-2">
+            {webhooks.map(webhook => (
+              <div key={webhook.id} className={`p-3 rounded-xl bg-white/5 ${webhook.active ? '' : 'opacity-60'}`}>
+                <div className="flex items-center justify-between gap-2">
+                  <button
+                    onClick={() => setOpenWebhookId(openWebhookId === webhook.id ? null : webhook.id)}
+                    className="flex items-start gap-2 text-left min-w-0"
+                  >
+                    {openWebhookId === webhook.id
+                      ? <ChevronDown className="w-4 h-4 mt-1 flex-shrink-0" />
+                      : <ChevronRight className="w-4 h-4 mt-1 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <div className="font-medium truncate">{webhook.url}</div>
+                      <div className="text-xs text-gray-500">
+                        {webhook.events.join(', ')}
+                        {' · '}{webhook.delivered_count} delivered
+                        {parseInt(webhook.pending_count) > 0 && ` · ${webhook.pending_count} pending`}
+                        {parseInt(webhook.failed_count) > 0 && ` · ${webhook.failed_count} failed`}
+                      </div>
+                    </div>
+                  </button>
+                  {canEdit && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => updateWebhook(webhook, { active: !webhook.active })}
+                        className="btn-secondary text-xs px-2 py-1"
+                      >
+                        {webhook.active ? 'Pause' : 'Resume'}
+                      </button>
+                      <button
+                        onClick={() => rotateSecret(webhook)}
+                        className="p-2 text-gray-400 hover:text-white transition-colors"
+                        title="Rotate secret"
+                      >
+                        <KeyRound className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => deleteWebhook(webhook)}
+                        className="p-2 text-gray-400 hover:text-red-400 transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {openWebhookId === webhook.id && (
+                  <div className="mt-3 space-y-1">
+                    {deliveries.length > 0 ? deliveries.map(delivery => (
+                      <div key={delivery.id} className="flex items-center justify-between gap-2 text-xs px-2 py-1 rounded bg-black/20">
+                        <div className="min-w-0">
+                          <span className={DELIVERY_STATUS_COLORS[delivery.status]}>{delivery.status}</span>
+                          {' · '}{delivery.event}
+                          {' · '}{new Date(delivery.created_at).toLocaleString()}
+                          {delivery.attempts > 0 && ` · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+                          {delivery.last_error && <span className="text-gray-500"> · {delivery.last_error}</span>}
+                        </div>
+                        {canEdit && delivery.status !== 'pending' && (
+                          <button
+                            onClick={() => redeliver(delivery)}
+                            className="p-1 text-gray-400 hover:text-white flex-shrink-0"
+                            title="Redeliver"
+                          >
+                            <RefreshCw className="w-3 h-3" />
+                          </button>
+                        )}
+                      </div>
+                    )) : (
+                      <p className="text-xs text-gray-500 px-2">No deliveries yet</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-4">No webhooks yet</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
 export default function Generator() {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setCurrentWorkspaceId] = useState(null);
+  const [showApiKeys, setShowApiKeys] = useState(false);
+  const [showWebhooks, setShowWebhooks] = useState(false);
+  const workspace = workspaces.find(w => w.id === workspaceId);
+  const workspaceRole = workspace?.role;
+  const canEdit = workspaceRole !== 'viewer';
+
   // Campaign state
   const [campaign, setCampaign] = useState(null);
   const [campaigns, setCampaigns] = useState([]);
@@ -218,8 +674,15 @@ export default function Generator() {
   const [leads, setLeads] = useState([]);
   const [csvFile, setCsvFile] = useState(null);
   const [columnMapping, setColumnMapping] = useState({});
+  const [customFields, setCustomFields] = useState({}); // CSV column -> { enabled, name }
   const [csvColumns, setCsvColumns] = useState([]);
   const [csvPreview, setCsvPreview] = useState([]);
+  const [sheetNames, setSheetNames] = useState([]); // Worksheets of an Excel file
+  const [selectedSheet, setSelectedSheet] = useState(null);
+  const [headerRow, setHeaderRow] = useState(null);
+  const [preflightCheck, setPreflightCheck] = useState(false);
+  const [duplicateStrategy, setDuplicateStrategy] = useState('skip');
+  const [importReport, setImportReport] = useState(null);
   
   // Settings
   const [settings, setSettings] = useState({
@@ -227,6 +690,7 @@ export default function Generator() {
     video_style: 'small_bubble',
     video_position: 'bottom_left',
     video_shape: 'circle',
+    video_title: 'A video for @CompanyName|You',
     video_description: 'Intro',
     calendar_url: '',
     button_text: 'Book a Call',
@@ -237,10 +701,22 @@ export default function Generator() {
     bg_hover_color: '#4f46e5',
     dark_mode: false,
     fullscreen_transition_time: 20,
+    fullscreen_return_time: '',
+    fullscreen_transition: 'cut',
     scroll_behavior: 'stay_down',
     mouse_display: 'moving',
     display_tab: true,
-    show_cta_button: false
+    show_cta_button: false,
+    secondary_video_display: 'fullscreen',
+    tour_mode: 'off',
+    tour_paths: '',
+    tour_max_pages: 3,
+    render_profile: '720p',
+    capture_device: 'desktop',
+    capture_hide_selectors: '',
+    capture_click_selectors: '',
+    max_capture_height: 15000,
+    capture_mode: 'screenshot'
   });
   
   // UI state
@@ -263,19 +739,76 @@ export default function Generator() {
   const [isLoadingAllVideos, setIsLoadingAllVideos] = useState(false);
   const MAX_VIDEOS = 100;
 
-  // Load campaigns on mount
+  // Load the signed-in user and their workspaces on mount
   useEffect(() => {
-    fetchCampaigns();
-    fetchAllVideos(true);
+    axios.get(`${API_URL}/auth/me`).then(res => setUser(res.data.user)).catch(() => {});
+    fetchWorkspaces();
   }, []);
+
+  // Campaigns belong to the current workspace
+  useEffect(() => {
+    if (workspaceId) fetchCampaigns();
+  }, [workspaceId]);
+
+  // Fetch the user's workspaces and pick up the last one used
+  const fetchWorkspaces = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/workspaces`);
+      const list = res.data.workspaces || [];
+      setWorkspaces(list);
+
+      const saved = list.find(w => w.id === getWorkspaceId());
+      const current = saved || list[0];
+      if (current) {
+        setWorkspaceId(current.id);
+        setCurrentWorkspaceId(current.id);
+      }
+    } catch (error) {
+      console.error('Fetch workspaces error:', error);
+    }
+  };
+
+  // Switch workspace (or create one) and start fresh in it
+  const switchWorkspace = async (id) => {
+    if (id === 'new') {
+      const name = window.prompt('Workspace name');
+      if (!name?.trim()) return;
+
+      try {
+        const res = await axios.post(`${API_URL}/workspaces`, { name: name.trim() });
+        setWorkspaces(prev => [...prev, res.data.workspace]);
+        id = res.data.workspace.id;
+        toast.success('Workspace created');
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to create workspace');
+        return;
+      }
+    }
+
+    setWorkspaceId(id);
+    setCurrentWorkspaceId(id);
+    setCampaigns([]);
+    startNewCampaign();
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post(`${API_URL}/auth/logout`);
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    setToken(null);
+    navigate('/login', { replace: true });
+  };
   
-  // Debounced search for all videos
+  // Debounced search for all videos (refetched when the workspace changes)
   useEffect(() => {
+    if (!workspaceId) return;
     const timer = setTimeout(() => {
       fetchAllVideos(true);
     }, 300);
     return () => clearTimeout(timer);
-  }, [allVideosSearch]);
+  }, [allVideosSearch, workspaceId]);
 
   // Fetch all generated videos
   const fetchAllVideos = async (reset = false) => {
@@ -290,7 +823,7 @@ export default function Generator() {
       });
       
       const newVideos = res.data.videos || [];
-      const total = Math.min(res.data.total || 0, MAX_VIDEOS);
+      const total = Math.min(res.data.pagination?.total || 0, MAX_VIDEOS);
       
       setAllVideos(newVideos);
       setAllVideosTotal(total);
@@ -346,8 +879,13 @@ export default function Generator() {
     setLeads([]);
     setCsvFile(null);
     setColumnMapping({});
+    setCustomFields({});
     setCsvColumns([]);
     setCsvPreview([]);
+    setSheetNames([]);
+    setSelectedSheet(null);
+    setHeaderRow(null);
+    setImportReport(null);
     setGenerationStatus(null);
     setCurrentStep(1);
     setSettings({
@@ -355,6 +893,7 @@ export default function Generator() {
       video_style: 'small_bubble',
       video_position: 'bottom_left',
       video_shape: 'circle',
+      video_title: 'A video for @CompanyName|You',
       video_description: 'Intro',
       calendar_url: '',
       button_text: 'Book a Call',
@@ -365,10 +904,22 @@ export default function Generator() {
       bg_hover_color: '#4f46e5',
       dark_mode: false,
       fullscreen_transition_time: 20,
+      fullscreen_return_time: '',
+      fullscreen_transition: 'cut',
       scroll_behavior: 'stay_down',
       mouse_display: 'moving',
       display_tab: true,
-      show_cta_button: false
+      show_cta_button: false,
+      secondary_video_display: 'fullscreen',
+      tour_mode: 'off',
+      tour_paths: '',
+      tour_max_pages: 3,
+      render_profile: '720p',
+      capture_device: 'desktop',
+      capture_hide_selectors: '',
+      capture_click_selectors: '',
+      max_capture_height: 15000,
+      capture_mode: 'screenshot'
     });
     setActiveTab('create');
     toast.success('Ready for new campaign!');
@@ -407,61 +958,84 @@ export default function Generator() {
     maxSize: 100 * 1024 * 1024
   });
 
-  // CSV dropzone
-  const onDropCSV = useCallback((acceptedFiles) => {
+  // Lead file dropzone (CSV, TSV or Excel)
+  const onDropCSV = useCallback(async (acceptedFiles) => {
     const file = acceptedFiles[0];
     if (file) {
       setCsvFile(file);
-      parseCSVPreview(file);
-      toast.success('CSV file loaded!');
+      if (await loadFilePreview(file)) {
+        toast.success(`${file.name} loaded!`);
+      } else {
+        setCsvFile(null);
+      }
     }
   }, []);
 
   const { getRootProps: getCsvRootProps, getInputProps: getCsvInputProps, isDragActive: isCsvDragActive } = useDropzone({
     onDrop: onDropCSV,
-    accept: { 'text/csv': ['.csv'] },
+    accept: {
+      'text/csv': ['.csv'],
+      'text/tab-separated-values': ['.tsv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/vnd.ms-excel': ['.xls']
+    },
     maxFiles: 1
   });
 
-  // Parse CSV for preview
-  const parseCSVPreview = (file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const text = e.target.result;
-      const lines = text.split('\n').filter(line => line.trim());
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-      setCsvColumns(headers);
-      
-      const preview = lines.slice(1, 6).map(line => {
-        const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-        return headers.reduce((obj, header, i) => {
-          obj[header] = values[i] || '';
-          return obj;
-        }, {});
-      });
-      setCsvPreview(preview);
-      
-      // Auto-detect column mapping
-      const autoMapping = {};
-      headers.forEach(h => {
-        const lower = h.toLowerCase();
-        if (lower.includes('website') || lower.includes('url') || lower.includes('link')) {
-          autoMapping.website_url = h;
-        } else if (lower.includes('first') && lower.includes('name')) {
-          autoMapping.first_name = h;
-        } else if (lower.includes('last') && lower.includes('name')) {
-          autoMapping.last_name = h;
-        } else if (lower.includes('company')) {
-          autoMapping.company_name = h;
-        } else if (lower.includes('email')) {
-          autoMapping.email = h;
-        } else if (lower.includes('phone')) {
-          autoMapping.phone = h;
-        }
-      });
-      setColumnMapping(autoMapping);
-    };
-    reader.readAsText(file);
+  // Preview the file with the server's parser: sheets, header row, columns and first rows
+  // options: { sheet, headerRow } - the header row is detected when not given
+  const loadFilePreview = async (file, options = {}) => {
+    const isSpreadsheet = /\.xlsx?$/i.test(file.name);
+    const formData = new FormData();
+    formData.append('file', isSpreadsheet ? file : file.slice(0, PREVIEW_BYTES), file.name);
+    if (options.sheet) formData.append('sheet', options.sheet);
+    if (options.headerRow) formData.append('headerRow', options.headerRow);
+
+    try {
+      const res = await axios.post(`${API_URL}/leads/import/preview`, formData);
+      const { sheets, sheet, headerRow, headers, rows } = res.data.preview;
+      setSheetNames(sheets);
+      setSelectedSheet(sheet);
+      setHeaderRow(headerRow);
+      applyPreview([...new Set(headers.filter(Boolean))], rows);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to read file');
+      return false;
+    }
+  };
+
+  // Show the preview and auto-detect the column mapping
+  const applyPreview = (headers, preview) => {
+    setCsvColumns(headers);
+    setCsvPreview(preview);
+    
+    // Auto-detect column mapping
+    const autoMapping = {};
+    headers.forEach(h => {
+      const lower = h.toLowerCase();
+      if (lower.includes('website') || lower.includes('url') || lower.includes('link')) {
+        autoMapping.website_url = h;
+      } else if (lower.includes('first') && lower.includes('name')) {
+        autoMapping.first_name = h;
+      } else if (lower.includes('last') && lower.includes('name')) {
+        autoMapping.last_name = h;
+      } else if (lower.includes('company')) {
+        autoMapping.company_name = h;
+      } else if (lower.includes('email')) {
+        autoMapping.email = h;
+      } else if (lower.includes('phone')) {
+        autoMapping.phone = h;
+      }
+    });
+    setColumnMapping(autoMapping);
+
+    // Every other column can be kept as a custom field (@FieldName token)
+    const mappedColumns = Object.values(autoMapping);
+    setCustomFields(headers.filter(h => h && !mappedColumns.includes(h)).reduce((fields, h) => {
+      fields[h] = { enabled: true, name: toFieldName(h) };
+      return fields;
+    }, {}));
   };
 
   // Create campaign and start generation
@@ -500,22 +1074,52 @@ export default function Generator() {
       if (csvFile) {
         const csvFormData = new FormData();
         csvFormData.append('file', csvFile);
-        csvFormData.append('columnMapping', JSON.stringify(columnMapping));
+        csvFormData.append('columnMapping', JSON.stringify({
+          ...columnMapping,
+          custom_fields: Object.fromEntries(
+            Object.entries(customFields)
+              .filter(([column, field]) => field.enabled && field.name && !Object.values(columnMapping).includes(column))
+              .map(([column, field]) => [column, field.name])
+          )
+        }));
+        if (selectedSheet) csvFormData.append('sheet', selectedSheet);
+        if (headerRow) csvFormData.append('headerRow', headerRow);
+        csvFormData.append('preflight', preflightCheck);
+        csvFormData.append('duplicateStrategy', duplicateStrategy);
         
-        const leadsRes = await axios.post(
+        const importRes = await axios.post(
           `${API_URL}/leads/import/${newCampaign.id}`,
           csvFormData
         );
-        setLeads(leadsRes.data.leads);
-        toast.success(`Imported ${leadsRes.data.imported} leads`);
+
+        // The import runs in the background - wait for it before generating
+        const leadImport = await waitForImport(importRes.data.import.id);
+        setImportReport(leadImport);
+
+        if (leadImport.status === 'failed') {
+          toast.error(`Import failed: ${leadImport.error_message}`);
+          setIsGenerating(false);
+          fetchCampaigns();
+          return;
+        }
+
+        fetchLeads(newCampaign.id);
+        toast.success(`Imported ${leadImport.created_count} leads`);
+        if (leadImport.duplicate_count > 0) {
+          toast(`${leadImport.duplicate_count} duplicate rows ${duplicateStrategy === 'skip' ? 'skipped' : duplicateStrategy === 'update' ? 'merged' : 'imported anyway'}`);
+        }
+        if (leadImport.flagged_count > 0) {
+          toast.error(`${leadImport.flagged_count} websites are dead, parked, blocked or invalid and will be skipped`);
+        }
         
         // Initialize generation status immediately with the imported leads count
+        const renderable = leadImport.created_count - leadImport.flagged_count;
         setGenerationStatus({
           completed: 0,
           processing: 0,
-          pending: leadsRes.data.imported,
+          pending: renderable,
           failed: 0,
-          total: leadsRes.data.imported
+          total: renderable
         });
       }
 
@@ -536,6 +1140,35 @@ export default function Generator() {
     }
   };
 
+  // Poll a lead import until it finishes, showing progress in a toast
+  const waitForImport = async (importId) => {
+    const toastId = toast.loading('Importing leads...');
+
+    try {
+      while (true) {
+        const res = await axios.get(`${API_URL}/leads/imports/${importId}`);
+        const leadImport = res.data.import;
+
+        if (leadImport.status === 'completed' || leadImport.status === 'failed') {
+          return leadImport;
+        }
+
+        if (leadImport.status === 'checking') {
+          toast.loading(`Checking websites... ${leadImport.checked_count} of ${leadImport.created_count + leadImport.updated_count}`, { id: toastId });
+        } else {
+          const percent = leadImport.bytes_total > 0
+            ? Math.round((leadImport.bytes_processed / leadImport.bytes_total) * 100)
+            : 0;
+          toast.loading(`Importing leads... ${percent}% (${leadImport.rows_processed} rows)`, { id: toastId });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    } finally {
+      toast.dismiss(toastId);
+    }
+  };
+
   // Poll generation status
   const pollGenerationStatus = async (campaignId) => {
     const poll = async () => {
@@ -737,6 +1370,68 @@ export default function Generator() {
     { id: 'square', name: 'Square', icon: Square }
   ];
 
+  const fullscreenTransitions = [
+    { id: 'cut', name: 'Cut' },
+    { id: 'fade', name: 'Fade' },
+    { id: 'grow', name: 'Grow' }
+  ];
+
+  const scrollBehaviors = [
+    { id: 'stay_down', name: 'Stay Down' },
+    { id: 'scroll_back_up', name: 'Back to Top' },
+    { id: 'loop', name: 'Loop' }
+  ];
+
+  const mouseDisplays = [
+    { id: 'moving', name: 'Moving' },
+    { id: 'static', name: 'Static' },
+    { id: 'hidden', name: 'Hidden' }
+  ];
+
+  const tourModes = [
+    { id: 'off', name: 'Homepage Only' },
+    { id: 'paths', name: 'Pick Pages' },
+    { id: 'auto', name: 'Auto (Nav Links)' }
+  ];
+
+  const renderProfiles = [
+    { id: '720p', name: '720p', icon: Monitor },
+    { id: '1080p', name: '1080p', icon: Monitor },
+    { id: 'vertical', name: 'Vertical 9:16', icon: Smartphone },
+    { id: 'square', name: 'Square', icon: Square }
+  ];
+
+  const captureModes = [
+    { id: 'screenshot', name: 'Screenshot', icon: Monitor },
+    { id: 'live', name: 'Live Recording', icon: Video }
+  ];
+
+  const captureDevices = [
+    { id: 'desktop', name: 'Desktop', icon: Monitor },
+    { id: 'iphone', name: 'iPhone', icon: Smartphone },
+    { id: 'android', name: 'Android', icon: Smartphone }
+  ];
+
+  const duplicateStrategies = [
+    { id: 'skip', name: 'Skip duplicates' },
+    { id: 'update', name: 'Update existing lead' },
+    { id: 'create', name: 'Import as new lead' }
+  ];
+
+  // Website pre-flight results shown next to a lead's URL
+  const urlStatusLabels = {
+    unreachable: 'Unreachable',
+    dead: 'Dead Site',
+    parked: 'Parked Domain',
+    blocked: 'Blocked',
+    invalid: 'Invalid URL'
+  };
+
+  const secondaryDisplays = [
+    { id: 'fullscreen', name: 'Full Screen', icon: Maximize },
+    { id: 'bubble', name: 'In Bubble', icon: Circle }
+  ];
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 overflow-x-hidden w-full">
       {/* Header */}
@@ -778,17 +1473,62 @@ export default function Generator() {
               </button>
             </div>
 
-            <button
-              onClick={startNewCampaign}
-              className="btn-primary flex items-center gap-2"
-            >
-              <Plus className="w-4 h-4" />
-              New Campaign
-            </button>
+            <div className="flex items-center gap-3">
+              {user && (
+                <div className="flex items-center gap-2">
+                  <Building2 className="w-4 h-4 text-gray-400" />
+                  <select
+                    value={workspaceId || ''}
+                    onChange={(e) => switchWorkspace(e.target.value)}
+                    className="input-field py-2"
+                    title={workspaceRole ? `You are ${workspaceRole === 'owner' ? 'an' : 'a'} ${workspaceRole} in this workspace` : undefined}
+                  >
+                    {workspaces.map(w => (
+                      <option key={w.id} value={w.id}>
+                        {w.name}{w.role === 'viewer' ? ' (view only)' : ''}
+                      </option>
+                    ))}
+                    <option value="new">+ New workspace…</option>
+                  </select>
+                </div>
+              )}
+              {workspaceRole === 'owner' && (
+                <button
+                  onClick={() => setShowApiKeys(true)}
+                  className="p-2 text-gray-400 hover:text-white transition-colors"
+                  title="API keys"
+                >
+                  <KeyRound className="w-5 h-5" />
+                </button>
+              )}
+              <button
+                onClick={startNewCampaign}
+                disabled={!canEdit}
+                className="btn-primary flex items-center gap-2"
+              >
+                <Plus className="w-4 h-4" />
+                New Campaign
+              </button>
+              <button
+                onClick={handleLogout}
+                className="p-2 text-gray-400 hover:text-white transition-colors"
+                title={user ? `Sign out ${user.email}` : 'Sign out'}
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+            </div>
           </div>
         </div>
       </header>
 
+      {showApiKeys && workspace && (
+        <ApiKeysDialog workspace={workspace} onClose={() => setShowApiKeys(false)} />
+      )}
+
+      {showWebhooks && selectedCampaign && (
+        <WebhooksDialog campaign={selectedCampaign} canEdit={canEdit} onClose={() => setShowWebhooks(false)} />
+      )}
+
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 overflow-x-hidden">
         {/* Main Content Area */}
         {activeTab === 'create' ? (
@@ -889,6 +1629,28 @@ export default function Generator() {
                         )}
                       </div>
                     )}
+
+                    {useSecondaryVideo && (
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Secondary video display</label>
+                        <div className="grid grid-cols-2 gap-3">
+                          {secondaryDisplays.map((display) => (
+                            <button
+                              key={display.id}
+                              onClick={() => setSettings({ ...settings, secondary_video_display: display.id })}
+                              className={`p-3 rounded-xl border transition-all flex items-center justify-center gap-2 ${
+                                settings.secondary_video_display === display.id
+                                  ? 'border-primary-500 bg-primary-500/10'
+                                  : 'border-white/10 hover:border-white/20'
+                              }`}
+                            >
+                              <display.icon className="w-5 h-5" />
+                              <span className="text-sm">{display.name}</span>
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 )}
               </section>
@@ -918,7 +1680,7 @@ export default function Generator() {
                       <div className="text-center">
                         <Users className="w-10 h-10 mx-auto mb-3 text-primary-400" />
                         <p className="font-medium">
-                          {csvFile ? csvFile.name : 'Drop CSV file here'}
+                          {csvFile ? csvFile.name : 'Drop CSV, TSV or Excel file here'}
                         </p>
                         <p className="text-sm text-gray-400 mt-1">
                           Required: Website URL column
@@ -926,6 +1688,38 @@ export default function Generator() {
                       </div>
                     </div>
 
+                    {/* Sheet & Header Row */}
+                    {csvFile && headerRow && (
+                      <div className="grid grid-cols-2 gap-4">
+                        {sheetNames.length > 1 && (
+                          <div>
+                            <label className="block text-sm font-medium mb-1">Sheet</label>
+                            <select
+                              value={selectedSheet || ''}
+                              onChange={(e) => loadFilePreview(csvFile, { sheet: e.target.value })}
+                              className="input-field"
+                            >
+                              {sheetNames.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+                        <div>
+                          <label className="block text-sm font-medium mb-1">Header Row</label>
+                          <select
+                            value={headerRow}
+                            onChange={(e) => loadFilePreview(csvFile, { sheet: selectedSheet, headerRow: parseInt(e.target.value) })}
+                            className="input-field"
+                          >
+                            {Array.from({ length: Math.max(20, headerRow) }, (_, i) => i + 1).map(row => (
+                              <option key={row} value={row}>Row {row}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                    )}
+
                     {/* CSV Preview */}
                     {csvPreview.length > 0 && (
                       <div className="mt-4">
@@ -1010,6 +1804,94 @@ export default function Generator() {
                         </div>
                       </div>
                     )}
+
+                    {/* Custom Fields */}
+                    {Object.keys(customFields).length > 0 && (
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Custom Fields</label>
+                        <p className="text-xs text-gray-400 mb-2">
+                          Extra columns kept on each lead - use them as @FieldName in titles, descriptions and buttons
+                        </p>
+                        <div className="space-y-2">
+                          {Object.entries(customFields)
+                            .filter(([column]) => !Object.values(columnMapping).includes(column))
+                            .map(([column, field]) => (
+                              <div key={column} className="flex items-center gap-3">
+                                <input
+                                  type="checkbox"
+                                  checked={field.enabled}
+                                  onChange={(e) => setCustomFields({ ...customFields, [column]: { ...field, enabled: e.target.checked } })}
+                                  className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-primary-500 focus:ring-primary-500"
+                                />
+                                <span className="text-sm w-1/3 truncate" title={column}>{column}</span>
+                                <span className="text-gray-500">@</span>
+                                <input
+                                  type="text"
+                                  value={field.name}
+                                  onChange={(e) => setCustomFields({ ...customFields, [column]: { ...field, name: e.target.value.replace(/[^A-Za-z0-9_]/g, '') } })}
+                                  disabled={!field.enabled}
+                                  className="input-field flex-1 py-1 text-sm"
+                                />
+                              </div>
+                            ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Website Pre-flight */}
+                    <div className="flex items-center gap-3 p-4 rounded-xl border border-white/10 bg-white/5">
+                      <input
+                        type="checkbox"
+                        id="preflightCheck"
+                        checked={preflightCheck}
+                        onChange={(e) => setPreflightCheck(e.target.checked)}
+                        className="w-4 h-4 rounded border-gray-600 bg-gray-700 text-primary-500 focus:ring-primary-500"
+                      />
+                      <div>
+                        <label htmlFor="preflightCheck" className="text-sm font-medium cursor-pointer">
+                          Check websites before rendering
+                        </label>
+                        <p className="text-xs text-gray-400 mt-0.5">
+                          Follows redirects and skips dead or parked domains (makes the import slower)
+                        </p>
+                      </div>
+                    </div>
+
+                    {/* Duplicate Handling */}
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Duplicate Leads</label>
+                      <select
+                        value={duplicateStrategy}
+                        onChange={(e) => setDuplicateStrategy(e.target.value)}
+                        className="input-field"
+                      >
+                        {duplicateStrategies.map(strategy => (
+                          <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-400 mt-1">
+                        Rows with the same email, or the same website domain, as another lead
+                      </p>
+                    </div>
+
+                    {/* Import Report */}
+                    {importReport && (importReport.duplicate_count > 0 || importReport.error_count > 0) && (
+                      <div className="p-4 rounded-xl border border-white/10 bg-white/5 text-sm">
+                        <p className="font-medium mb-2">
+                          Import report: {importReport.created_count} new, {importReport.updated_count} merged, {importReport.skipped_count} skipped, {importReport.error_count} errors
+                        </p>
+                        <ul className="space-y-1 text-xs text-gray-400 max-h-40 overflow-y-auto">
+                          {importReport.duplicate_details.map(duplicate => (
+                            <li key={duplicate.row}>
+                              Row {duplicate.row} ({duplicate.email || duplicate.website_url}) {duplicate.action} - same {duplicate.matchedBy} as another lead
+                            </li>
+                          ))}
+                          {importReport.error_details.map(detail => (
+                            <li key={`error-${detail.row}`} className="text-red-400">Row {detail.row}: {detail.error}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                 )}
               </section>
@@ -1153,6 +2035,308 @@ export default function Generator() {
                       </div>
                     )}
 
+                    {/* Return to Bubble Time - Only for full_screen style */}
+                    {settings.video_style === 'full_screen' && (
+                      <div>
+                        <label className="block text-sm font-medium mb-2">
+                          Return to Bubble Time (seconds, optional)
+                        </label>
+                        <input
+                          type="number"
+                          value={settings.fullscreen_return_time}
+                          onChange={(e) => setSettings({ ...settings, fullscreen_return_time: parseInt(e.target.value) || '' })}
+                          className="input-field"
+                          min={settings.fullscreen_transition_time + 1}
+                          max="600"
+                          placeholder="Stay fullscreen"
+                        />
+                        <p className="text-xs text-gray-400 mt-1">
+                          Leave empty to stay fullscreen until the end
+                        </p>
+                      </div>
+                    )}
+
+                    {/* Fullscreen Transition Animation - Only for full_screen style */}
+                    {settings.video_style === 'full_screen' && (
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Transition Animation</label>
+                        <div className="grid grid-cols-3 gap-3">
+                          {fullscreenTransitions.map((transition) => (
+                            <button
+                              key={transition.id}
+                              onClick={() => setSettings({ ...settings, fullscreen_transition: transition.id })}
+                              className={`p-3 rounded-xl border transition-all text-sm ${
+                                settings.fullscreen_transition === transition.id
+                                  ? 'border-primary-500 bg-primary-500/10'
+                                  : 'border-white/10 hover:border-white/20'
+                              }`}
+                            >
+                              {transition.name}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Scroll Behavior */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2 flex items-center gap-2">
+                        <ArrowDown className="w-4 h-4" />
+                        Website Scroll
+                      </label>
+                      <div className="grid grid-cols-3 gap-3">
+                        {scrollBehaviors.map((behavior) => (
+                          <button
+                            key={behavior.id}
+                            onClick={() => setSettings({ ...settings, scroll_behavior: behavior.id })}
+                            className={`p-3 rounded-xl border transition-all text-sm ${
+                              settings.scroll_behavior === behavior.id
+                                ? 'border-primary-500 bg-primary-500/10'
+                                : 'border-white/10 hover:border-white/20'
+                            }`}
+                          >
+                            {behavior.name}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    {/* Mouse Cursor */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2 flex items-center gap-2">
+                        <MousePointer className="w-4 h-4" />
+                        Mouse Cursor
+                      </label>
+                      <div className="grid grid-cols-3 gap-3">
+                        {mouseDisplays.map((display) => (
+                          <button
+                            key={display.id}
+                            onClick={() => setSettings({ ...settings, mouse_display: display.id })}
+                            className={`p-3 rounded-xl border transition-all text-sm ${
+                              settings.mouse_display === display.id
+                                ? 'border-primary-500 bg-primary-500/10'
+                                : 'border-white/10 hover:border-white/20'
+                            }`}
+                          >
+                            {display.name}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    {/* Website Tour */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2 flex items-center gap-2">
+                        <Globe className="w-4 h-4" />
+                        Website Tour
+                      </label>
+                      <div className="grid grid-cols-3 gap-3">
+                        {tourModes.map((mode) => (
+                          <button
+                            key={mode.id}
+                            onClick={() => setSettings({ ...settings, tour_mode: mode.id })}
+                            className={`p-3 rounded-xl border transition-all text-sm ${
+                              settings.tour_mode === mode.id
+                                ? 'border-primary-500 bg-primary-500/10'
+                                : 'border-white/10 hover:border-white/20'
+                            }`}
+                          >
+                            {mode.name}
+                          </button>
+                        ))}
+                      </div>
+                      {settings.tour_mode === 'paths' && (
+                        <textarea
+                          value={settings.tour_paths}
+                          onChange={(e) => setSettings({ ...settings, tour_paths: e.target.value })}
+                          className="input-field mt-3"
+                          rows={3}
+                          placeholder={'/pricing\n/about'}
+                        />
+                      )}
+                      {settings.tour_mode !== 'off' && (
+                        <div className="mt-3">
+                          <label className="block text-xs text-gray-400 mb-1">Pages per video (including homepage)</label>
+                          <input
+                            type="number"
+                            value={settings.tour_max_pages}
+                            onChange={(e) => setSettings({ ...settings, tour_max_pages: parseInt(e.target.value) || 3 })}
+                            className="input-field"
+                            min="2"
+                            max="5"
+                          />
+                        </div>
+                      )}
+                      <p className="text-xs text-gray-400 mt-1">
+                        {settings.tour_mode === 'paths'
+                          ? 'One path per line - each page is shown after the homepage'
+                          : settings.tour_mode === 'auto'
+                            ? "Visits the links in each prospect's top navigation after the homepage"
+                            : 'The background scrolls through the homepage only'}
+                      </p>
+                    </div>
+
+                    {/* Capture Mode */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2 flex items-center gap-2">
+                        <Video className="w-4 h-4" />
+                        Capture Mode
+                      </label>
+                      <div className="grid grid-cols-2 gap-3">
+                        {captureModes.map((mode) => (
+                          <button
+                            key={mode.id}
+                            onClick={() => setSettings({ ...settings, capture_mode: mode.id })}
+                            className={`p-3 rounded-xl border transition-all text-sm ${
+                              settings.capture_mode === mode.id
+                                ? 'border-primary-500 bg-primary-500/10'
+                                : 'border-white/10 hover:border-white/20'
+                            }`}
+                          >
+                            <mode.icon className="w-5 h-5 mx-auto mb-1" />
+                            {mode.name}
+                          </button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {settings.capture_mode === 'live'
+                          ? 'Records the real page while scrolling, so carousels, videos and animations play - renders take as long as the video'
+                          : 'Scrolls through a full-page screenshot of each site'}
+                      </p>
+                    </div>
+
+                    {/* Capture Device */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2 flex items-center gap-2">
+                        <Smartphone className="w-4 h-4" />
+                        Capture Device
+                      </label>
+                      <div className="grid grid-cols-3 gap-3">
+                        {captureDevices.map((device) => (
+                          <button
+                            key={device.id}
+                            onClick={() => setSettings({ ...settings, capture_device: device.id })}
+                            className={`p-3 rounded-xl border transition-all text-sm ${
+                              settings.capture_device === device.id
+                                ? 'border-primary-500 bg-primary-500/10'
+                                : 'border-white/10 hover:border-white/20'
+                            }`}
+                          >
+                            <device.icon className="w-5 h-5 mx-auto mb-1" />
+                            {device.name}
+                          </button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {settings.capture_device === 'desktop'
+                          ? 'Shows the desktop version of each site'
+                          : "Shows each prospect's mobile site inside a phone frame"}
+                      </p>
+                    </div>
+
+                    {/* Page Clean-up */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2 flex items-center gap-2">
+                        <Sparkles className="w-4 h-4" />
+                        Page Clean-up
+                      </label>
+                      <p className="text-xs text-gray-400 mb-3">
+                        Cookie banners, chat widgets and popups are cleared automatically. Add CSS selectors for anything else, one per line.
+                      </p>
+                      <div className="grid grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-xs text-gray-400 mb-1">Hide</label>
+                          <textarea
+                            value={settings.capture_hide_selectors}
+                            onChange={(e) => setSettings({ ...settings, capture_hide_selectors: e.target.value })}
+                            className="input-field"
+                            rows={3}
+                            placeholder={'#promo-bar\n.sticky-footer'}
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-400 mb-1">Click</label>
+                          <textarea
+                            value={settings.capture_click_selectors}
+                            onChange={(e) => setSettings({ ...settings, capture_click_selectors: e.target.value })}
+                            className="input-field"
+                            rows={3}
+                            placeholder={'.modal .close'}
+                          />
+                        </div>
+                      </div>
+                      <div className="mt-3">
+                        <label className="block text-xs text-gray-400 mb-1">Max page height captured (px)</label>
+                        <input
+                          type="number"
+                          value={settings.max_capture_height}
+                          onChange={(e) => setSettings({ ...settings, max_capture_height: parseInt(e.target.value) || 15000 })}
+                          className="input-field"
+                          min="1000"
+                          max="30000"
+                          step="1000"
+                        />
+                      </div>
+                    </div>
+
+                    {/* Output Format */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2 flex items-center gap-2">
+                        <Film className="w-4 h-4" />
+                        Output Format
+                      </label>
+                      <div className="grid grid-cols-4 gap-3">
+                        {renderProfiles.map((profile) => (
+                          <button
+                            key={profile.id}
+                            onClick={() => setSettings({ ...settings, render_profile: profile.id })}
+                            className={`p-3 rounded-xl border transition-all text-sm ${
+                              settings.render_profile === profile.id
+                                ? 'border-primary-500 bg-primary-500/10'
+                                : 'border-white/10 hover:border-white/20'
+                            }`}
+                          >
+                            <profile.icon className="w-5 h-5 mx-auto mb-1" />
+                            {profile.name}
+                          </button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {settings.render_profile === 'vertical'
+                          ? 'Captures the mobile version of each site - made for LinkedIn and Instagram DMs'
+                          : 'Size of the rendered video'}
+                      </p>
+                    </div>
+
+                    {/* Landing Page Text */}
+                    <div className="space-y-3">
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Page Title</label>
+                        <input
+                          type="text"
+                          value={settings.video_title}
+                          onChange={(e) => setSettings({ ...settings, video_title: e.target.value })}
+                          className="input-field"
+                          placeholder="A video for @CompanyName|You"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Description</label>
+                        <input
+                          type="text"
+                          value={settings.video_description}
+                          onChange={(e) => setSettings({ ...settings, video_description: e.target.value })}
+                          className="input-field"
+                          placeholder="Hi @FirstName|there, I made this for you"
+                        />
+                      </div>
+                      <p className="text-xs text-gray-400">
+                        Tokens: {[...BUILT_IN_TOKENS, ...Object.values(customFields).filter(field => field.enabled && field.name).map(field => field.name)]
+                          .map(token => `@${token}`).join(' ')}
+                        {' '}- add a fallback for blank values with @FirstName|there
+                      </p>
+                    </div>
+
                     {/* CTA Button - Only show when show_cta_button is enabled */}
                     {settings.show_cta_button && (
                       <div className="grid grid-cols-2 gap-4">
@@ -1260,7 +2444,7 @@ export default function Generator() {
                 {/* Generate Button */}
                 <button
                   onClick={handleGenerate}
-                  disabled={isGenerating || !introVideo}
+                  disabled={isGenerating || !introVideo || !canEdit}
                   className="btn-primary w-full flex items-center justify-center gap-2 text-lg py-4"
                 >
                   {isGenerating ? (
@@ -1314,6 +2498,13 @@ export default function Generator() {
                         <RefreshCw className="w-4 h-4" />
                         Refresh
                       </button>
+                      <button
+                        onClick={() => setShowWebhooks(true)}
+                        className="btn-secondary flex items-center gap-2"
+                      >
+                        <Webhook className="w-4 h-4" />
+                        Webhooks
+                      </button>
                       <button
                         onClick={() => handleExport(selectedCampaign.id)}
                         className="btn-secondary flex items-center gap-2"
@@ -1366,6 +2557,7 @@ export default function Generator() {
                             <th>Company</th>
                             <th>Status</th>
                             <th>Views</th>
+                            <th>Watched</th>
                             <th>Actions</th>
                           </tr>
                         </thead>
@@ -1382,17 +2574,36 @@ export default function Generator() {
                                 >
                                   {lead.website_url}
                                 </a>
+                                {lead.url_status && !['unchecked', 'ok'].includes(lead.url_status) && (
+                                  <span
+                                    className={`badge ml-2 ${lead.url_status === 'unreachable' ? 'badge-warning' : 'badge-error'}`}
+                                    title={lead.url_status_detail || ''}
+                                  >
+                                    {urlStatusLabels[lead.url_status] || lead.url_status}
+                                  </span>
+                                )}
                               </td>
                               <td>{lead.first_name} {lead.last_name}</td>
                               <td>{lead.company_name}</td>
                               <td>
                                 {lead.status === 'completed' && <span className="badge badge-success">Complete</span>}
                                 {lead.status === 'processing' && <span className="badge badge-warning">Processing</span>}
-                                {lead.status === 'pending' && <span className="badge badge-info">Pending</span>}
-                                {lead.status === 'failed' && <span className="badge badge-error">Failed</span>}
-                                {!lead.status && <span className="badge">Not Started</span>}
+                                {lead.status === 'pending' && (
+                                  <span className="badge badge-info" title={lead.error_message || ''}>
+                                    {lead.error_code ? 'Retrying' : 'Pending'}
+                                  </span>
+                                )}
+                                {lead.status === 'failed' && (
+                                  <span className="badge badge-error" title={lead.error_message || ''}>
+                                    Failed{lead.error_code ? ` (${lead.error_code})` : ''}
+                                  </span>
+                                )}
+                                {!lead.status && (['dead', 'parked', 'blocked', 'invalid'].includes(lead.url_status)
+                                  ? <span className="badge" title={lead.url_status_detail || ''}>Skipped</span>
+                                  : <span className="badge">Not Started</span>)}
                               </td>
                               <td>{lead.views || 0}</td>
+                              <td><Engagement video={lead} /></td>
                               <td>
                                 {lead.unique_slug && lead.status === 'completed' && (
                                   <div className="flex gap-2">
@@ -1553,6 +2764,7 @@ export default function Generator() {
                       <th>Name</th>
                       <th>Company</th>
                       <th>Views</th>
+                      <th>Watched</th>
                       <th>Created</th>
                       <th>Actions</th>
                     </tr>
@@ -1577,6 +2789,7 @@ export default function Generator() {
                         <td>{video.first_name}</td>
                         <td>{video.company_name}</td>
                         <td>{video.views || 0}</td>
+                        <td><Engagement video={video} /></td>
                         <td className="text-gray-400 text-xs">
                           {new Date(video.created_at).toLocaleDateString()}
                         </td>
@@ -2,12 +2,14 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useParams } from 'react-router-dom';
 import axios from 'axios';
 import { Play, Pause, Volume2, VolumeX, Maximize, Calendar, Loader2, SkipBack, SkipForward, RotateCcw } from 'lucide-react';
+import { createPlayerTracker } from '../playerAnalytics';
 
 const API_URL = '/api';
 
 export default function LandingPage() {
   const { slug } = useParams();
   const videoRef = useRef(null);
+  const trackerRef = useRef(null);
   
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -18,13 +20,30 @@ export default function LandingPage() {
   const [showControls, setShowControls] = useState(true);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
+  const [aspectRatio, setAspectRatio] = useState('16 / 9');
 
   useEffect(() => {
     fetchVideoData();
   }, [slug]);
 
+  // Report play, pause, seek, progress, mute and fullscreen events for engagement analytics
+  useEffect(() => {
+    const tracker = createPlayerTracker(slug);
+    trackerRef.current = tracker;
+
+    const handleFullscreenChange = () => tracker.fullscreenChange(videoRef.current);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+
+    return () => {
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      tracker.stop();
+      trackerRef.current = null;
+    };
+  }, [slug]);
+
   const fetchVideoData = async () => {
     try {
+      // Title, description and CTA come back with @Tokens already replaced
       const res = await axios.get(`${API_URL}/videos/landing/${slug}`);
       setData(res.data.data);
     } catch (err) {
@@ -34,6 +53,14 @@ export default function LandingPage() {
     }
   };
 
+  // Count CTA clicks - sendBeacon still goes out when the click leaves the page
+  const trackCtaClick = () => {
+    const url = `${API_URL}/videos/landing/${slug}/click`;
+    if (!navigator.sendBeacon?.(url)) {
+      axios.post(url).catch(() => {});
+    }
+  };
+
   const togglePlay = () => {
     if (videoRef.current) {
       if (isPlaying) {
@@ -57,12 +84,18 @@ export default function LandingPage() {
       const progress = (videoRef.current.currentTime / videoRef.current.duration) * 100;
       setProgress(progress);
       setCurrentTime(videoRef.current.currentTime);
+      trackerRef.current?.timeUpdate(videoRef.current);
     }
   };
 
   const handleLoadedMetadata = () => {
     if (videoRef.current) {
       setDuration(videoRef.current.duration);
+      // Vertical and square renders keep their own shape
+      const { videoWidth, videoHeight } = videoRef.current;
+      if (videoWidth && videoHeight) {
+        setAspectRatio(`${videoWidth} / ${videoHeight}`);
+      }
     }
   };
 
@@ -104,15 +137,6 @@ export default function LandingPage() {
     }
   };
 
-  // Replace personalization tokens
-  const personalize = (text) => {
-    if (!text || !data) return text;
-    return text
-      .replace(/@FirstName/gi, data.first_name || '')
-      .replace(/@CompanyName/gi, data.company_name || data.last_name || '')
-      .replace(/@LastName/gi, data.last_name || '');
-  };
-
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-900">
@@ -150,7 +174,7 @@ export default function LandingPage() {
         {/* Header */}
         <header className="text-center mb-8">
           <h1 className="text-3xl md:text-4xl font-bold font-display mb-2 text-primary-400">
-            👇 A video for {data?.company_name || 'You'}  👇
+            👇 {data?.video_title}  👇
           </h1>
         </header>
 
@@ -180,12 +204,25 @@ export default function LandingPage() {
           <video
             ref={videoRef}
             src={`${API_URL}/videos/file/${slug}`}
-            className="w-full aspect-video object-cover"
+            className="w-full max-h-[80vh] object-contain"
+            style={{ aspectRatio }}
             onTimeUpdate={handleTimeUpdate}
             onLoadedMetadata={handleLoadedMetadata}
-            onPlay={() => setIsPlaying(true)}
-            onPause={() => setIsPlaying(false)}
-            onEnded={() => setIsPlaying(false)}
+            onPlay={() => {
+              setIsPlaying(true);
+              trackerRef.current?.play(videoRef.current);
+            }}
+            onPause={() => {
+              setIsPlaying(false);
+              trackerRef.current?.pause(videoRef.current);
+            }}
+            onEnded={() => {
+              setIsPlaying(false);
+              trackerRef.current?.ended(videoRef.current);
+            }}
+            onSeeking={() => trackerRef.current?.seeking(videoRef.current)}
+            onSeeked={() => trackerRef.current?.seeked(videoRef.current)}
+            onVolumeChange={() => trackerRef.current?.volumeChange(videoRef.current)}
             poster={`${API_URL}/videos/thumbnail/${slug}`}
             playsInline
             onClick={togglePlay}
@@ -310,6 +347,7 @@ export default function LandingPage() {
               href={data?.calendar_url || data?.button_link || '#'}
               target="_blank"
               rel="noopener noreferrer"
+              onClick={trackCtaClick}
               className="inline-flex items-center gap-3 px-8 py-4 rounded-xl text-lg font-semibold transition-all transform hover:scale-105 hover:shadow-xl"
               style={{
                 backgroundColor: data?.bg_color || '#6366f1',
@@ -333,7 +371,7 @@ export default function LandingPage() {
         {/* Description */}
         {data?.video_description && (
           <p className="text-center mt-6 text-gray-400">
-            {personalize(data.video_description)}
+            {data.video_description}
           </p>
         )}
 
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import axios from 'axios';
+import { Film, Loader2 } from 'lucide-react';
+import { setToken } from '../auth';
+
+const API_URL = '/api';
+
+export default function Login() {
+  const navigate = useNavigate();
+  // Workspace invite links (/login?invite=<email>) open the sign-up form
+  const [searchParams] = useSearchParams();
+  const invitedEmail = searchParams.get('invite');
+  const [mode, setMode] = useState(invitedEmail ? 'register' : 'login'); // login | register
+  const [signupAllowed, setSignupAllowed] = useState(false);
+  const [form, setForm] = useState({ name: '', email: invitedEmail || '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/auth/config`)
+      .then(res => {
+        setSignupAllowed(res.data.signupAllowed);
+      })
+      .catch(() => {});
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const res = await axios.post(`${API_URL}/auth/${mode}`, form);
+      setToken(res.data.token);
+      navigate('/', { replace: true });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to sign in');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center px-4">
+      <div className="glass rounded-2xl p-8 w-full max-w-md">
+        <div className="flex items-center gap-3 mb-8">
+          <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-primary-500 to-purple-600 flex items-center justify-center">
+            <Film className="w-5 h-5 text-white" />
+          </div>
+          <span className="text-xl font-bold bg-gradient-to-r from-primary-400 to-purple-400 bg-clip-text text-transparent">
+            Mass VSL Generator
+          </span>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'register' && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="input-field"
+                autoComplete="name"
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium mb-1">Email</label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              className="input-field"
+              autoComplete="email"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Password</label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              className="input-field"
+              autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+              minLength={mode === 'register' ? 8 : undefined}
+              required
+            />
+          </div>
+
+          <button type="submit" disabled={isSubmitting} className="btn-primary w-full flex items-center justify-center gap-2">
+            {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+            {mode === 'register' ? 'Create Account' : 'Sign In'}
+          </button>
+        </form>
+
+        {(signupAllowed || invitedEmail) && (
+          <p className="text-sm text-gray-400 text-center mt-6">
+            {mode === 'register' ? 'Already have an account?' : 'New here?'}{' '}
+            <button
+              onClick={() => setMode(mode === 'register' ? 'login' : 'register')}
+              className="text-primary-400 hover:text-primary-300"
+            >
+              {mode === 'register' ? 'Sign in' : 'Create an account'}
+            </button>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
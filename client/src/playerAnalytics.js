@@ -0,0 +1,126 @@
+import axios from 'axios';
+
+// Landing page player analytics: what the viewer does is queued and sent in
+// batches to /api/videos/landing/:slug/events (see server/services/playerEvents.js)
+
+// How often queued events are sent while the page is open
+const FLUSH_INTERVAL = 5000;
+
+// Most events the server accepts in one beacon
+const MAX_EVENTS_PER_BEACON = 50;
+
+// Progress quartiles, reported when playback runs through them (not when seeking past)
+const QUARTILES = [25, 50, 75];
+
+// Jumps in currentTime bigger than this between time updates are seeks, not playback
+const MAX_PLAYBACK_STEP = 2;
+
+// One id per page load, so the server can add up watch time per viewing
+const newSessionId = () => (
+  window.crypto?.randomUUID?.() || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 12)}`
+);
+
+const sendBeacon = (url, events, sessionId) => {
+  const body = JSON.stringify({ session_id: sessionId, events });
+
+  let sent = false;
+  try {
+    sent = navigator.sendBeacon?.(url, new Blob([body], { type: 'application/json' }));
+  } catch {
+    sent = false;
+  }
+
+  if (!sent) {
+    axios.post(url, body, { headers: { 'Content-Type': 'application/json' } }).catch(() => {});
+  }
+};
+
+// Create a tracker for one landing page visit; call stop() when the page goes away
+export const createPlayerTracker = (slug) => {
+  const url = `/api/videos/landing/${slug}/events`;
+  const sessionId = newSessionId();
+  const reached = new Set();
+  const queue = [];
+  let watched = 0;
+  let lastTime = null;
+  let seekFrom = null;
+  let muted = false;
+  let fullscreen = false;
+
+  const track = (type, video, details = {}) => {
+    queue.push({ type, position: video?.currentTime ?? null, watched, ...details });
+  };
+
+  const reach = (percent, video) => {
+    if (reached.has(percent)) return;
+    reached.add(percent);
+    track('progress', video, { percent });
+  };
+
+  const flush = () => {
+    while (queue.length > 0) {
+      sendBeacon(url, queue.splice(0, MAX_EVENTS_PER_BEACON), sessionId);
+    }
+  };
+
+  const timer = setInterval(flush, FLUSH_INTERVAL);
+  window.addEventListener('pagehide', flush);
+
+  return {
+    play: (video) => {
+      lastTime = video.currentTime;
+      track('play', video);
+    },
+
+    pause: (video) => track('pause', video),
+
+    seeking: () => {
+      if (seekFrom === null) seekFrom = lastTime;
+    },
+
+    seeked: (video) => {
+      track('seek', video, { from: seekFrom });
+      seekFrom = null;
+      lastTime = video.currentTime;
+    },
+
+    // Adds up the seconds actually played and reports quartiles played through
+    timeUpdate: (video) => {
+      const time = video.currentTime;
+      const step = lastTime === null ? 0 : time - lastTime;
+
+      if (!video.paused && !video.seeking && step > 0 && step < MAX_PLAYBACK_STEP) {
+        watched += step;
+        if (video.duration) {
+          QUARTILES.forEach(percent => {
+            const mark = (video.duration * percent) / 100;
+            if (lastTime < mark && time >= mark) reach(percent, video);
+          });
+        }
+      }
+
+      if (!video.seeking) lastTime = time;
+    },
+
+    ended: (video) => reach(100, video),
+
+    volumeChange: (video) => {
+      if (video.muted === muted) return;
+      muted = video.muted;
+      track(muted ? 'mute' : 'unmute', video);
+    },
+
+    fullscreenChange: (video) => {
+      const isFullscreen = !!video && document.fullscreenElement === video;
+      if (isFullscreen === fullscreen) return;
+      fullscreen = isFullscreen;
+      track(isFullscreen ? 'fullscreen_enter' : 'fullscreen_exit', video);
+    },
+
+    stop: () => {
+      clearInterval(timer);
+      window.removeEventListener('pagehide', flush);
+      flush();
+    }
+  };
+};
@@ -22,6 +22,69 @@ export async function initDatabase() {
   const client = await pool.connect();
   try {
     await client.query(`
+      -- Users table (emails are stored lowercase)
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255),
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP
+      );
+
+      -- User sessions table (bearer tokens are stored as SHA-256 hashes)
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      );
+
+      -- Workspaces table (campaigns, and their leads and videos, belong to a workspace)
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Workspace members table
+      -- role: owner (manages members) | editor (changes campaigns) | viewer (read-only)
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'editor',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (workspace_id, user_id)
+      );
+
+      -- Workspace invites table (people without an account yet; accepted when they register)
+      CREATE TABLE IF NOT EXISTS workspace_invites (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'editor',
+        invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (workspace_id, email)
+      );
+
+      -- API keys table (per workspace, for scripts and integrations; only the key's SHA-256 hash is stored)
+      -- role: editor | viewer
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'editor',
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      );
+
       -- Campaigns table
       CREATE TABLE IF NOT EXISTS campaigns (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -106,6 +169,210 @@ export async function initDatabase() {
         END IF;
       END $$;
 
+      -- Add secondary_video_display column if it doesn't exist (migration)
+      -- fullscreen | bubble - how the secondary video plays after the intro
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'secondary_video_display'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN secondary_video_display VARCHAR(20) DEFAULT 'fullscreen';
+        END IF;
+      END $$;
+
+      -- Add full_screen timing columns if they don't exist (migration)
+      -- fullscreen_return_time: seconds at which the video shrinks back to the bubble (NULL = stays fullscreen)
+      -- fullscreen_transition: cut | fade | grow
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'fullscreen_transition_time'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN fullscreen_transition_time INTEGER DEFAULT 20;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'fullscreen_return_time'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN fullscreen_return_time INTEGER;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'fullscreen_transition'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN fullscreen_transition VARCHAR(20) DEFAULT 'cut';
+        END IF;
+      END $$;
+
+      -- Add website tour columns if they don't exist (migration)
+      -- tour_mode: off | paths (tour_paths, relative to each lead's site) | auto (header/nav links)
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'tour_mode'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN tour_mode VARCHAR(20) DEFAULT 'off';
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'tour_paths'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN tour_paths JSONB DEFAULT '[]'::jsonb;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'tour_max_pages'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN tour_max_pages INTEGER DEFAULT 3;
+        END IF;
+      END $$;
+
+      -- Add render_profile column if it doesn't exist (migration)
+      -- 720p | 1080p | vertical (1080x1920, mobile viewport) | square (1080x1080)
+      DO $$ 
+      BEGIN 
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'render_profile'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN render_profile VARCHAR(20) DEFAULT '720p';
+        END IF;
+      END $$;
+
+      -- Add capture_device column if it doesn't exist (migration)
+      -- desktop | iphone | android (site emulated on the phone, shown in a phone frame)
+      DO $$ 
+      BEGIN 
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'capture_device'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN capture_device VARCHAR(20) DEFAULT 'desktop';
+        END IF;
+      END $$;
+
+      -- Add capture selector columns if they don't exist (migration)
+      -- CSS selectors hidden / clicked on each lead's site before the screenshot
+      DO $$ 
+      BEGIN 
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'capture_hide_selectors'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN capture_hide_selectors JSONB DEFAULT '[]'::jsonb;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'capture_click_selectors'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN capture_click_selectors JSONB DEFAULT '[]'::jsonb;
+        END IF;
+      END $$;
+
+      -- Add max_capture_height column if it doesn't exist (migration)
+      -- Tallest full-page screenshot, in CSS pixels (longer pages are cut off)
+      DO $$ 
+      BEGIN 
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'max_capture_height'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN max_capture_height INTEGER DEFAULT 15000;
+        END IF;
+      END $$;
+
+      -- Add capture_mode column if it doesn't exist (migration)
+      -- screenshot (pan a full-page screenshot) | live (record the page in real time while scrolling)
+      DO $$ 
+      BEGIN 
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'campaigns' AND column_name = 'capture_mode'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN capture_mode VARCHAR(20) DEFAULT 'screenshot';
+        END IF;
+      END $$;
+
+      -- Add user_id column to campaigns if it doesn't exist (migration)
+      -- The user who created the campaign
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'campaigns' AND column_name = 'user_id'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+        END IF;
+      END $$;
+
+      -- Add workspace_id column to campaigns if it doesn't exist (migration)
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'campaigns' AND column_name = 'workspace_id'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+        END IF;
+      END $$;
+
+      -- Give users from before workspaces a workspace of their own, with the campaigns they created
+      DO $$
+      DECLARE
+        u RECORD;
+        new_workspace_id UUID;
+      BEGIN
+        FOR u IN
+          SELECT id, COALESCE(name, email) AS label FROM users
+          WHERE NOT EXISTS (SELECT 1 FROM workspace_members m WHERE m.user_id = users.id)
+        LOOP
+          INSERT INTO workspaces (name) VALUES (u.label || '''s Workspace') RETURNING id INTO new_workspace_id;
+          INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (new_workspace_id, u.id, 'owner');
+          UPDATE campaigns SET workspace_id = new_workspace_id WHERE user_id = u.id AND workspace_id IS NULL;
+        END LOOP;
+      END $$;
+
+      -- Add website pre-flight columns to leads if they don't exist (migration)
+      -- url_status: unchecked | ok | unreachable | dead | parked | blocked | invalid
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'leads' AND column_name = 'url_status'
+        ) THEN
+          ALTER TABLE leads ADD COLUMN url_status VARCHAR(20) DEFAULT 'unchecked';
+          ALTER TABLE leads ADD COLUMN url_status_detail TEXT;
+          ALTER TABLE leads ADD COLUMN resolved_url TEXT;
+          ALTER TABLE leads ADD COLUMN url_checked_at TIMESTAMP;
+        END IF;
+      END $$;
+
+      -- Widen resolved_url to TEXT (migration) - tracking redirects end up on long URLs
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'leads' AND column_name = 'resolved_url' AND data_type = 'character varying'
+        ) THEN
+          ALTER TABLE leads ALTER COLUMN resolved_url TYPE TEXT;
+        END IF;
+      END $$;
+
+      -- Add custom_fields column to leads if it doesn't exist (migration)
+      -- Extra CSV columns by field name, used as @FieldName personalization tokens
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'leads' AND column_name = 'custom_fields'
+        ) THEN
+          ALTER TABLE leads ADD COLUMN custom_fields JSONB DEFAULT '{}'::jsonb;
+        END IF;
+      END $$;
+
       -- Video analytics table
       CREATE TABLE IF NOT EXISTS video_analytics (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -117,14 +384,213 @@ export async function initDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Render jobs table (durable video generation queue)
+      -- status: queued -> claimed -> running -> succeeded | failed
+      -- A claimed/running job whose lease has expired is picked up again by any worker
+      CREATE TABLE IF NOT EXISTS render_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        worker_id VARCHAR(100),
+        lease_expires_at TIMESTAMP,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+
+      -- Lead imports table (CSV imports run in the background and are polled by the client)
+      -- status: queued -> importing -> checking (website pre-flight) -> completed | failed
+      CREATE TABLE IF NOT EXISTS lead_imports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        filename VARCHAR(255),
+        column_mapping JSONB DEFAULT '{}',
+        duplicate_strategy VARCHAR(20) DEFAULT 'skip',
+        preflight BOOLEAN DEFAULT false,
+        bytes_total BIGINT DEFAULT 0,
+        bytes_processed BIGINT DEFAULT 0,
+        rows_processed INTEGER DEFAULT 0,
+        created_count INTEGER DEFAULT 0,
+        updated_count INTEGER DEFAULT 0,
+        skipped_count INTEGER DEFAULT 0,
+        error_count INTEGER DEFAULT 0,
+        duplicate_count INTEGER DEFAULT 0,
+        checked_count INTEGER DEFAULT 0,
+        flagged_count INTEGER DEFAULT 0,
+        duplicate_details JSONB DEFAULT '[]',
+        error_details JSONB DEFAULT '[]',
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+
+      -- Webhooks table (per-campaign endpoints for video lifecycle events)
+      -- events: JSON array of event names the endpoint subscribes to
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+        url VARCHAR(2000) NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        events JSONB NOT NULL DEFAULT '[]',
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Webhook deliveries table (one row per event sent to an endpoint, kept as the delivery log)
+      -- status: pending -> delivered | failed; pending deliveries are retried at next_attempt_at
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      );
+
+      -- Add file format columns to lead_imports if they don't exist (migration)
+      -- file_format: csv, tsv, xlsx, xls; sheet_name/header_row: NULL = first sheet, detected header row
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'lead_imports' AND column_name = 'file_format'
+        ) THEN
+          ALTER TABLE lead_imports ADD COLUMN file_format VARCHAR(10) DEFAULT 'csv';
+          ALTER TABLE lead_imports ADD COLUMN sheet_name VARCHAR(255);
+          ALTER TABLE lead_imports ADD COLUMN header_row INTEGER;
+        END IF;
+      END $$;
+
+      -- Add batch_finished_at column to campaigns if it doesn't exist (migration)
+      -- Set when the campaign's render queue empties, so campaign.batch_finished is sent once per batch
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'campaigns' AND column_name = 'batch_finished_at'
+        ) THEN
+          ALTER TABLE campaigns ADD COLUMN batch_finished_at TIMESTAMP;
+        END IF;
+      END $$;
+
+      -- Add player event columns to video_analytics if they don't exist (migration)
+      -- Landing page player events (play, pause, seek, progress...) carry the viewer's page session,
+      -- the video position, the seconds watched so far in that session and event details (e.g. { percent })
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'video_analytics' AND column_name = 'session_id'
+        ) THEN
+          ALTER TABLE video_analytics ADD COLUMN session_id VARCHAR(64);
+          ALTER TABLE video_analytics ADD COLUMN position_seconds REAL;
+          ALTER TABLE video_analytics ADD COLUMN watched_seconds REAL;
+          ALTER TABLE video_analytics ADD COLUMN data JSONB;
+        END IF;
+      END $$;
+
+      -- Engagement for one video, summed over the viewers' page sessions
+      -- watch_seconds adds up the furthest watched_seconds reported by each session
+      -- A function rather than a view, so lists only aggregate the videos on the page:
+      --   LEFT JOIN LATERAL video_engagement(gv.id) ve ON true
+      DROP VIEW IF EXISTS video_engagement;
+      CREATE OR REPLACE FUNCTION video_engagement(target_video_id UUID)
+      RETURNS TABLE (
+        plays INT,
+        play_sessions INT,
+        max_progress INT,
+        watch_seconds INT,
+        cta_clicks INT,
+        last_played_at TIMESTAMP
+      )
+      LANGUAGE sql STABLE AS $fn$
+        SELECT
+          SUM(plays)::int,
+          COUNT(*) FILTER (WHERE plays > 0)::int,
+          COALESCE(MAX(max_progress), 0)::int,
+          ROUND(COALESCE(SUM(watched_seconds), 0))::int,
+          SUM(cta_clicks)::int,
+          MAX(last_played_at)
+        FROM (
+          SELECT
+            COUNT(*) FILTER (WHERE event_type = 'play') AS plays,
+            MAX((data->>'percent')::int) FILTER (WHERE event_type = 'progress') AS max_progress,
+            MAX(watched_seconds) AS watched_seconds,
+            COUNT(*) FILTER (WHERE event_type = 'cta_click') AS cta_clicks,
+            MAX(created_at) FILTER (WHERE session_id IS NOT NULL) AS last_played_at
+          FROM video_analytics
+          WHERE video_id = target_video_id
+          GROUP BY session_id
+        ) sessions
+      $fn$;
+
+      -- Add retry/failure classification columns if they don't exist (migration)
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'generated_videos' AND column_name = 'error_code'
+        ) THEN
+          ALTER TABLE generated_videos ADD COLUMN error_code VARCHAR(50);
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'render_jobs' AND column_name = 'attempts'
+        ) THEN
+          ALTER TABLE render_jobs ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'render_jobs' AND column_name = 'run_after'
+        ) THEN
+          ALTER TABLE render_jobs ADD COLUMN run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name = 'render_jobs' AND column_name = 'error_code'
+        ) THEN
+          ALTER TABLE render_jobs ADD COLUMN error_code VARCHAR(50);
+        END IF;
+      END $$;
+
       -- Create indexes
       CREATE INDEX IF NOT EXISTS idx_leads_campaign ON leads(campaign_id);
       CREATE INDEX IF NOT EXISTS idx_videos_lead ON generated_videos(lead_id);
       CREATE INDEX IF NOT EXISTS idx_videos_campaign ON generated_videos(campaign_id);
       CREATE INDEX IF NOT EXISTS idx_videos_slug ON generated_videos(unique_slug);
       CREATE INDEX IF NOT EXISTS idx_analytics_video ON video_analytics(video_id);
+      CREATE INDEX IF NOT EXISTS idx_analytics_video_session ON video_analytics(video_id, session_id);
       CREATE INDEX IF NOT EXISTS idx_videos_expires ON generated_videos(expires_at);
-      
+      CREATE INDEX IF NOT EXISTS idx_render_jobs_status ON render_jobs(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_render_jobs_run_after ON render_jobs(status, run_after);
+      CREATE INDEX IF NOT EXISTS idx_render_jobs_campaign ON render_jobs(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_lead_imports_campaign ON lead_imports(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_webhooks_campaign ON webhooks(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_campaigns_user ON campaigns(user_id);
+      CREATE INDEX IF NOT EXISTS idx_campaigns_workspace ON campaigns(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id);
+      CREATE INDEX IF NOT EXISTS idx_workspace_invites_email ON workspace_invites(email);
+      CREATE INDEX IF NOT EXISTS idx_api_keys_workspace ON api_keys(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+
+      -- Only one active (queued/claimed/running) job per lead
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_render_jobs_active_lead ON render_jobs(lead_id)
+        WHERE status IN ('queued', 'claimed', 'running');
+
       -- Migration: Add unique constraint on lead_id if it doesn't exist
       -- This handles existing databases that were created without the constraint
       DO $$
@@ -4,12 +4,21 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import pool, { initDatabase } from './db.js';
+import authRoutes from './routes/auth.js';
 import campaignRoutes from './routes/campaigns.js';
 import leadRoutes from './routes/leads.js';
 import videoRoutes from './routes/videos.js';
+import workspaceRoutes from './routes/workspaces.js';
+import webhookRoutes from './routes/webhooks.js';
 import { initStorage, STORAGE_PATHS } from './services/storage.js';
 import { startCleanupScheduler } from './services/cleanup.js';
+import { startRenderQueue } from './services/renderQueue.js';
+import { startWebhookDeliveries } from './services/webhooks.js';
 import { generateOGHtml, isCrawler } from './services/ogMetadata.js';
+import { openApiSpec } from './openapi.js';
+import { requireAuth } from './services/auth.js';
+import { requireUserOrApiKey } from './services/apiKeys.js';
+import { requireWorkspace } from './services/workspaces.js';
 
 dotenv.config();
 
@@ -24,6 +33,10 @@ console.log(`📂 Server directory: ${__dirname}`);
 console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
 console.log(`🔌 Port: ${PORT}`);
 
+// Proxy hops in front of the server (Railway has one), so req.ip is the viewer's
+// address - landing page analytics are rate limited by it
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY ?? '1') || false);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '100mb' }));
@@ -34,8 +47,15 @@ app.use('/uploads', express.static(STORAGE_PATHS.uploads));
 app.use('/videos', express.static(STORAGE_PATHS.videos));
 
 // API Routes
-app.use('/api/campaigns', campaignRoutes);
-app.use('/api/leads', leadRoutes);
+// Campaign, lead and webhook management needs a signed-in user (or a workspace
+// API key) and is scoped to the current workspace (X-Workspace-Id); the video
+// routes do the same for everything except the public landing page, file,
+// preview and thumbnail routes. Workspaces and their API keys are managed by signed-in users only
+app.use('/api/auth', authRoutes);
+app.use('/api/workspaces', requireAuth, workspaceRoutes);
+app.use('/api/campaigns', requireUserOrApiKey, requireWorkspace, campaignRoutes);
+app.use('/api/leads', requireUserOrApiKey, requireWorkspace, leadRoutes);
+app.use('/api/webhooks', requireUserOrApiKey, requireWorkspace, webhookRoutes);
 app.use('/api/videos', videoRoutes);
 
 // Health check - basic (no DB required)
@@ -53,6 +73,16 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// OpenAPI description of the campaign, lead and video routes
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// Unknown API routes get the usual error envelope rather than the React app
+app.use('/api', (req, res) => {
+  res.status(404).json({ success: false, error: `No route for ${req.method} ${req.originalUrl}` });
+});
+
 // Serve React app - ALWAYS (not just production)
 const clientDistPath = path.join(__dirname, '../client/dist');
 console.log(`📁 Serving static files from: ${clientDistPath}`);
@@ -121,7 +151,14 @@ app.get('*', (req, res) => {
 });
 
 // Error handling middleware
+// Client errors raised by middleware (e.g. malformed JSON, bodies over the limit) keep their status
 app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+
+  if (status < 500) {
+    return res.status(status).json({ success: false, error: err.expose ? err.message : 'Invalid request' });
+  }
+
   console.error('Server error:', err);
   res.status(500).json({ 
     success: false, 
@@ -164,6 +201,12 @@ async function start() {
     
     // Start cleanup scheduler after database is ready
     startCleanupScheduler();
+
+    // Resume any render jobs left over from a previous run
+    await startRenderQueue();
+
+    // Send webhook deliveries left over from a previous run, then poll for retries
+    startWebhookDeliveries();
   } catch (error) {
     console.error('⚠️ Database connection failed:', error.message);
     console.error('App will continue running but database features won\'t work');
@@ -0,0 +1,677 @@
+import { RENDER_PROFILES, CAPTURE_DEVICES } from './services/videoProcessor.js';
+import { DUPLICATE_STRATEGIES } from './services/leadDuplicates.js';
+import { URL_STATUSES } from './services/urlPreflight.js';
+import { IMPORT_FORMATS } from './services/leadFiles.js';
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from './services/webhooks.js';
+import { PLAYER_EVENTS, PROGRESS_PERCENTS, MAX_EVENTS_PER_BEACON, MAX_EVENTS_PER_SESSION } from './services/playerEvents.js';
+
+/**
+ * OpenAPI description of the campaign, lead, video and webhook routes
+ * Served at GET /api/openapi.json - enums come from the services so the
+ * description stays in step with what the routes accept
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+// Successful response: { success: true, ...properties }
+function ok(description, properties = {}) {
+  return {
+    description,
+    content: json({
+      type: 'object',
+      required: ['success'],
+      properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+    })
+  };
+}
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  429: 'TooManyRequests',
+  500: 'ServerError'
+};
+
+// Error responses for an operation - every operation can fail with a 500
+function errors(...statuses) {
+  return Object.fromEntries([...statuses, 500].map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }]));
+}
+
+function pathId(name, description) {
+  return { name, in: 'path', required: true, description, schema: { type: 'string', format: 'uuid' } };
+}
+
+const slugParam = { name: 'slug', in: 'path', required: true, description: 'Video slug', schema: { type: 'string' } };
+const workspaceParam = { $ref: '#/components/parameters/WorkspaceId' };
+
+function paginationParams(defaultLimit, maxLimit) {
+  return [
+    {
+      name: 'limit',
+      in: 'query',
+      description: defaultLimit ? `Page size (default ${defaultLimit})` : 'Page size (every row when left out)',
+      schema: { type: 'integer', minimum: 1, maximum: maxLimit }
+    },
+    { name: 'offset', in: 'query', description: 'Rows to skip', schema: { type: 'integer', minimum: 0, default: 0 } }
+  ];
+}
+
+// Operation needing a signed-in user or API key, in the X-Workspace-Id workspace
+function operation(tag, summary, { parameters = [], ...rest }) {
+  return { tags: [tag], summary, parameters: [workspaceParam, ...parameters], ...rest };
+}
+
+// Public operation (landing pages and the media they play)
+function publicOperation(summary, rest) {
+  return { tags: ['Public'], summary, security: [], ...rest };
+}
+
+const media = (type) => ({ [type]: { schema: { type: 'string', format: 'binary' } } });
+
+const leadIdsSchema = {
+  type: 'array',
+  items: { type: 'string', format: 'uuid' },
+  maxItems: 10000,
+  description: 'Only these leads (all of the campaign\'s leads when left out)'
+};
+
+const campaignSettings = {
+  name: { type: 'string' },
+  video_style: { type: 'string', enum: ['small_bubble', 'big_bubble', 'full_screen'] },
+  video_position: { type: 'string', example: 'bottom_left' },
+  video_shape: { type: 'string', example: 'circle' },
+  video_title: { type: 'string', description: 'Landing page title; supports @Token|fallback personalization' },
+  video_description: { type: 'string' },
+  calendar_url: { type: 'string' },
+  button_text: { type: 'string' },
+  button_link: { type: 'string' },
+  text_color: { type: 'string' },
+  bg_color: { type: 'string' },
+  text_hover_color: { type: 'string' },
+  bg_hover_color: { type: 'string' },
+  dark_mode: { type: 'boolean' },
+  display_delay: { type: 'integer' },
+  scroll_behavior: { type: 'string', enum: ['stay_down', 'scroll_back_up', 'loop'] },
+  mouse_display: { type: 'string', enum: ['moving', 'static', 'hidden'] },
+  display_tab: { type: 'boolean' },
+  show_cta_button: { type: 'boolean' },
+  secondary_video_display: { type: 'string', enum: ['fullscreen', 'bubble'] },
+  fullscreen_transition_time: { type: 'integer', minimum: 1, maximum: 300 },
+  fullscreen_return_time: { type: 'integer', nullable: true },
+  fullscreen_transition: { type: 'string', enum: ['cut', 'fade', 'grow'] },
+  tour_mode: { type: 'string', enum: ['off', 'paths', 'auto'] },
+  tour_paths: { type: 'array', items: { type: 'string' } },
+  tour_max_pages: { type: 'integer' },
+  render_profile: { type: 'string', enum: Object.keys(RENDER_PROFILES) },
+  capture_device: { type: 'string', enum: ['desktop', ...Object.keys(CAPTURE_DEVICES)] },
+  capture_hide_selectors: { type: 'array', items: { type: 'string' } },
+  capture_click_selectors: { type: 'array', items: { type: 'string' } },
+  max_capture_height: { type: 'integer' },
+  capture_mode: { type: 'string', enum: ['screenshot', 'live'] }
+};
+
+const leadFields = {
+  website_url: { type: 'string' },
+  first_name: { type: 'string' },
+  last_name: { type: 'string' },
+  company_name: { type: 'string' },
+  email: { type: 'string' },
+  phone: { type: 'string' },
+  custom_fields: {
+    type: 'object',
+    additionalProperties: { type: 'string' },
+    description: 'Extra values for @Field personalization tokens'
+  }
+};
+
+// Landing page engagement, returned with leads and videos
+const engagementFields = {
+  plays: { type: 'integer', description: 'Times the video was played on its landing page' },
+  max_progress: { type: 'integer', enum: [0, ...PROGRESS_PERCENTS], description: 'Furthest quartile played through (%)' },
+  watch_seconds: { type: 'integer', description: 'Seconds watched, over all viewings' },
+  cta_clicks: { type: 'integer' },
+  last_played_at: { type: 'string', format: 'date-time', nullable: true }
+};
+
+const webhookSettings = {
+  url: { type: 'string', format: 'uri', description: 'Public http or https endpoint that receives the events (private and local network addresses are refused)' },
+  events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1 },
+  active: { type: 'boolean', default: true }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'What went wrong, readable by people' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer', description: 'Rows matching the request' },
+      limit: { type: 'integer', nullable: true, description: 'null when every row was returned' },
+      offset: { type: 'integer' }
+    },
+    required: ['total', 'limit', 'offset']
+  },
+  Campaign: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      workspace_id: { type: 'string', format: 'uuid' },
+      user_id: { type: 'string', format: 'uuid', nullable: true },
+      intro_video_path: { type: 'string', nullable: true },
+      secondary_video_path: { type: 'string', nullable: true },
+      ...campaignSettings,
+      lead_count: { type: 'integer', description: 'Only in lists' },
+      video_count: { type: 'integer', description: 'Only in lists' },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  CampaignSettings: { type: 'object', properties: campaignSettings },
+  Lead: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      campaign_id: { type: 'string', format: 'uuid' },
+      ...leadFields,
+      url_status: { type: 'string', enum: URL_STATUSES },
+      url_status_detail: { type: 'string', nullable: true },
+      resolved_url: { type: 'string', nullable: true },
+      video_id: { type: 'string', format: 'uuid', nullable: true, description: 'The lead\'s video, when there is one' },
+      unique_slug: { type: 'string', nullable: true, description: 'The lead\'s video, when there is one' },
+      status: { type: 'string', nullable: true, description: 'The lead\'s video status' },
+      views: { type: 'integer', nullable: true, description: 'Landing page opens' },
+      ...engagementFields,
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  LeadInput: {
+    type: 'object',
+    required: ['website_url'],
+    properties: {
+      ...leadFields,
+      preflight: { type: 'boolean', description: 'Check the website before answering' }
+    }
+  },
+  LeadImport: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      campaign_id: { type: 'string', format: 'uuid' },
+      status: { type: 'string', example: 'running' },
+      filename: { type: 'string' },
+      file_format: { type: 'string', enum: Object.keys(IMPORT_FORMATS) },
+      bytes_total: { type: 'integer' },
+      bytes_processed: { type: 'integer' },
+      rows_processed: { type: 'integer' },
+      created_count: { type: 'integer' },
+      updated_count: { type: 'integer' },
+      skipped_count: { type: 'integer' },
+      error_count: { type: 'integer' },
+      duplicate_count: { type: 'integer' },
+      error_message: { type: 'string', nullable: true }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      campaign_id: { type: 'string', format: 'uuid' },
+      ...webhookSettings,
+      pending_count: { type: 'integer', description: 'Only in lists' },
+      delivered_count: { type: 'integer', description: 'Only in lists' },
+      failed_count: { type: 'integer', description: 'Only in lists' },
+      last_delivery_at: { type: 'string', format: 'date-time', nullable: true, description: 'Only in lists' },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookEvent: {
+    type: 'object',
+    description: 'The JSON body POSTed to a webhook endpoint',
+    properties: {
+      id: { type: 'string', format: 'uuid', description: 'Event id - the same for every delivery of the event, including redeliveries' },
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      created_at: { type: 'string', format: 'date-time' },
+      data: {
+        type: 'object',
+        description: 'campaign { id, name }; video events add lead and video (with landing_url, video_url and thumbnail_url), view and click events add viewer; campaign.batch_finished adds counts'
+      }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      webhook_id: { type: 'string', format: 'uuid' },
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      payload: ref('WebhookEvent'),
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      attempts: { type: 'integer' },
+      next_attempt_at: { type: 'string', format: 'date-time', description: 'When a pending delivery is tried next' },
+      last_status_code: { type: 'integer', nullable: true },
+      last_error: { type: 'string', nullable: true },
+      created_at: { type: 'string', format: 'date-time' },
+      delivered_at: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  Video: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      lead_id: { type: 'string', format: 'uuid' },
+      campaign_id: { type: 'string', format: 'uuid' },
+      unique_slug: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed'] },
+      error_code: { type: 'string', nullable: true },
+      error_message: { type: 'string', nullable: true },
+      views: { type: 'integer' },
+      ...engagementFields,
+      campaign_name: { type: 'string' },
+      website_url: { type: 'string' },
+      created_at: { type: 'string', format: 'date-time' },
+      expires_at: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const paths = {
+  '/campaigns': {
+    get: operation('Campaigns', 'List campaigns', {
+      parameters: paginationParams(null, 500),
+      responses: {
+        200: ok('Campaigns, newest first', { campaigns: { type: 'array', items: ref('Campaign') }, pagination: ref('Pagination') }),
+        ...errors(400, 401, 403)
+      }
+    }),
+    post: operation('Campaigns', 'Create a campaign', {
+      requestBody: {
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                introVideo: { type: 'string', format: 'binary' },
+                secondaryVideo: { type: 'string', format: 'binary' },
+                ...campaignSettings
+              }
+            }
+          }
+        }
+      },
+      responses: { 201: ok('Created', { campaign: ref('Campaign') }), ...errors(400, 401, 403) }
+    })
+  },
+  '/campaigns/{id}': {
+    parameters: [pathId('id', 'Campaign id')],
+    get: operation('Campaigns', 'Get a campaign with its leads', {
+      responses: {
+        200: ok('The campaign', { campaign: ref('Campaign'), leads: { type: 'array', items: ref('Lead') } }),
+        ...errors(401, 403, 404)
+      }
+    }),
+    put: operation('Campaigns', 'Update campaign settings', {
+      description: 'Only the fields sent are changed; any other field is rejected. Send multipart/form-data to replace the intro or secondary video.',
+      requestBody: { content: json(ref('CampaignSettings')) },
+      responses: { 200: ok('Updated', { campaign: ref('Campaign') }), ...errors(400, 401, 403, 404) }
+    }),
+    delete: operation('Campaigns', 'Delete a campaign with its leads, videos and files', {
+      responses: { 200: ok('Deleted', { deletedFiles: { type: 'integer' } }), ...errors(401, 403, 404) }
+    })
+  },
+  '/leads/campaign/{campaignId}': {
+    parameters: [pathId('campaignId', 'Campaign id')],
+    get: operation('Leads', 'List a campaign\'s leads with their video', {
+      parameters: paginationParams(null, 1000),
+      responses: {
+        200: ok('Leads, newest first', { leads: { type: 'array', items: ref('Lead') }, pagination: ref('Pagination') }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+  '/leads/{id}': {
+    post: operation('Leads', 'Add a lead to a campaign', {
+      parameters: [pathId('id', 'Campaign id')],
+      requestBody: { required: true, content: json(ref('LeadInput')) },
+      responses: { 201: ok('Created', { lead: ref('Lead') }), ...errors(400, 401, 403, 404) }
+    }),
+    put: operation('Leads', 'Update a lead', {
+      description: 'Only the fields sent are changed; custom_fields are merged into the existing ones.',
+      parameters: [pathId('id', 'Lead id')],
+      requestBody: { content: json({ type: 'object', properties: leadFields }) },
+      responses: { 200: ok('Updated', { lead: ref('Lead') }), ...errors(400, 401, 403, 404) }
+    }),
+    delete: operation('Leads', 'Delete a lead', {
+      parameters: [pathId('id', 'Lead id')],
+      responses: { 200: ok('Deleted'), ...errors(401, 403, 404) }
+    })
+  },
+  '/leads/import/preview': {
+    post: operation('Leads', 'Preview an import file\'s headers and first rows', {
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file'],
+              properties: {
+                file: { type: 'string', format: 'binary' },
+                sheet: { type: 'string' },
+                headerRow: { type: 'integer', minimum: 1 }
+              }
+            }
+          }
+        }
+      },
+      responses: { 200: ok('Preview', { preview: { type: 'object' } }), ...errors(400, 401, 403) }
+    })
+  },
+  '/leads/import/{campaignId}': {
+    parameters: [pathId('campaignId', 'Campaign id')],
+    post: operation('Leads', 'Import leads from a file in the background', {
+      description: `Accepts ${Object.keys(IMPORT_FORMATS).join(', ')} files. Poll GET /leads/imports/{importId} for progress.`,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file', 'columnMapping'],
+              properties: {
+                file: { type: 'string', format: 'binary' },
+                columnMapping: { type: 'string', description: 'JSON: { website_url: "<column>", first_name: "<column>", ..., custom_fields: { "<column>": "<Field>" } }' },
+                duplicateStrategy: { type: 'string', enum: DUPLICATE_STRATEGIES, default: 'skip' },
+                preflight: { type: 'boolean' },
+                sheet: { type: 'string' },
+                headerRow: { type: 'integer', minimum: 1 }
+              }
+            }
+          }
+        }
+      },
+      responses: { 202: ok('Import started', { import: ref('LeadImport') }), ...errors(400, 401, 403, 404) }
+    })
+  },
+  '/leads/imports/{importId}': {
+    parameters: [pathId('importId', 'Import id')],
+    get: operation('Leads', 'Get an import\'s progress and report', {
+      responses: { 200: ok('The import', { import: ref('LeadImport') }), ...errors(401, 403, 404) }
+    })
+  },
+  '/leads/preflight/{campaignId}': {
+    parameters: [pathId('campaignId', 'Campaign id')],
+    post: operation('Leads', 'Check leads\' websites before generating', {
+      requestBody: {
+        content: json({
+          type: 'object',
+          properties: {
+            leadIds: leadIdsSchema,
+            all: { type: 'boolean', description: 'Re-check leads that were already checked' }
+          }
+        })
+      },
+      responses: {
+        200: ok('Checked leads', {
+          checked: { type: 'integer' },
+          counts: { type: 'object', additionalProperties: { type: 'integer' } },
+          leads: { type: 'array', items: ref('Lead') }
+        }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+  '/leads/export/{campaignId}': {
+    parameters: [pathId('campaignId', 'Campaign id')],
+    get: operation('Leads', 'Export leads with their video links as CSV', {
+      responses: { 200: { description: 'CSV file', content: { 'text/csv': { schema: { type: 'string' } } } }, ...errors(401, 403, 404) }
+    })
+  },
+  '/videos/generate/{campaignId}': {
+    parameters: [pathId('campaignId', 'Campaign id')],
+    post: operation('Videos', 'Queue videos for a campaign\'s leads', {
+      description: 'Leads flagged by the website pre-flight check are skipped.',
+      requestBody: { content: json({ type: 'object', properties: { leadIds: leadIdsSchema } }) },
+      responses: {
+        200: ok('Queued', {
+          message: { type: 'string' },
+          queueSize: { type: 'integer' },
+          skipped: { type: 'integer' }
+        }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+  '/videos/status/{campaignId}': {
+    parameters: [pathId('campaignId', 'Campaign id')],
+    get: operation('Videos', 'Get a campaign\'s rendering progress', {
+      responses: {
+        200: ok('Progress', {
+          status: {
+            type: 'object',
+            properties: Object.fromEntries(['completed', 'processing', 'pending', 'failed', 'skipped', 'total'].map(key => [key, { type: 'integer' }]))
+          },
+          queuePosition: { type: 'integer' },
+          retrying: { type: 'integer' },
+          isProcessing: { type: 'boolean' }
+        }),
+        ...errors(401, 403, 404)
+      }
+    })
+  },
+  '/videos/all': {
+    get: operation('Videos', 'List completed videos in the workspace', {
+      parameters: [
+        ...paginationParams(20, 100),
+        { name: 'search', in: 'query', description: 'Matches website, name, company, email or campaign name', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: ok('Videos, newest first', { videos: { type: 'array', items: ref('Video') }, pagination: ref('Pagination') }),
+        ...errors(400, 401, 403)
+      }
+    })
+  },
+  '/videos/{slug}': {
+    parameters: [slugParam],
+    delete: operation('Videos', 'Delete a video and its files', {
+      responses: { 200: ok('Deleted', { message: { type: 'string' } }), ...errors(401, 403, 404) }
+    })
+  },
+  '/videos/storage/stats': {
+    get: operation('Videos', 'Get the workspace\'s storage usage and retention settings', {
+      responses: { 200: ok('Storage stats', { storage: { type: 'object' }, cleanup: { type: 'object' }, retention: { type: 'object' }, limits: { type: 'object' } }), ...errors(401, 403) }
+    })
+  },
+  '/videos/storage/cleanup': {
+    post: operation('Videos', 'Delete expired videos and enforce the storage limit now', {
+      description: 'Runs across every workspace, so only server admins (ADMIN_EMAILS) can call it, and not with an API key.',
+      responses: { 200: ok('Cleanup results', { expired: { type: 'object' }, storage: { type: 'object' } }), ...errors(401, 403) }
+    })
+  },
+  '/videos/landing/{slug}': {
+    parameters: [slugParam],
+    get: publicOperation('Get a video\'s personalized landing page', {
+      responses: { 200: ok('Landing page data', { data: { type: 'object' } }), ...errors(404) }
+    })
+  },
+  '/videos/landing/{slug}/click': {
+    parameters: [slugParam],
+    post: publicOperation('Record a click on the landing page\'s CTA button', {
+      description: 'Limited to 10 clicks per viewer IP and video every 10 minutes.',
+      responses: { 204: { description: 'Recorded' }, ...errors(404, 429) }
+    })
+  },
+  '/videos/landing/{slug}/events': {
+    parameters: [slugParam],
+    post: publicOperation('Record landing page player events', {
+      description: `Sent by the landing page player with navigator.sendBeacon. Each quartile is only recorded once per session, a session stores at most ${MAX_EVENTS_PER_SESSION} events, and each viewer IP can send 150 beacons per video every 10 minutes.`,
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['session_id', 'events'],
+          properties: {
+            session_id: { type: 'string', pattern: '^[A-Za-z0-9_-]{8,64}$', description: 'One id per page load' },
+            events: {
+              type: 'array',
+              minItems: 1,
+              maxItems: MAX_EVENTS_PER_BEACON,
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: { type: 'string', enum: PLAYER_EVENTS },
+                  position: { type: 'number', description: 'Video time in seconds' },
+                  watched: { type: 'number', description: 'Seconds played so far in this session' },
+                  percent: { type: 'integer', enum: PROGRESS_PERCENTS, description: 'progress events only' },
+                  from: { type: 'number', description: 'seek events only: where the seek started' }
+                }
+              }
+            }
+          }
+        })
+      },
+      responses: { 204: { description: 'Recorded' }, ...errors(400, 404, 429) }
+    })
+  },
+  '/videos/og/{slug}': {
+    parameters: [slugParam],
+    get: publicOperation('Get a video\'s link preview metadata', {
+      responses: { 200: ok('Open Graph data', { og: { type: 'object' } }), ...errors(404) }
+    })
+  },
+  '/videos/file/{slug}': {
+    parameters: [slugParam],
+    get: publicOperation('Stream the video', { responses: { 200: { description: 'MP4 video', content: media('video/mp4') }, ...errors(404) } })
+  },
+  '/videos/preview/{slug}': {
+    parameters: [slugParam],
+    get: publicOperation('Get the animated preview', { responses: { 200: { description: 'GIF preview', content: media('image/gif') }, ...errors(404) } })
+  },
+  '/videos/thumbnail/{slug}': {
+    parameters: [slugParam],
+    get: publicOperation('Get the thumbnail', { responses: { 200: { description: 'JPEG thumbnail', content: media('image/jpeg') }, ...errors(404) } })
+  },
+  '/webhooks/campaign/{campaignId}': {
+    parameters: [pathId('campaignId', 'Campaign id')],
+    get: operation('Webhooks', 'List a campaign\'s webhooks with their delivery counts', {
+      responses: {
+        200: ok('Webhooks', {
+          webhooks: { type: 'array', items: ref('Webhook') },
+          events: { type: 'array', items: { type: 'string' }, description: 'Events a webhook can subscribe to' }
+        }),
+        ...errors(401, 403, 404)
+      }
+    }),
+    post: operation('Webhooks', 'Add a webhook to a campaign', {
+      requestBody: { required: true, content: json({ type: 'object', required: ['url', 'events'], properties: webhookSettings }) },
+      responses: {
+        201: ok('Created - the secret is only shown here', { secret: { type: 'string' }, webhook: ref('Webhook') }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+  '/webhooks/{id}': {
+    parameters: [pathId('id', 'Webhook id')],
+    put: operation('Webhooks', 'Update a webhook', {
+      description: 'Only the fields sent are changed.',
+      requestBody: { content: json({ type: 'object', properties: webhookSettings }) },
+      responses: { 200: ok('Updated', { webhook: ref('Webhook') }), ...errors(400, 401, 403, 404) }
+    }),
+    delete: operation('Webhooks', 'Delete a webhook and its delivery log', {
+      responses: { 200: ok('Deleted'), ...errors(401, 403, 404) }
+    })
+  },
+  '/webhooks/{id}/rotate-secret': {
+    parameters: [pathId('id', 'Webhook id')],
+    post: operation('Webhooks', 'Replace a webhook\'s signing secret', {
+      responses: {
+        200: ok('The new secret - only shown here', { secret: { type: 'string' }, webhook: ref('Webhook') }),
+        ...errors(401, 403, 404)
+      }
+    })
+  },
+  '/webhooks/{id}/deliveries': {
+    parameters: [pathId('id', 'Webhook id')],
+    get: operation('Webhooks', 'List a webhook\'s deliveries', {
+      parameters: [
+        ...paginationParams(50, 200),
+        { name: 'status', in: 'query', schema: { type: 'string', enum: DELIVERY_STATUSES } }
+      ],
+      responses: {
+        200: ok('Deliveries, newest first', { deliveries: { type: 'array', items: ref('WebhookDelivery') }, pagination: ref('Pagination') }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+  '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    parameters: [pathId('id', 'Webhook id'), pathId('deliveryId', 'Delivery id')],
+    post: operation('Webhooks', 'Send a delivery\'s event again', {
+      responses: { 201: ok('Queued', { delivery: ref('WebhookDelivery') }), ...errors(401, 403, 404) }
+    })
+  }
+};
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Mass VSL Generator API',
+    version: '1.0.0',
+    description: [
+      'Create campaigns, add or import leads and render their personalized videos.',
+      'Authenticate with a workspace API key (or a session token from /api/auth/login) as a bearer token.',
+      'Every error is answered as { success: false, error }. Lists take limit and offset and return a pagination block.'
+    ].join(' ')
+  },
+  servers: [{ url: '/api' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Campaigns' },
+    { name: 'Leads' },
+    { name: 'Videos' },
+    {
+      name: 'Webhooks',
+      description: 'Per-campaign endpoints that receive video lifecycle events as signed JSON POSTs (see WebhookEvent). ' +
+        'Each request has X-VSL-Event, X-VSL-Delivery and X-VSL-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook secret>. ' +
+        'Failed deliveries are retried with exponential backoff.'
+    },
+    { name: 'Public', description: 'Landing pages and the media they play - no authentication' }
+  ],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'A workspace API key (vsl_...) or a session token'
+      }
+    },
+    parameters: {
+      WorkspaceId: {
+        name: 'X-Workspace-Id',
+        in: 'header',
+        description: 'Workspace to work in (session tokens only - API keys always use their own workspace). Defaults to the user\'s first workspace',
+        schema: { type: 'string', format: 'uuid' }
+      }
+    },
+    responses: {
+      BadRequest: { description: 'Invalid request', content: json(ref('Error')) },
+      Unauthorized: { description: 'Missing, expired or revoked credentials', content: json(ref('Error')) },
+      Forbidden: { description: 'Not a member of the workspace, or a viewer making a change', content: json(ref('Error')) },
+      NotFound: { description: 'Not found in this workspace', content: json(ref('Error')) },
+      TooManyRequests: { description: 'Too many requests from this address for this video', content: json(ref('Error')) },
+      ServerError: { description: 'Server error', content: json(ref('Error')) }
+    },
+    schemas
+  }
+};
+
+export default openApiSpec;
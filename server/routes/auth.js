@@ -0,0 +1,160 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  deleteSession,
+  requireAuth
+} from '../services/auth.js';
+import { createWorkspace, hasPendingInvite, acceptInvites } from '../services/workspaces.js';
+
+const router = Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Anyone can create the first account; after that only when ALLOW_SIGNUP=true
+// or when the email has been invited to a workspace
+async function isSignupAllowed(email) {
+  if (process.env.ALLOW_SIGNUP === 'true') return true;
+  const { rows } = await pool.query('SELECT EXISTS (SELECT 1 FROM users) AS has_users');
+  return !rows[0].has_users || (!!email && await hasPendingInvite(email));
+}
+
+/**
+ * Validate registration fields
+ * Returns { value: { email, password, name } } or { error }
+ */
+function parseRegistration(body) {
+  const email = String(body.email ?? '').trim().toLowerCase();
+  const password = String(body.password ?? '');
+  const name = String(body.name ?? '').trim();
+
+  if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+    return { error: 'A valid email address is required' };
+  }
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters` };
+  }
+  if (name.length > 255) {
+    return { error: 'Name must be at most 255 characters' };
+  }
+
+  return { value: { email, password, name } };
+}
+
+// Whether the sign-in page should offer to create an account
+router.get('/config', async (req, res) => {
+  try {
+    res.json({ success: true, signupAllowed: await isSignupAllowed() });
+  } catch (error) {
+    console.error('Auth config error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create an account and sign in
+router.post('/register', async (req, res) => {
+  try {
+    const registration = parseRegistration(req.body);
+    if (registration.error) {
+      return res.status(400).json({ success: false, error: registration.error });
+    }
+
+    const { email, password, name } = registration.value;
+
+    if (!(await isSignupAllowed(email))) {
+      return res.status(403).json({ success: false, error: 'Sign-up is disabled on this server' });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    let user;
+    try {
+      const result = await pool.query(`
+        INSERT INTO users (email, name, password_hash, last_login_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        RETURNING id, email, name
+      `, [email, name || null, passwordHash]);
+      user = result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+      }
+      throw error;
+    }
+
+    // Invited users join the workspaces they were invited to; everyone else gets their own
+    const joined = await acceptInvites(user);
+    if (joined === 0) {
+      const workspace = await createWorkspace(`${name || email}'s Workspace`, user.id);
+
+      // Campaigns created before accounts existed belong to the first user
+      const { rows: [{ count }] } = await pool.query('SELECT COUNT(*)::int AS count FROM users');
+      if (count === 1) {
+        const claimed = await pool.query(
+          'UPDATE campaigns SET user_id = $1, workspace_id = $2 WHERE workspace_id IS NULL',
+          [user.id, workspace.id]
+        );
+        if (claimed.rowCount > 0) {
+          console.log(`👤 Assigned ${claimed.rowCount} existing campaigns to ${email}`);
+        }
+      }
+    }
+
+    const token = await createSession(user.id);
+
+    console.log(`👤 Registered ${email}`);
+
+    res.status(201).json({ success: true, token, user });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sign in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const email = String(req.body.email ?? '').trim().toLowerCase();
+    const password = String(req.body.password ?? '');
+
+    const { rows } = await pool.query(
+      'SELECT id, email, name, password_hash FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (rows.length === 0 || !(await verifyPassword(password, rows[0].password_hash))) {
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    const { password_hash, ...user } = rows[0];
+    await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+    const token = await createSession(user.id);
+
+    res.json({ success: true, token, user });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sign out (ends the current session only)
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await deleteSession(req.sessionToken);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the signed-in user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+export default router;
@@ -5,7 +5,12 @@ import { nanoid } from 'nanoid';
 import pool from '../db.js';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
-import { STORAGE_PATHS, getStorageStats } from '../services/storage.js';
+import { STORAGE_PATHS, getStorageStats, isCacheFile } from '../services/storage.js';
+import VideoProcessor, { RENDER_PROFILES, CAPTURE_DEVICES } from '../services/videoProcessor.js';
+import { deleteIntroCache } from '../services/introCache.js';
+import { DEFAULT_VIDEO_TITLE } from '../services/personalize.js';
+import { requireAdmin, requireCampaignAccess } from '../services/auth.js';
+import { parsePagination, paginationInfo, isInvalidInputError } from '../services/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -65,11 +70,245 @@ const handleUpload = (req, res, next) => {
   });
 };
 
-// Debug endpoint - list all campaigns with paths
-router.get('/debug', async (req, res) => {
+// Uploads are on disk before the request is validated - delete them when it's rejected
+const discardRejectedUploads = (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400) return;
+    for (const file of Object.values(req.files || {}).flat()) {
+      fs.unlink(file.path).catch(() => {});
+    }
+  });
+  next();
+};
+
+// Routes with a campaign :id only reach campaigns in the current workspace
+router.param('id', requireCampaignAccess);
+
+const VIDEO_STYLES = ['small_bubble', 'big_bubble', 'full_screen'];
+const SECONDARY_VIDEO_DISPLAYS = ['fullscreen', 'bubble'];
+const SCROLL_BEHAVIORS = ['stay_down', 'scroll_back_up', 'loop'];
+const MOUSE_DISPLAYS = ['moving', 'static', 'hidden'];
+
+const DISPLAY_OPTIONS = {
+  video_style: VIDEO_STYLES,
+  secondary_video_display: SECONDARY_VIDEO_DISPLAYS,
+  scroll_behavior: SCROLL_BEHAVIORS,
+  mouse_display: MOUSE_DISPLAYS
+};
+
+// Validate the video display options present in `input`
+// Returns { values } or { error }
+function parseDisplaySettings(input) {
+  const values = {};
+
+  for (const [field, options] of Object.entries(DISPLAY_OPTIONS)) {
+    if (input[field] === undefined) continue;
+    if (!options.includes(input[field])) {
+      return { error: `${field} must be one of: ${options.join(', ')}` };
+    }
+    values[field] = input[field];
+  }
+
+  return { values };
+}
+
+const FULLSCREEN_TRANSITIONS = ['cut', 'fade', 'grow'];
+const FULLSCREEN_FIELDS = ['fullscreen_transition_time', 'fullscreen_return_time', 'fullscreen_transition'];
+
+// Validate and normalize the full_screen timing fields present in `input`
+// `current` holds the stored values so a partial update is checked as a whole
+// Returns { values } or { error }
+function parseFullscreenSettings(input, current = {}) {
+  const values = {};
+
+  if (input.fullscreen_transition_time !== undefined) {
+    const time = Number(input.fullscreen_transition_time);
+    if (!Number.isInteger(time) || time < 1 || time > 300) {
+      return { error: 'fullscreen_transition_time must be a whole number of seconds between 1 and 300' };
+    }
+    values.fullscreen_transition_time = time;
+  }
+
+  if (input.fullscreen_return_time !== undefined) {
+    const raw = input.fullscreen_return_time;
+    if (raw === null || raw === '' || raw === 'null') {
+      // Stay fullscreen until the end
+      values.fullscreen_return_time = null;
+    } else {
+      const time = Number(raw);
+      if (!Number.isInteger(time) || time < 1 || time > 600) {
+        return { error: 'fullscreen_return_time must be a whole number of seconds between 1 and 600' };
+      }
+      values.fullscreen_return_time = time;
+    }
+  }
+
+  if (input.fullscreen_transition !== undefined) {
+    if (!FULLSCREEN_TRANSITIONS.includes(input.fullscreen_transition)) {
+      return { error: `fullscreen_transition must be one of: ${FULLSCREEN_TRANSITIONS.join(', ')}` };
+    }
+    values.fullscreen_transition = input.fullscreen_transition;
+  }
+
+  const transitionTime = values.fullscreen_transition_time ?? current.fullscreen_transition_time ?? 20;
+  const returnTime = values.fullscreen_return_time !== undefined
+    ? values.fullscreen_return_time
+    : current.fullscreen_return_time;
+
+  if (returnTime != null && returnTime <= transitionTime) {
+    return { error: 'fullscreen_return_time must be later than fullscreen_transition_time' };
+  }
+
+  return { values };
+}
+
+const TOUR_MODES = ['off', 'paths', 'auto'];
+const TOUR_FIELDS = ['tour_mode', 'tour_paths', 'tour_max_pages'];
+
+// Validate and normalize the website tour fields present in `input`
+// tour_paths may be an array or a string with one path per line (or comma-separated)
+// Returns { values } or { error }
+function parseTourSettings(input) {
+  const values = {};
+
+  if (input.tour_mode !== undefined) {
+    if (!TOUR_MODES.includes(input.tour_mode)) {
+      return { error: `tour_mode must be one of: ${TOUR_MODES.join(', ')}` };
+    }
+    values.tour_mode = input.tour_mode;
+  }
+
+  if (input.tour_paths !== undefined) {
+    let paths = input.tour_paths || [];
+    if (typeof paths === 'string') {
+      try {
+        paths = paths.trim().startsWith('[') ? JSON.parse(paths) : paths.split(/[\n,]+/);
+      } catch {
+        return { error: 'tour_paths must be a JSON array or one path per line' };
+      }
+    }
+    if (!Array.isArray(paths)) {
+      return { error: 'tour_paths must be a list of paths' };
+    }
+
+    paths = paths.map(p => String(p).trim()).filter(Boolean);
+    if (paths.length > 10) {
+      return { error: 'tour_paths can list at most 10 paths' };
+    }
+    if (paths.some(p => /^[a-z]+:/i.test(p))) {
+      return { error: 'tour_paths must be relative paths like /pricing' };
+    }
+    values.tour_paths = JSON.stringify(paths.map(p => p.startsWith('/') ? p : `/${p}`));
+  }
+
+  if (input.tour_max_pages !== undefined) {
+    const pages = Number(input.tour_max_pages);
+    if (!Number.isInteger(pages) || pages < 2 || pages > 5) {
+      return { error: 'tour_max_pages must be between 2 and 5 (homepage included)' };
+    }
+    values.tour_max_pages = pages;
+  }
+
+  return { values };
+}
+
+// Validate a render profile name, e.g. '1080p' or 'vertical'
+// Returns { value } or { error }
+function parseRenderProfile(input) {
+  if (!RENDER_PROFILES[input]) {
+    return { error: `render_profile must be one of: ${Object.keys(RENDER_PROFILES).join(', ')}` };
+  }
+  return { value: input };
+}
+
+const CAPTURE_SELECTOR_FIELDS = ['capture_hide_selectors', 'capture_click_selectors'];
+
+// Validate and normalize the capture selector lists present in `input`
+// Each may be an array or a string with one CSS selector per line (selectors can contain commas)
+// Returns { values } or { error }
+function parseCaptureSelectors(input) {
+  const values = {};
+
+  for (const field of CAPTURE_SELECTOR_FIELDS) {
+    if (input[field] === undefined) continue;
+
+    let selectors = input[field] || [];
+    if (typeof selectors === 'string') {
+      try {
+        selectors = selectors.trim().startsWith('[') ? JSON.parse(selectors) : selectors.split('\n');
+      } catch {
+        return { error: `${field} must be a JSON array or one selector per line` };
+      }
+    }
+    if (!Array.isArray(selectors)) {
+      return { error: `${field} must be a list of CSS selectors` };
+    }
+
+    selectors = selectors.map(selector => String(selector).trim()).filter(Boolean);
+    if (selectors.length > 20) {
+      return { error: `${field} can list at most 20 selectors` };
+    }
+    // Selectors end up in an injected stylesheet, so no rule blocks
+    if (selectors.some(selector => selector.length > 200 || /[{}]/.test(selector))) {
+      return { error: `${field} must be CSS selectors like #newsletter-popup` };
+    }
+    values[field] = JSON.stringify(selectors);
+  }
+
+  return { values };
+}
+
+// Validate a max capture height (CSS pixels)
+// Returns { value } or { error }
+function parseMaxCaptureHeight(input) {
+  const height = Number(input);
+  if (!Number.isInteger(height) || height < 1000 || height > 30000) {
+    return { error: 'max_capture_height must be between 1000 and 30000 pixels' };
+  }
+  return { value: height };
+}
+
+const CAPTURE_MODES = ['screenshot', 'live'];
+
+const CAPTURE_DEVICE_NAMES = ['desktop', ...Object.keys(CAPTURE_DEVICES)];
+
+// Validate a capture device name ('desktop' or a phone)
+// Returns { value } or { error }
+function parseCaptureDevice(input) {
+  if (!CAPTURE_DEVICE_NAMES.includes(input)) {
+    return { error: `capture_device must be one of: ${CAPTURE_DEVICE_NAMES.join(', ')}` };
+  }
+  return { value: input };
+}
+
+// Columns a campaign update can set - video paths only change through an upload
+const UPDATABLE_FIELDS = [
+  'name', 'video_position', 'video_shape', 'video_title', 'video_description',
+  'calendar_url', 'button_text', 'button_link', 'text_color', 'bg_color',
+  'text_hover_color', 'bg_hover_color', 'dark_mode', 'display_delay', 'display_tab',
+  'show_cta_button', ...Object.keys(DISPLAY_OPTIONS), ...FULLSCREEN_FIELDS, ...TOUR_FIELDS,
+  'render_profile', 'capture_device', ...CAPTURE_SELECTOR_FIELDS, 'max_capture_height', 'capture_mode'
+];
+
+// Pre-render the campaign's intro (and secondary) variants in the background
+// so the first lead render doesn't pay for scaling and masking
+function warmIntroCache(campaign) {
+  if (!campaign?.intro_video_path) return;
+
+  const processor = new VideoProcessor();
+  processor
+    .prepareIntro(campaign.intro_video_path, campaign)
+    .then(() => campaign.secondary_video_path && processor.prepareSecondary(campaign.secondary_video_path, campaign))
+    .then(() => console.log(`🧩 Intro cache ready for campaign ${campaign.id}`))
+    .catch(error => console.error(`⚠️ Intro pre-render failed for campaign ${campaign.id}:`, error.message));
+}
+
+// Debug endpoint - list the latest campaigns of every workspace with paths
+// (server admins only: like the upload listing and storage stats, it covers the whole server)
+router.get('/debug', requireAdmin, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT id, name, intro_video_path, secondary_video_path, created_at 
+      SELECT id, workspace_id, name, intro_video_path, secondary_video_path, created_at 
       FROM campaigns 
       ORDER BY created_at DESC 
       LIMIT 10
@@ -162,7 +401,7 @@ router.post('/test-upload', handleUpload, async (req, res) => {
 });
 
 // Create new campaign
-router.post('/', handleUpload, async (req, res) => {
+router.post('/', discardRejectedUploads, handleUpload, async (req, res) => {
   try {
     console.log('📝 Creating new campaign...');
     console.log('📁 Request files:', JSON.stringify(req.files, null, 2));
@@ -170,7 +409,6 @@ router.post('/', handleUpload, async (req, res) => {
     
     const {
       name,
-      video_style,
       video_position,
       video_shape,
       video_title,
@@ -184,12 +422,53 @@ router.post('/', handleUpload, async (req, res) => {
       bg_hover_color,
       dark_mode,
       display_delay,
-      scroll_behavior,
-      mouse_display,
       display_tab,
-      show_cta_button
+      show_cta_button,
+      render_profile,
+      capture_device,
+      max_capture_height,
+      capture_mode
     } = req.body;
 
+    const display = parseDisplaySettings(req.body);
+    if (display.error) {
+      return res.status(400).json({ success: false, error: display.error });
+    }
+
+    const fullscreen = parseFullscreenSettings(req.body);
+    if (fullscreen.error) {
+      return res.status(400).json({ success: false, error: fullscreen.error });
+    }
+
+    const tour = parseTourSettings(req.body);
+    if (tour.error) {
+      return res.status(400).json({ success: false, error: tour.error });
+    }
+
+    const profile = parseRenderProfile(render_profile || '720p');
+    if (profile.error) {
+      return res.status(400).json({ success: false, error: profile.error });
+    }
+
+    const device = parseCaptureDevice(capture_device || 'desktop');
+    if (device.error) {
+      return res.status(400).json({ success: false, error: device.error });
+    }
+
+    const captureSelectors = parseCaptureSelectors(req.body);
+    if (captureSelectors.error) {
+      return res.status(400).json({ success: false, error: captureSelectors.error });
+    }
+
+    const maxCaptureHeight = parseMaxCaptureHeight(max_capture_height || 15000);
+    if (maxCaptureHeight.error) {
+      return res.status(400).json({ success: false, error: maxCaptureHeight.error });
+    }
+
+    if (capture_mode && !CAPTURE_MODES.includes(capture_mode)) {
+      return res.status(400).json({ success: false, error: `capture_mode must be one of: ${CAPTURE_MODES.join(', ')}` });
+    }
+
     const introVideoPath = req.files?.introVideo?.[0]?.path || null;
     const secondaryVideoPath = req.files?.secondaryVideo?.[0]?.path || null;
 
@@ -208,17 +487,21 @@ router.post('/', handleUpload, async (req, res) => {
         button_text, button_link, text_color, bg_color,
         text_hover_color, bg_hover_color, dark_mode,
         display_delay, scroll_behavior, mouse_display, display_tab,
-        show_cta_button
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+        show_cta_button, secondary_video_display,
+        fullscreen_transition_time, fullscreen_return_time, fullscreen_transition,
+        tour_mode, tour_paths, tour_max_pages, render_profile, capture_device,
+        capture_hide_selectors, capture_click_selectors, max_capture_height, capture_mode,
+        user_id, workspace_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36)
       RETURNING *
     `, [
       name || 'Untitled Campaign',
       introVideoPath,
       secondaryVideoPath,
-      video_style || 'small_bubble',
+      display.values.video_style || 'small_bubble',
       video_position || 'bottom_left',
       video_shape || 'circle',
-      video_title || 'A video for you 👋',
+      video_title || DEFAULT_VIDEO_TITLE,
       video_description || '',
       calendar_url || '',
       button_text || '',
@@ -229,27 +512,53 @@ router.post('/', handleUpload, async (req, res) => {
       bg_hover_color || '#4f46e5',
       dark_mode === 'true' || dark_mode === true,
       parseInt(display_delay) || 10,
-      scroll_behavior || 'stay_down',
-      mouse_display || 'moving',
+      display.values.scroll_behavior || 'stay_down',
+      display.values.mouse_display || 'moving',
       display_tab === 'true' || display_tab === true,
-      show_cta_button === 'true' || show_cta_button === true
+      show_cta_button === 'true' || show_cta_button === true,
+      display.values.secondary_video_display || 'fullscreen',
+      fullscreen.values.fullscreen_transition_time ?? 20,
+      fullscreen.values.fullscreen_return_time ?? null,
+      fullscreen.values.fullscreen_transition || 'cut',
+      tour.values.tour_mode || 'off',
+      tour.values.tour_paths || '[]',
+      tour.values.tour_max_pages || 3,
+      profile.value,
+      device.value,
+      captureSelectors.values.capture_hide_selectors || '[]',
+      captureSelectors.values.capture_click_selectors || '[]',
+      maxCaptureHeight.value,
+      capture_mode || 'screenshot',
+      req.user?.id ?? req.apiKey.created_by,
+      req.workspace.id
     ]);
 
     console.log('✅ Campaign created:', result.rows[0].id);
 
+    warmIntroCache(result.rows[0]);
+
     res.status(201).json({
       success: true,
       campaign: result.rows[0]
     });
   } catch (error) {
     console.error('Create campaign error:', error);
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get all campaigns
+// Get all campaigns (every campaign unless ?limit is sent)
 router.get('/', async (req, res) => {
   try {
+    const pagination = parsePagination(req.query, { defaultLimit: null, maxLimit: 500 });
+    if (pagination.error) {
+      return res.status(400).json({ success: false, error: pagination.error });
+    }
+    const { limit, offset } = pagination.value;
+
     const result = await pool.query(`
       SELECT c.*, 
         COUNT(DISTINCT l.id) as lead_count,
@@ -257,11 +566,22 @@ router.get('/', async (req, res) => {
       FROM campaigns c
       LEFT JOIN leads l ON c.id = l.campaign_id
       LEFT JOIN generated_videos gv ON c.id = gv.campaign_id
+      WHERE c.workspace_id = $1
       GROUP BY c.id
       ORDER BY c.created_at DESC
-    `);
+      LIMIT $2 OFFSET $3
+    `, [req.workspace.id, limit, offset]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM campaigns WHERE workspace_id = $1',
+      [req.workspace.id]
+    );
 
-    res.json({ success: true, campaigns: result.rows });
+    res.json({
+      success: true,
+      campaigns: result.rows,
+      pagination: paginationInfo(countResult.rows[0].total, pagination.value)
+    });
   } catch (error) {
     console.error('Get campaigns error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -302,7 +622,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update campaign settings
-router.put('/:id', upload.fields([
+router.put('/:id', discardRejectedUploads, upload.fields([
   { name: 'introVideo', maxCount: 1 },
   { name: 'secondaryVideo', maxCount: 1 }
 ]), async (req, res) => {
@@ -310,6 +630,12 @@ router.put('/:id', upload.fields([
     const { id } = req.params;
     const updates = req.body;
 
+    // Field names go into the SET clause - only known settings columns
+    const invalidField = Object.keys(updates).find(field => !UPDATABLE_FIELDS.includes(field));
+    if (invalidField) {
+      return res.status(400).json({ success: false, error: `${invalidField} can't be updated` });
+    }
+
     if (req.files?.introVideo?.[0]) {
       updates.intro_video_path = req.files.introVideo[0].path;
     }
@@ -317,19 +643,108 @@ router.put('/:id', upload.fields([
       updates.secondary_video_path = req.files.secondaryVideo[0].path;
     }
 
+    const display = parseDisplaySettings(updates);
+    if (display.error) {
+      return res.status(400).json({ success: false, error: display.error });
+    }
+
+    if (FULLSCREEN_FIELDS.some(field => updates[field] !== undefined)) {
+      const current = await pool.query(
+        `SELECT ${FULLSCREEN_FIELDS.join(', ')} FROM campaigns WHERE id = $1`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      const fullscreen = parseFullscreenSettings(updates, current.rows[0]);
+      if (fullscreen.error) {
+        return res.status(400).json({ success: false, error: fullscreen.error });
+      }
+      Object.assign(updates, fullscreen.values);
+    }
+
+    if (TOUR_FIELDS.some(field => updates[field] !== undefined)) {
+      const tour = parseTourSettings(updates);
+      if (tour.error) {
+        return res.status(400).json({ success: false, error: tour.error });
+      }
+      Object.assign(updates, tour.values);
+    }
+
+    if (updates.render_profile !== undefined) {
+      const profile = parseRenderProfile(updates.render_profile);
+      if (profile.error) {
+        return res.status(400).json({ success: false, error: profile.error });
+      }
+    }
+
+    if (updates.capture_device !== undefined) {
+      const device = parseCaptureDevice(updates.capture_device);
+      if (device.error) {
+        return res.status(400).json({ success: false, error: device.error });
+      }
+    }
+
+    if (updates.capture_mode !== undefined && !CAPTURE_MODES.includes(updates.capture_mode)) {
+      return res.status(400).json({ success: false, error: `capture_mode must be one of: ${CAPTURE_MODES.join(', ')}` });
+    }
+
+    if (updates.max_capture_height !== undefined) {
+      const maxCaptureHeight = parseMaxCaptureHeight(updates.max_capture_height);
+      if (maxCaptureHeight.error) {
+        return res.status(400).json({ success: false, error: maxCaptureHeight.error });
+      }
+      updates.max_capture_height = maxCaptureHeight.value;
+    }
+
+    if (CAPTURE_SELECTOR_FIELDS.some(field => updates[field] !== undefined)) {
+      const captureSelectors = parseCaptureSelectors(updates);
+      if (captureSelectors.error) {
+        return res.status(400).json({ success: false, error: captureSelectors.error });
+      }
+      Object.assign(updates, captureSelectors.values);
+    }
+
     const fields = Object.keys(updates);
     const values = Object.values(updates);
     
     const setClause = fields.map((f, i) => `${f} = $${i + 1}`).join(', ');
 
+    // Replaced intro/secondary videos are deleted (with their cached variants) once the update is saved,
+    // unless a render is using them - the cleanup scheduler deletes those once it's done
+    const replaced = fields.filter(field => field === 'intro_video_path' || field === 'secondary_video_path');
+    const previous = replaced.length > 0
+      ? (await pool.query(`SELECT ${replaced.join(', ')} FROM campaigns WHERE id = $1`, [id])).rows[0] || {}
+      : {};
+
     const result = await pool.query(
       `UPDATE campaigns SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = $${fields.length + 1} RETURNING *`,
       [...values, id]
     );
 
+    const rendering = replaced.length > 0 && (await pool.query(
+      "SELECT 1 FROM render_jobs WHERE campaign_id = $1 AND status IN ('claimed', 'running') LIMIT 1",
+      [id]
+    )).rows.length > 0;
+
+    for (const field of replaced) {
+      const oldPath = previous[field];
+      if (!oldPath || oldPath === updates[field] || rendering) continue;
+      await deleteIntroCache(oldPath);
+      try { await fs.unlink(oldPath); } catch {}
+    }
+
+    // New intro, style or shape may need new variants - cached ones are reused
+    warmIntroCache(result.rows[0]);
+
     res.json({ success: true, campaign: result.rows[0] });
   } catch (error) {
     console.error('Update campaign error:', error);
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -369,16 +784,18 @@ router.delete('/:id', async (req, res) => {
       if (video.thumbnail_path) {
         try { await fs.unlink(video.thumbnail_path); deletedFiles.push('thumbnail'); } catch {}
       }
-      if (video.background_path) {
+      if (video.background_path && !isCacheFile(video.background_path)) {
         try { await fs.unlink(video.background_path); deletedFiles.push('background'); } catch {}
       }
     }
     
     // Delete campaign's uploaded intro/secondary videos
     if (campaign.intro_video_path) {
+      if (await deleteIntroCache(campaign.intro_video_path)) deletedFiles.push('intro_cache');
       try { await fs.unlink(campaign.intro_video_path); deletedFiles.push('intro'); } catch {}
     }
     if (campaign.secondary_video_path) {
+      if (await deleteIntroCache(campaign.secondary_video_path)) deletedFiles.push('secondary_cache');
       try { await fs.unlink(campaign.secondary_video_path); deletedFiles.push('secondary'); } catch {}
     }
     
@@ -1,41 +1,228 @@
 import { Router } from 'express';
 import multer from 'multer';
-import csv from 'csv-parser';
 import { Parser } from 'json2csv';
-import { createReadStream } from 'fs';
 import fs from 'fs/promises';
 import path from 'path';
 import { nanoid } from 'nanoid';
 import pool from '../db.js';
+import { normalizeLeadUrl } from '../services/urls.js';
+import { preflightLeads } from '../services/urlPreflight.js';
+import { DUPLICATE_STRATEGIES } from '../services/leadDuplicates.js';
+import { startLeadImport, getLeadImport } from '../services/leadImport.js';
+import { getImportFormat, previewLeadFile, SPREADSHEET_FORMATS } from '../services/leadFiles.js';
+import { requireCampaignAccess, requireCampaignRowAccess } from '../services/auth.js';
+import { parsePagination, paginationInfo, parseIdList } from '../services/validation.js';
+import {
+  CUSTOM_FIELD_NAME_PATTERN,
+  MAX_CUSTOM_FIELDS,
+  MAX_CUSTOM_FIELD_LENGTH,
+  isReservedFieldName
+} from '../services/personalize.js';
 
 const router = Router();
 
-// Configure multer for CSV uploads
-const csvUpload = multer({
+// Campaigns, leads and imports are only reachable from the campaign's workspace
+router.param('campaignId', requireCampaignAccess);
+router.param('id', requireCampaignRowAccess('leads', 'id', 'Lead'));
+router.param('importId', requireCampaignRowAccess('lead_imports', 'id', 'Import'));
+
+// Largest CSV/TSV accepted (imports stream the file, so this only bounds disk use)
+const MAX_IMPORT_MB = parseInt(process.env.LEAD_IMPORT_MAX_MB) || 500;
+
+// Largest .xlsx/.xls accepted (spreadsheets are read into memory)
+const MAX_SPREADSHEET_MB = parseInt(process.env.LEAD_IMPORT_MAX_SPREADSHEET_MB) || 50;
+
+// Furthest down a sheet the header row can be
+const MAX_HEADER_ROW = 1000;
+
+// Configure multer for lead file uploads (CSV, TSV, XLSX, XLS)
+const leadFileUpload = multer({
   dest: '/tmp/csv-uploads/',
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  limits: { fileSize: MAX_IMPORT_MB * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (getImportFormat(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'));
+      cb(new Error('Only CSV, TSV, XLSX and XLS files are allowed'));
     }
   }
 });
 
-// Import leads from CSV
-router.post('/import/:campaignId', csvUpload.single('file'), async (req, res) => {
+// Error handling middleware for multer
+const handleLeadFileUpload = (req, res, next) => {
+  leadFileUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      console.error('Multer error:', err);
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ success: false, error: `File too large. Maximum size is ${MAX_IMPORT_MB}MB.` });
+      }
+      return res.status(400).json({ success: false, error: `Upload error: ${err.message}` });
+    } else if (err) {
+      console.error('Upload error:', err);
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    next();
+  });
+};
+
+/**
+ * Validate an uploaded lead file and its sheet / header row options
+ */
+function parseFileOptions(body, file) {
+  const format = getImportFormat(file.originalname, file.mimetype);
+
+  if (SPREADSHEET_FORMATS.includes(format) && file.size > MAX_SPREADSHEET_MB * 1024 * 1024) {
+    return { error: `Spreadsheets can be at most ${MAX_SPREADSHEET_MB}MB - save larger sheets as CSV` };
+  }
+
+  let headerRow = null;
+  if (body.headerRow !== undefined && body.headerRow !== '') {
+    headerRow = Number(body.headerRow);
+    if (!Number.isInteger(headerRow) || headerRow < 1 || headerRow > MAX_HEADER_ROW) {
+      return { error: `headerRow must be a whole number between 1 and ${MAX_HEADER_ROW}` };
+    }
+  }
+
+  return { value: { format, sheet: body.sheet || null, headerRow } };
+}
+
+function getFieldNameError(name) {
+  if (!CUSTOM_FIELD_NAME_PATTERN.test(name)) {
+    return `Custom field name "${name}" must start with a letter and use only letters, digits and underscores (max 50)`;
+  }
+  if (isReservedFieldName(name)) {
+    return `Custom field name "${name}" is a built-in personalization token`;
+  }
+  return null;
+}
+
+/**
+ * Validate the import's custom field mapping: { "<CSV column>": "<FieldName>" }
+ */
+function parseCustomFieldMapping(input) {
+  if (input === undefined || input === null) return { value: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'custom_fields mapping must be an object of CSV column to field name' };
+  }
+
+  const entries = Object.entries(input);
+  if (entries.length > MAX_CUSTOM_FIELDS) {
+    return { error: `At most ${MAX_CUSTOM_FIELDS} custom fields can be imported` };
+  }
+
+  const seen = new Set();
+  for (const [, name] of entries) {
+    const error = getFieldNameError(String(name));
+    if (error) return { error };
+
+    if (seen.has(name.toLowerCase())) {
+      return { error: `Custom field name "${name}" is used twice` };
+    }
+    seen.add(name.toLowerCase());
+  }
+
+  return { value: input };
+}
+
+/**
+ * Validate custom field values sent for a single lead: { FieldName: value }
+ */
+function parseCustomFields(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'custom_fields must be an object of field name to value' };
+  }
+
+  const values = {};
+  for (const [name, value] of Object.entries(input)) {
+    const error = getFieldNameError(name);
+    if (error) return { error };
+
+    values[name] = String(value ?? '').trim();
+    if (values[name].length > MAX_CUSTOM_FIELD_LENGTH) {
+      return { error: `Custom field "${name}" is longer than ${MAX_CUSTOM_FIELD_LENGTH} characters` };
+    }
+  }
+
+  if (Object.keys(values).length > MAX_CUSTOM_FIELDS) {
+    return { error: `A lead can have at most ${MAX_CUSTOM_FIELDS} custom fields` };
+  }
+
+  return { value: values };
+}
+
+// Preview an import file: sheets, header row (detected unless given), headers and the first rows
+// Only the start of a CSV/TSV file is needed
+router.post('/import/preview', handleLeadFileUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file provided' });
+    }
+
+    const fileOptions = parseFileOptions(req.body, req.file);
+    if (fileOptions.error) {
+      return res.status(400).json({ success: false, error: fileOptions.error });
+    }
+
+    let preview;
+    try {
+      preview = await previewLeadFile(req.file.path, fileOptions.value.format, fileOptions.value);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: `Could not read ${req.file.originalname}: ${error.message}` });
+    }
+
+    res.json({ success: true, preview });
+  } catch (error) {
+    console.error('Preview import error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (req.file) await fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Import leads from a CSV, TSV or Excel file (sheet and headerRow pick the rows to import)
+// The file is imported in the background - poll GET /imports/:importId for progress
+router.post('/import/:campaignId', handleLeadFileUpload, async (req, res) => {
   try {
     const { campaignId } = req.params;
     const { columnMapping } = req.body;
+    const preflight = req.body.preflight === true || req.body.preflight === 'true';
+    // What to do with rows matching an existing lead: skip | update | create
+    const duplicateStrategy = req.body.duplicateStrategy || 'skip';
     
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file provided' });
+    }
+
     // Parse column mapping from JSON string
-    const mapping = typeof columnMapping === 'string' 
-      ? JSON.parse(columnMapping) 
-      : columnMapping;
+    let mapping;
+    try {
+      mapping = typeof columnMapping === 'string' 
+        ? JSON.parse(columnMapping) 
+        : columnMapping;
+    } catch {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ success: false, error: 'columnMapping must be valid JSON' });
+    }
 
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No CSV file provided' });
+    const fileOptions = parseFileOptions(req.body, req.file);
+    if (fileOptions.error) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ success: false, error: fileOptions.error });
+    }
+
+    if (!DUPLICATE_STRATEGIES.includes(duplicateStrategy)) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: `Invalid duplicate strategy. Must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`
+      });
+    }
+
+    // Extra columns stored on each lead as custom fields
+    const customFieldMapping = parseCustomFieldMapping(mapping?.custom_fields);
+    if (customFieldMapping.error) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ success: false, error: customFieldMapping.error });
     }
 
     // Verify campaign exists
@@ -49,90 +236,94 @@ router.post('/import/:campaignId', csvUpload.single('file'), async (req, res) =>
       return res.status(404).json({ success: false, error: 'Campaign not found' });
     }
 
-    const leads = [];
-    const errors = [];
-
-    // Parse CSV file
-    await new Promise((resolve, reject) => {
-      createReadStream(req.file.path)
-        .pipe(csv())
-        .on('data', (row) => {
-          try {
-            const lead = {
-              website_url: row[mapping.website_url] || row['Website Link'] || row['Website'] || row['URL'],
-              first_name: row[mapping.first_name] || row['First Name'] || row['FirstName'] || '',
-              last_name: row[mapping.last_name] || row['Last Name'] || row['LastName'] || '',
-              company_name: row[mapping.company_name] || row['Company Name'] || row['Company'] || '',
-              email: row[mapping.email] || row['Email'] || '',
-              phone: row[mapping.phone] || row['Phone'] || ''
-            };
-
-            if (lead.website_url) {
-              leads.push(lead);
-            } else {
-              errors.push({ row, error: 'Missing website URL' });
-            }
-          } catch (err) {
-            errors.push({ row, error: err.message });
-          }
-        })
-        .on('end', resolve)
-        .on('error', reject);
+    const leadImport = await startLeadImport({
+      campaignId,
+      filePath: req.file.path,
+      filename: req.file.originalname,
+      bytesTotal: req.file.size,
+      fileFormat: fileOptions.value.format,
+      sheetName: fileOptions.value.sheet,
+      headerRow: fileOptions.value.headerRow,
+      columnMapping: { ...mapping, custom_fields: customFieldMapping.value },
+      duplicateStrategy,
+      preflight
     });
 
-    // Insert leads into database
-    const insertedLeads = [];
-    for (const lead of leads) {
-      try {
-        const result = await pool.query(`
-          INSERT INTO leads (campaign_id, website_url, first_name, last_name, company_name, email, phone)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-          RETURNING *
-        `, [campaignId, lead.website_url, lead.first_name, lead.last_name, lead.company_name, lead.email, lead.phone]);
-        
-        insertedLeads.push(result.rows[0]);
-      } catch (err) {
-        errors.push({ lead, error: err.message });
-      }
-    }
+    res.status(202).json({ success: true, import: leadImport });
+  } catch (error) {
+    console.error('Import leads error:', error);
+    if (req.file) await fs.unlink(req.file.path).catch(() => {});
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Clean up uploaded file
-    await fs.unlink(req.file.path).catch(() => {});
+// Get import progress and report
+router.get('/imports/:importId', async (req, res) => {
+  try {
+    const leadImport = await getLeadImport(req.params.importId);
 
-    res.json({
-      success: true,
-      imported: insertedLeads.length,
-      errors: errors.length,
-      leads: insertedLeads,
-      errorDetails: errors.slice(0, 10) // Return first 10 errors
-    });
+    if (!leadImport) {
+      return res.status(404).json({ success: false, error: 'Import not found' });
+    }
+
+    res.json({ success: true, import: leadImport });
   } catch (error) {
-    console.error('Import leads error:', error);
+    console.error('Get import error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get leads for campaign
+// Get leads for campaign (every lead unless ?limit is sent)
 router.get('/campaign/:campaignId', async (req, res) => {
   try {
     const { campaignId } = req.params;
+
+    const pagination = parsePagination(req.query, { defaultLimit: null, maxLimit: 1000 });
+    if (pagination.error) {
+      return res.status(400).json({ success: false, error: pagination.error });
+    }
+    const { limit, offset } = pagination.value;
     
+    // Engagement is only summed for the videos on this page
     const result = await pool.query(`
-      SELECT l.*, 
-        gv.unique_slug, 
-        gv.status, 
-        gv.video_path, 
-        gv.preview_path,
-        gv.thumbnail_path,
-        gv.views,
-        gv.created_at as video_created_at
-      FROM leads l
-      LEFT JOIN generated_videos gv ON l.id = gv.lead_id
-      WHERE l.campaign_id = $1
-      ORDER BY l.created_at DESC
-    `, [campaignId]);
+      SELECT page.*,
+        COALESCE(ve.plays, 0) as plays,
+        COALESCE(ve.max_progress, 0) as max_progress,
+        COALESCE(ve.watch_seconds, 0) as watch_seconds,
+        COALESCE(ve.cta_clicks, 0) as cta_clicks,
+        ve.last_played_at
+      FROM (
+        SELECT l.*, 
+          gv.id as video_id,
+          gv.unique_slug, 
+          gv.status, 
+          gv.error_code,
+          gv.error_message,
+          gv.video_path, 
+          gv.preview_path,
+          gv.thumbnail_path,
+          gv.views,
+          gv.created_at as video_created_at
+        FROM leads l
+        LEFT JOIN generated_videos gv ON l.id = gv.lead_id
+        WHERE l.campaign_id = $1
+        ORDER BY l.created_at DESC
+        LIMIT $2 OFFSET $3
+      ) page
+      LEFT JOIN LATERAL video_engagement(page.video_id) ve ON true
+      ORDER BY page.created_at DESC
+    `, [campaignId, limit, offset]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM leads WHERE campaign_id = $1',
+      [campaignId]
+    );
 
-    res.json({ success: true, leads: result.rows });
+    res.json({
+      success: true,
+      leads: result.rows,
+      pagination: paginationInfo(countResult.rows[0].total, pagination.value)
+    });
   } catch (error) {
     console.error('Get leads error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -143,19 +334,35 @@ router.get('/campaign/:campaignId', async (req, res) => {
 router.post('/:campaignId', async (req, res) => {
   try {
     const { campaignId } = req.params;
-    const { website_url, first_name, last_name, company_name, email, phone } = req.body;
+    const { website_url, first_name, last_name, company_name, email, phone, preflight } = req.body;
 
     if (!website_url) {
       return res.status(400).json({ success: false, error: 'Website URL is required' });
     }
 
+    const websiteUrl = normalizeLeadUrl(website_url);
+    if (!websiteUrl) {
+      return res.status(400).json({ success: false, error: 'Invalid website URL' });
+    }
+
+    const customFields = parseCustomFields(req.body.custom_fields ?? {});
+    if (customFields.error) {
+      return res.status(400).json({ success: false, error: customFields.error });
+    }
+
     const result = await pool.query(`
-      INSERT INTO leads (campaign_id, website_url, first_name, last_name, company_name, email, phone)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO leads (campaign_id, website_url, first_name, last_name, company_name, email, phone, custom_fields)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
-    `, [campaignId, website_url, first_name || '', last_name || '', company_name || '', email || '', phone || '']);
+    `, [campaignId, websiteUrl, first_name || '', last_name || '', company_name || '', email || '', phone || '', JSON.stringify(customFields.value)]);
+
+    let lead = result.rows[0];
+    if (preflight === true || preflight === 'true') {
+      const [checked] = await preflightLeads([lead]);
+      lead = checked || lead;
+    }
 
-    res.status(201).json({ success: true, lead: result.rows[0] });
+    res.status(201).json({ success: true, lead });
   } catch (error) {
     console.error('Add lead error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -166,19 +373,42 @@ router.post('/:campaignId', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { website_url, first_name, last_name, company_name, email, phone } = req.body;
+    const { first_name, last_name, company_name, email, phone } = req.body;
 
+    let websiteUrl = null;
+    if (req.body.website_url !== undefined) {
+      websiteUrl = normalizeLeadUrl(req.body.website_url);
+      if (!websiteUrl) {
+        return res.status(400).json({ success: false, error: 'Invalid website URL' });
+      }
+    }
+
+    // Sent custom fields are merged into the lead's existing ones
+    let customFields = null;
+    if (req.body.custom_fields !== undefined) {
+      const parsed = parseCustomFields(req.body.custom_fields);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      customFields = JSON.stringify(parsed.value);
+    }
+
+    // A changed URL needs a new pre-flight check
     const result = await pool.query(`
       UPDATE leads 
-      SET website_url = COALESCE($1, website_url),
+      SET url_status = CASE WHEN $1::varchar <> website_url THEN 'unchecked' ELSE url_status END,
+          url_status_detail = CASE WHEN $1::varchar <> website_url THEN NULL ELSE url_status_detail END,
+          resolved_url = CASE WHEN $1::varchar <> website_url THEN NULL ELSE resolved_url END,
+          website_url = COALESCE($1, website_url),
           first_name = COALESCE($2, first_name),
           last_name = COALESCE($3, last_name),
           company_name = COALESCE($4, company_name),
           email = COALESCE($5, email),
-          phone = COALESCE($6, phone)
+          phone = COALESCE($6, phone),
+          custom_fields = COALESCE(custom_fields, '{}'::jsonb) || COALESCE($8::jsonb, '{}'::jsonb)
       WHERE id = $7
       RETURNING *
-    `, [website_url, first_name, last_name, company_name, email, phone, id]);
+    `, [websiteUrl, first_name, last_name, company_name, email, phone, id, customFields]);
 
     res.json({ success: true, lead: result.rows[0] });
   } catch (error) {
@@ -187,6 +417,43 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Check a campaign's websites before generating
+// Checks leads that haven't been checked yet, or every lead with { all: true }
+router.post('/preflight/:campaignId', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { all } = req.body;
+
+    const leadIds = parseIdList(req.body.leadIds, 'leadIds');
+    if (leadIds.error) {
+      return res.status(400).json({ success: false, error: leadIds.error });
+    }
+
+    let leadsQuery = 'SELECT id, website_url FROM leads WHERE campaign_id = $1';
+    const queryParams = [campaignId];
+
+    if (leadIds.value) {
+      leadsQuery += ' AND id = ANY($2)';
+      queryParams.push(leadIds.value);
+    } else if (!all) {
+      leadsQuery += " AND url_status = 'unchecked'";
+    }
+
+    const leadsResult = await pool.query(leadsQuery, queryParams);
+    const leads = await preflightLeads(leadsResult.rows);
+
+    const counts = {};
+    for (const lead of leads) {
+      counts[lead.url_status] = (counts[lead.url_status] || 0) + 1;
+    }
+
+    res.json({ success: true, checked: leads.length, counts, leads });
+  } catch (error) {
+    console.error('Pre-flight error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Delete lead
 router.delete('/:id', async (req, res) => {
   try {
@@ -225,15 +492,25 @@ router.get('/export/:campaignId', async (req, res) => {
           THEN CONCAT($1, '/api/videos/thumbnail/', gv.unique_slug)
           ELSE '' END as "BackgroundImageLink",
         l.email as "Email",
-        l.phone as "Phone"
+        l.phone as "Phone",
+        l.custom_fields
       FROM leads l
       LEFT JOIN generated_videos gv ON l.id = gv.lead_id
       WHERE l.campaign_id = $2
       ORDER BY l.created_at
     `, [appUrl, campaignId]);
 
+    // Custom fields become extra columns (blank for leads that don't have them)
+    const customFieldNames = [...new Set(result.rows.flatMap(row => Object.keys(row.custom_fields || {})))];
+    const rows = result.rows.map(({ custom_fields, ...row }) => {
+      customFieldNames.forEach(name => {
+        if (!(name in row)) row[name] = custom_fields?.[name] ?? '';
+      });
+      return row;
+    });
+
     const parser = new Parser();
-    const csvData = parser.parse(result.rows);
+    const csvData = parser.parse(rows);
 
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename=campaign-${campaignId}-export.csv`);
@@ -1,37 +1,64 @@
 import { Router } from 'express';
-import { nanoid } from 'nanoid';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import pool from '../db.js';
-import VideoProcessor from '../services/videoProcessor.js';
 import { 
-  STORAGE_PATHS, 
-  getExpirationDate, 
   deleteVideoFiles,
-  getStorageStats,
+  getVideoStorageStats,
   RETENTION_DAYS,
   MAX_STORAGE_MB 
 } from '../services/storage.js';
 import { getCleanupStats, cleanupExpiredVideos, cleanupStorageLimit } from '../services/cleanup.js';
+import { enqueueRenderJobs, getQueueStatus } from '../services/renderQueue.js';
+import { BLOCKING_URL_STATUSES } from '../services/urlPreflight.js';
+import { personalize, getVideoTitle } from '../services/personalize.js';
+import { requireAdmin, requireCampaignAccess, requireCampaignRowAccess } from '../services/auth.js';
+import { requireUserOrApiKey } from '../services/apiKeys.js';
+import { requireWorkspace } from '../services/workspaces.js';
+import { parsePagination, paginationInfo, parseIdList } from '../services/validation.js';
+import { emitVideoEvent } from '../services/webhooks.js';
+import { parsePlayerEvents, recordPlayerEvents } from '../services/playerEvents.js';
+import { createRateLimit } from '../services/rateLimit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = Router();
 
-// Use persistent storage path for videos
-const outputDir = STORAGE_PATHS.videos;
+// Landing pages and the media they play are public (as are the landing page's
+// CTA click and player event beacons) - everything else needs a signed-in user
+// or API key and works in its workspace
+const PUBLIC_ROUTES = /^\/(landing|og|file|preview|thumbnail)\/[^/]+\/?$/;
+const PUBLIC_BEACONS = /^\/landing\/[^/]+\/(click|events)\/?$/;
 
-// Queue for processing videos
-let processingQueue = [];
-let isProcessing = false;
+router.use((req, res, next) => {
+  if ((req.method === 'GET' || req.method === 'HEAD') && PUBLIC_ROUTES.test(req.path)) {
+    return next();
+  }
+  if (req.method === 'POST' && PUBLIC_BEACONS.test(req.path)) {
+    return next();
+  }
+  requireUserOrApiKey(req, res, () => requireWorkspace(req, res, next));
+});
+
+// Only members of the campaign's workspace can generate, check or delete its videos
+router.param('campaignId', requireCampaignAccess);
+router.param('slug', (req, res, next, slug) => {
+  if (!req.workspace) return next(); // Public routes
+  requireCampaignRowAccess('generated_videos', 'unique_slug', 'Video')(req, res, next, slug);
+});
 
 // Start video generation for campaign
 router.post('/generate/:campaignId', async (req, res) => {
   try {
     const { campaignId } = req.params;
-    const { leadIds } = req.body; // Optional: specific leads to process
+
+    // Optional: specific leads to process
+    const leadIds = parseIdList(req.body.leadIds, 'leadIds');
+    if (leadIds.error) {
+      return res.status(400).json({ success: false, error: leadIds.error });
+    }
 
     console.log(`📹 Generate request for campaign: ${campaignId}`);
 
@@ -71,39 +98,36 @@ router.post('/generate/:campaignId', async (req, res) => {
     let leadsQuery = 'SELECT * FROM leads WHERE campaign_id = $1';
     const queryParams = [campaignId];
 
-    if (leadIds && leadIds.length > 0) {
+    if (leadIds.value) {
       leadsQuery += ' AND id = ANY($2)';
-      queryParams.push(leadIds);
+      queryParams.push(leadIds.value);
     }
 
     const leadsResult = await pool.query(leadsQuery, queryParams);
-    const leads = leadsResult.rows;
 
-    console.log(`👥 Found ${leads.length} leads`);
+    // Leads whose pre-flight check found a dead, parked, blocked or invalid site are not rendered
+    const leads = leadsResult.rows.filter(lead => !BLOCKING_URL_STATUSES.includes(lead.url_status));
+    const skipped = leadsResult.rows.length - leads.length;
 
-    if (leads.length === 0) {
+    console.log(`👥 Found ${leadsResult.rows.length} leads${skipped > 0 ? ` (${skipped} skipped by pre-flight)` : ''}`);
+
+    if (leadsResult.rows.length === 0) {
       return res.status(400).json({ success: false, error: 'No leads found for this campaign' });
     }
 
-    // Add leads to processing queue
-    const jobs = leads.map(lead => ({
-      leadId: lead.id,
-      campaignId,
-      campaign,
-      lead
-    }));
-
-    processingQueue.push(...jobs);
-
-    // Start processing if not already running
-    if (!isProcessing) {
-      processQueue();
+    if (leads.length === 0) {
+      return res.status(400).json({ success: false, error: 'All leads were flagged by the website pre-flight check' });
     }
 
+    // Add leads to the durable render queue
+    const queued = await enqueueRenderJobs(campaignId, leads.map(lead => lead.id));
+    const queueStatus = await getQueueStatus(campaignId);
+
     res.json({
       success: true,
-      message: `Started processing ${leads.length} videos`,
-      queueSize: processingQueue.length
+      message: `Started processing ${queued} videos`,
+      queueSize: queueStatus.queued + queueStatus.running,
+      skipped
     });
   } catch (error) {
     console.error('Generate videos error:', error);
@@ -111,111 +135,16 @@ router.post('/generate/:campaignId', async (req, res) => {
   }
 });
 
-// Process the video queue
-async function processQueue() {
-  if (processingQueue.length === 0) {
-    isProcessing = false;
-    return;
-  }
-
-  isProcessing = true;
-  const processor = new VideoProcessor();
-  
-  try {
-    await processor.init();
-
-    while (processingQueue.length > 0) {
-      const job = processingQueue.shift();
-      await processVideoJob(processor, job);
-    }
-  } catch (error) {
-    console.error('Queue processing error:', error);
-  } finally {
-    await processor.close();
-    isProcessing = false;
-  }
-}
-
-// Process a single video job
-async function processVideoJob(processor, job) {
-  const { leadId, campaignId, campaign, lead } = job;
-  const uniqueSlug = nanoid(11);
-  const expiresAt = getExpirationDate();
-
-  try {
-    // Create pending video record with expiration (upsert - one video per lead)
-    await pool.query(`
-      INSERT INTO generated_videos (lead_id, campaign_id, unique_slug, status, expires_at)
-      VALUES ($1, $2, $3, 'processing', $4)
-      ON CONFLICT ON CONSTRAINT unique_lead_video 
-      DO UPDATE SET 
-        status = 'processing', 
-        unique_slug = EXCLUDED.unique_slug,
-        campaign_id = EXCLUDED.campaign_id,
-        error_message = NULL,
-        expires_at = $4,
-        updated_at = CURRENT_TIMESTAMP
-    `, [leadId, campaignId, uniqueSlug, expiresAt]);
-
-    console.log(`🎬 Processing video for lead ${leadId}: ${lead.website_url}`);
-    console.log(`   Expires: ${expiresAt.toISOString()}`);
-
-    // Generate the video using persistent storage
-    const result = await processor.generateVSL({
-      leadId,
-      websiteUrl: lead.website_url,
-      introVideoPath: campaign.intro_video_path,
-      secondaryVideoPath: campaign.secondary_video_path,
-      outputDir,
-      settings: {
-        video_style: campaign.video_style,
-        video_position: campaign.video_position,
-        video_shape: campaign.video_shape,
-        display_delay: campaign.display_delay
-      }
-    });
-
-    if (result.success) {
-      // Update record with success
-      await pool.query(`
-        UPDATE generated_videos 
-        SET status = 'completed',
-            video_path = $1,
-            preview_path = $2,
-            thumbnail_path = $3,
-            background_path = $4,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE lead_id = $5
-      `, [result.videoPath, result.previewPath, result.thumbnailPath, result.backgroundPath, leadId]);
-
-      console.log(`✅ Video completed for lead ${leadId}`);
-    } else {
-      throw new Error(result.error);
-    }
-  } catch (error) {
-    console.error(`❌ Video failed for lead ${leadId}:`, error.message);
-    
-    // Try to update the record with failure status
-    try {
-      await pool.query(`
-        INSERT INTO generated_videos (lead_id, campaign_id, unique_slug, status, error_message, expires_at)
-        VALUES ($1, $2, $3, 'failed', $4, $5)
-        ON CONFLICT ON CONSTRAINT unique_lead_video 
-        DO UPDATE SET 
-          status = 'failed',
-          error_message = $4,
-          updated_at = CURRENT_TIMESTAMP
-      `, [leadId, campaignId, uniqueSlug, error.message, expiresAt]);
-    } catch (updateError) {
-      console.error(`❌ Failed to update error status for lead ${leadId}:`, updateError.message);
-    }
-  }
-}
-
 // Get all generated videos with pagination and search
 router.get('/all', async (req, res) => {
   try {
-    const { limit = 20, offset = 0, search = '' } = req.query;
+    const { search = '' } = req.query;
+
+    const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+    if (pagination.error) {
+      return res.status(400).json({ success: false, error: pagination.error });
+    }
+    const { limit, offset } = pagination.value;
     
     let query = `
       SELECT 
@@ -229,11 +158,11 @@ router.get('/all', async (req, res) => {
       FROM generated_videos gv
       JOIN leads l ON gv.lead_id = l.id
       JOIN campaigns c ON gv.campaign_id = c.id
-      WHERE gv.status = 'completed'
+      WHERE gv.status = 'completed' AND c.workspace_id = $1
     `;
     
-    const queryParams = [];
-    let paramIndex = 1;
+    const queryParams = [req.workspace.id];
+    let paramIndex = 2;
     
     if (search) {
       query += ` AND (
@@ -249,9 +178,21 @@ router.get('/all', async (req, res) => {
     }
     
     query += ` ORDER BY gv.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    queryParams.push(parseInt(limit), parseInt(offset));
-    
-    const result = await pool.query(query, queryParams);
+    queryParams.push(limit, offset);
+
+    // Engagement is only summed for the videos on this page
+    const result = await pool.query(`
+      SELECT
+        page.*,
+        COALESCE(ve.plays, 0) as plays,
+        COALESCE(ve.max_progress, 0) as max_progress,
+        COALESCE(ve.watch_seconds, 0) as watch_seconds,
+        COALESCE(ve.cta_clicks, 0) as cta_clicks,
+        ve.last_played_at
+      FROM (${query}) page
+      LEFT JOIN LATERAL video_engagement(page.id) ve ON true
+      ORDER BY page.created_at DESC
+    `, queryParams);
     
     // Get total count
     let countQuery = `
@@ -259,28 +200,26 @@ router.get('/all', async (req, res) => {
       FROM generated_videos gv
       JOIN leads l ON gv.lead_id = l.id
       JOIN campaigns c ON gv.campaign_id = c.id
-      WHERE gv.status = 'completed'
+      WHERE gv.status = 'completed' AND c.workspace_id = $1
     `;
     
     if (search) {
       countQuery += ` AND (
-        LOWER(l.website_url) LIKE LOWER($1) OR
-        LOWER(l.first_name) LIKE LOWER($1) OR
-        LOWER(l.last_name) LIKE LOWER($1) OR
-        LOWER(l.company_name) LIKE LOWER($1) OR
-        LOWER(l.email) LIKE LOWER($1) OR
-        LOWER(c.name) LIKE LOWER($1)
+        LOWER(l.website_url) LIKE LOWER($2) OR
+        LOWER(l.first_name) LIKE LOWER($2) OR
+        LOWER(l.last_name) LIKE LOWER($2) OR
+        LOWER(l.company_name) LIKE LOWER($2) OR
+        LOWER(l.email) LIKE LOWER($2) OR
+        LOWER(c.name) LIKE LOWER($2)
       )`;
     }
     
-    const countResult = await pool.query(countQuery, search ? [`%${search}%`] : []);
+    const countResult = await pool.query(countQuery, search ? [req.workspace.id, `%${search}%`] : [req.workspace.id]);
     
     res.json({
       success: true,
       videos: result.rows,
-      total: parseInt(countResult.rows[0].total),
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      pagination: paginationInfo(countResult.rows[0].total, pagination.value)
     });
   } catch (error) {
     console.error('Get all videos error:', error);
@@ -306,16 +245,24 @@ router.get('/status/:campaignId', async (req, res) => {
     `, [campaignId]);
 
     // Get total leads count for this campaign
+    // Leads skipped by the pre-flight check (and never rendered) aren't waiting on anything
     const leadsResult = await pool.query(`
-      SELECT COUNT(*) as lead_count FROM leads WHERE campaign_id = $1
-    `, [campaignId]);
+      SELECT
+        COUNT(*) FILTER (WHERE NOT (l.url_status = ANY($2)) OR gv.id IS NOT NULL) as lead_count,
+        COUNT(*) FILTER (WHERE l.url_status = ANY($2) AND gv.id IS NULL) as skipped_count
+      FROM leads l
+      LEFT JOIN generated_videos gv ON gv.lead_id = l.id
+      WHERE l.campaign_id = $1
+    `, [campaignId, BLOCKING_URL_STATUSES]);
 
     const videoStatus = videoResult.rows[0];
     const totalLeads = parseInt(leadsResult.rows[0].lead_count) || 0;
     const videosCreated = parseInt(videoStatus.video_count) || 0;
     
-    // Calculate how many leads are still waiting in queue (no video record yet)
-    const queuedInMemory = processingQueue.filter(j => j.campaignId === campaignId).length;
+    // Queue position comes from the render_jobs table
+    const queueStatus = await getQueueStatus(campaignId);
+
+    // Calculate how many leads don't have a video record yet
     const waitingForProcessing = totalLeads - videosCreated;
     
     // The "pending" count should include leads that don't have video records yet
@@ -329,10 +276,12 @@ router.get('/status/:campaignId', async (req, res) => {
         processing: parseInt(videoStatus.processing) || 0,
         pending: totalPending,
         failed: parseInt(videoStatus.failed) || 0,
+        skipped: parseInt(leadsResult.rows[0].skipped_count) || 0,
         total: totalLeads
       },
-      queuePosition: queuedInMemory,
-      isProcessing
+      queuePosition: queueStatus.queued,
+      retrying: queueStatus.retrying,
+      isProcessing: queueStatus.running > 0
     });
   } catch (error) {
     console.error('Get status error:', error);
@@ -440,6 +389,9 @@ router.get('/og/:slug', async (req, res) => {
         l.last_name,
         l.company_name,
         l.website_url,
+        l.email,
+        l.phone,
+        l.custom_fields,
         c.video_title,
         c.video_description,
         c.name as campaign_name
@@ -458,8 +410,10 @@ router.get('/og/:slug', async (req, res) => {
     
     // Build OG metadata response
     const ogData = {
-      title: `A video for ${companyName}`,
-      description: data.video_description || `Watch this personalized video created just for ${companyName}`,
+      title: personalize(getVideoTitle(data.video_title), data),
+      description: data.video_description
+        ? personalize(data.video_description, data)
+        : `Watch this personalized video created just for ${companyName}`,
       url: `${baseUrl}/v/${slug}`,
       image: `${baseUrl}/api/videos/thumbnail/${slug}`,
       video: `${baseUrl}/api/videos/file/${slug}`,
@@ -480,6 +434,21 @@ router.get('/og/:slug', async (req, res) => {
   }
 });
 
+// Landing page analytics are public, so each viewer IP is limited per video:
+// views past the limit still get the page but aren't counted, beacons get a 429
+const LANDING_RATE_WINDOW = 10 * 60 * 1000;
+const viewRateLimit = createRateLimit({ limit: 20, windowMs: LANDING_RATE_WINDOW });
+const clickRateLimit = createRateLimit({ limit: 10, windowMs: LANDING_RATE_WINDOW });
+// The player sends at most one events beacon every 5 seconds
+const eventsRateLimit = createRateLimit({ limit: 150, windowMs: LANDING_RATE_WINDOW });
+
+const throttleBeacon = (rateLimit) => (req, res, next) => {
+  if (rateLimit(`${req.params.slug}:${req.ip}`)) {
+    return next();
+  }
+  res.status(429).json({ success: false, error: 'Too many requests, try again later' });
+};
+
 // Get landing page data
 router.get('/landing/:slug', async (req, res) => {
   try {
@@ -492,6 +461,9 @@ router.get('/landing/:slug', async (req, res) => {
         l.last_name,
         l.company_name,
         l.website_url,
+        l.email,
+        l.phone,
+        l.custom_fields,
         c.video_title,
         c.video_description,
         c.calendar_url,
@@ -514,30 +486,127 @@ router.get('/landing/:slug', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Video not found' });
     }
 
-    // Increment view count
-    await pool.query(
-      'UPDATE generated_videos SET views = views + 1 WHERE unique_slug = $1',
-      [slug]
+    if (viewRateLimit(`${slug}:${req.ip}`)) {
+      // Increment view count
+      await pool.query(
+        'UPDATE generated_videos SET views = views + 1 WHERE unique_slug = $1',
+        [slug]
+      );
+
+      // Log analytics
+      await pool.query(`
+        INSERT INTO video_analytics (video_id, event_type, ip_address, user_agent, referrer)
+        SELECT id, 'view', $2, $3, $4 FROM generated_videos WHERE unique_slug = $1
+      `, [slug, req.ip, req.get('user-agent'), req.get('referrer')]);
+
+      emitVideoEvent('video.viewed', result.rows[0].lead_id, { viewer: getViewer(req) }).catch(error => {
+        console.error('video.viewed webhook error:', error.message);
+      });
+    }
+
+    // Campaign text is personalized here, so the lead's contact details and
+    // custom fields never reach the page
+    const { email, phone, custom_fields, ...data } = result.rows[0];
+    const lead = result.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        video_title: personalize(getVideoTitle(lead.video_title), lead),
+        video_description: personalize(lead.video_description, lead),
+        button_text: personalize(lead.button_text, lead),
+        calendar_url: personalize(lead.calendar_url, lead, { encode: true }),
+        button_link: personalize(lead.button_link, lead, { encode: true })
+      }
+    });
+  } catch (error) {
+    console.error('Get landing data error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Record a click on the landing page's CTA button (sent with navigator.sendBeacon)
+router.post('/landing/:slug/click', throttleBeacon(clickRateLimit), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, lead_id FROM generated_videos WHERE unique_slug = $1',
+      [req.params.slug]
     );
 
-    // Log analytics
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
     await pool.query(`
       INSERT INTO video_analytics (video_id, event_type, ip_address, user_agent, referrer)
-      SELECT id, 'view', $2, $3, $4 FROM generated_videos WHERE unique_slug = $1
-    `, [slug, req.ip, req.get('user-agent'), req.get('referrer')]);
+      VALUES ($1, 'cta_click', $2, $3, $4)
+    `, [rows[0].id, req.ip, req.get('user-agent'), req.get('referrer')]);
+
+    emitVideoEvent('cta.clicked', rows[0].lead_id, { viewer: getViewer(req) }).catch(error => {
+      console.error('cta.clicked webhook error:', error.message);
+    });
 
-    res.json({ success: true, data: result.rows[0] });
+    res.status(204).end();
   } catch (error) {
-    console.error('Get landing data error:', error);
+    console.error('CTA click error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get storage statistics
+// Record what the viewer did in the landing page player (sent with navigator.sendBeacon)
+// Body: { session_id, events: [{ type, position, watched, percent, from }] } - see playerEvents.js
+router.post('/landing/:slug/events', throttleBeacon(eventsRateLimit), async (req, res) => {
+  try {
+    const beacon = parsePlayerEvents(req.body);
+    if (beacon.error) {
+      return res.status(400).json({ success: false, error: beacon.error });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT id FROM generated_videos WHERE unique_slug = $1',
+      [req.params.slug]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    await recordPlayerEvents(rows[0].id, beacon.value, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      referrer: req.get('referrer')
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Player events error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Who triggered a landing page event, for webhook payloads
+ */
+function getViewer(req) {
+  return {
+    user_agent: req.get('user-agent') || null,
+    referrer: req.get('referrer') || null
+  };
+}
+
+// Get the workspace's storage usage (retention and the storage limit are server-wide)
 router.get('/storage/stats', async (req, res) => {
   try {
-    const storageStats = await getStorageStats();
-    const cleanupStats = await getCleanupStats();
+    const videos = await pool.query(`
+      SELECT gv.video_path, gv.preview_path, gv.thumbnail_path
+      FROM generated_videos gv
+      JOIN campaigns c ON c.id = gv.campaign_id
+      WHERE c.workspace_id = $1
+    `, [req.workspace.id]);
+
+    const storageStats = await getVideoStorageStats(videos.rows);
+    const cleanupStats = await getCleanupStats(req.workspace.id);
     
     // Calculate total usage
     const totalUsageMB = (storageStats.videos?.totalSizeMB || 0) + 
@@ -556,7 +625,7 @@ router.get('/storage/stats', async (req, res) => {
         maxStorageMB: MAX_STORAGE_MB,
         currentUsageMB: Math.round(totalUsageMB * 100) / 100,
         usagePercent: Math.round((totalUsageMB / MAX_STORAGE_MB) * 100),
-        description: `Storage limit: ${MAX_STORAGE_MB}MB. Oldest videos auto-deleted when exceeded.`
+        description: `Storage limit: ${MAX_STORAGE_MB}MB across all workspaces. Oldest videos auto-deleted when exceeded.`
       }
     });
   } catch (error) {
@@ -565,8 +634,8 @@ router.get('/storage/stats', async (req, res) => {
   }
 });
 
-// Manually trigger cleanup (admin endpoint)
-router.post('/storage/cleanup', async (req, res) => {
+// Manually trigger cleanup - it deletes videos in every workspace, so server admins only
+router.post('/storage/cleanup', requireAdmin, async (req, res) => {
   try {
     console.log('🧹 Manual cleanup triggered');
     const expiredResult = await cleanupExpiredVideos();
@@ -0,0 +1,239 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import { requireCampaignAccess, requireCampaignRowAccess } from '../services/auth.js';
+import { UUID_PATTERN, parsePagination, paginationInfo } from '../services/validation.js';
+import { checkPublicUrl } from '../services/network.js';
+import {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  generateWebhookSecret,
+  redeliver
+} from '../services/webhooks.js';
+
+const router = Router();
+
+// Only members of the campaign's workspace can see or change its webhooks
+router.param('campaignId', requireCampaignAccess);
+router.param('id', requireCampaignRowAccess('webhooks', 'id', 'Webhook'));
+
+// The secret is only returned when it's created or rotated
+const WEBHOOK_COLUMNS = 'id, campaign_id, url, events, active, created_at, updated_at';
+
+/**
+ * Validate webhook settings ({ url, events, active })
+ * With partial, missing fields are left out (for updates)
+ * The url must be on the public internet
+ * Returns { value } or { error }
+ */
+async function parseWebhook(body, { partial = false } = {}) {
+  const value = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url ?? '').trim());
+    } catch {
+      return { error: 'url must be a valid http or https URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.href.length > 2000) {
+      return { error: 'url must be a valid http or https URL' };
+    }
+    const privateError = await checkPublicUrl(url.href);
+    if (privateError) {
+      return { error: privateError };
+    }
+    value.url = url.href;
+  }
+
+  if (body.events !== undefined || !partial) {
+    const events = body.events;
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    value.events = [...new Set(events)];
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    value.active = body.active;
+  }
+
+  return { value };
+}
+
+// Get a campaign's webhooks with their delivery counts
+router.get('/campaign/:campaignId', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT w.id, w.campaign_id, w.url, w.events, w.active, w.created_at, w.updated_at,
+        COUNT(d.id) FILTER (WHERE d.status = 'pending') as pending_count,
+        COUNT(d.id) FILTER (WHERE d.status = 'delivered') as delivered_count,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed') as failed_count,
+        MAX(d.created_at) as last_delivery_at
+      FROM webhooks w
+      LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+      WHERE w.campaign_id = $1
+      GROUP BY w.id
+      ORDER BY w.created_at
+    `, [req.params.campaignId]);
+
+    res.json({ success: true, webhooks: result.rows, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a webhook to a campaign ({ url, events, active }) - the response is the only time the secret is shown
+router.post('/campaign/:campaignId', async (req, res) => {
+  try {
+    const webhook = await parseWebhook(req.body);
+    if (webhook.error) {
+      return res.status(400).json({ success: false, error: webhook.error });
+    }
+
+    const { url, events, active = true } = webhook.value;
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(`
+      INSERT INTO webhooks (campaign_id, url, secret, events, active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${WEBHOOK_COLUMNS}
+    `, [req.params.campaignId, url, secret, JSON.stringify(events), active]);
+
+    console.log(`🪝 Webhook added to campaign ${req.params.campaignId}: ${url}`);
+
+    res.status(201).json({ success: true, secret, webhook: result.rows[0] });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a webhook's url, events or active flag
+router.put('/:id', async (req, res) => {
+  try {
+    const webhook = await parseWebhook(req.body, { partial: true });
+    if (webhook.error) {
+      return res.status(400).json({ success: false, error: webhook.error });
+    }
+
+    const { url = null, events = null, active = null } = webhook.value;
+
+    const result = await pool.query(`
+      UPDATE webhooks
+      SET url = COALESCE($2, url),
+          events = COALESCE($3, events),
+          active = COALESCE($4, active),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${WEBHOOK_COLUMNS}
+    `, [req.params.id, url, events && JSON.stringify(events), active]);
+
+    res.json({ success: true, webhook: result.rows[0] });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replace a webhook's signing secret - the response is the only time the new secret is shown
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(`
+      UPDATE webhooks SET secret = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${WEBHOOK_COLUMNS}
+    `, [req.params.id, secret]);
+
+    console.log(`🪝 Webhook secret rotated: ${req.params.id}`);
+
+    res.json({ success: true, secret, webhook: result.rows[0] });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a webhook (and its delivery log)
+router.delete('/:id', async (req, res) => {
+  try {
+    await pool.query('DELETE FROM webhooks WHERE id = $1', [req.params.id]);
+
+    console.log(`🪝 Webhook deleted: ${req.params.id}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a webhook's delivery log, newest first (?status=pending|delivered|failed, ?limit, ?offset)
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+    if (pagination.error) {
+      return res.status(400).json({ success: false, error: pagination.error });
+    }
+
+    const status = req.query.status || null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const { limit, offset } = pagination.value;
+
+    const result = await pool.query(`
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [req.params.id, status, limit, offset]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM webhook_deliveries WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)',
+      [req.params.id, status]
+    );
+
+    res.json({
+      success: true,
+      deliveries: result.rows,
+      pagination: paginationInfo(countResult.rows[0].total, pagination.value)
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a delivery's event again (as a new delivery with the same payload)
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+
+    const { rows } = UUID_PATTERN.test(deliveryId) ? await pool.query(
+      'SELECT id FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2',
+      [deliveryId, id]
+    ) : { rows: [] };
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+
+    const delivery = await redeliver(deliveryId);
+
+    console.log(`🪝 Redelivering ${delivery.event} for webhook ${id}`);
+
+    res.status(201).json({ success: true, delivery });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
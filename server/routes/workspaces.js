@@ -0,0 +1,372 @@
+import { Router } from 'express';
+import pool from '../db.js';
+import { UUID_PATTERN } from '../services/validation.js';
+import { WORKSPACE_ROLES, hasRole, createWorkspace } from '../services/workspaces.js';
+import { API_KEY_ROLES, createApiKey, listApiKeys, revokeApiKey } from '../services/apiKeys.js';
+
+const router = Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Routes with a :workspaceId need a membership; sets req.membership ({ workspace_id, role })
+router.param('workspaceId', async (req, res, next, workspaceId) => {
+  try {
+    const { rows } = UUID_PATTERN.test(workspaceId) ? await pool.query(
+      'SELECT workspace_id, role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, req.user.id]
+    ) : { rows: [] };
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Workspace not found' });
+    }
+
+    req.membership = rows[0];
+    next();
+  } catch (error) {
+    console.error('Workspace access error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+function requireOwner(req, res, next) {
+  if (!hasRole(req.membership.role, 'owner')) {
+    return res.status(403).json({ success: false, error: 'Only workspace owners can do this' });
+  }
+  next();
+}
+
+/**
+ * Validate a workspace name
+ * Returns { value } or { error }
+ */
+function parseWorkspaceName(body) {
+  const name = String(body.name ?? '').trim();
+
+  if (!name || name.length > 255) {
+    return { error: 'Workspace name must be between 1 and 255 characters' };
+  }
+
+  return { value: name };
+}
+
+/**
+ * Validate a member role
+ * Returns { value } or { error }
+ */
+function parseRole(role) {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    return { error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}` };
+  }
+
+  return { value: role };
+}
+
+async function countOwners(workspaceId) {
+  const { rows: [{ count }] } = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM workspace_members WHERE workspace_id = $1 AND role = 'owner'",
+    [workspaceId]
+  );
+  return count;
+}
+
+// Get the signed-in user's workspaces
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT w.id, w.name, w.created_at, m.role,
+        (SELECT COUNT(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) as member_count,
+        (SELECT COUNT(*) FROM campaigns c WHERE c.workspace_id = w.id) as campaign_count
+      FROM workspace_members m
+      JOIN workspaces w ON w.id = m.workspace_id
+      WHERE m.user_id = $1
+      ORDER BY m.created_at
+    `, [req.user.id]);
+
+    res.json({ success: true, workspaces: result.rows });
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a workspace (the signed-in user becomes its owner)
+router.post('/', async (req, res) => {
+  try {
+    const name = parseWorkspaceName(req.body);
+    if (name.error) {
+      return res.status(400).json({ success: false, error: name.error });
+    }
+
+    const workspace = await createWorkspace(name.value, req.user.id);
+
+    console.log(`🏢 Workspace created: ${workspace.id}`);
+
+    res.status(201).json({ success: true, workspace });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rename a workspace
+router.put('/:workspaceId', requireOwner, async (req, res) => {
+  try {
+    const name = parseWorkspaceName(req.body);
+    if (name.error) {
+      return res.status(400).json({ success: false, error: name.error });
+    }
+
+    const result = await pool.query(`
+      UPDATE workspaces SET name = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, name, created_at
+    `, [name.value, req.params.workspaceId]);
+
+    res.json({ success: true, workspace: { ...result.rows[0], role: req.membership.role } });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an empty workspace
+router.delete('/:workspaceId', requireOwner, async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    // Deleting campaigns also removes their files, so that has to happen first
+    const { rows: [{ count }] } = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM campaigns WHERE workspace_id = $1',
+      [workspaceId]
+    );
+    if (count > 0) {
+      return res.status(409).json({ success: false, error: 'Delete the workspace\'s campaigns first' });
+    }
+
+    await pool.query('DELETE FROM workspaces WHERE id = $1', [workspaceId]);
+
+    console.log(`🗑️ Workspace deleted: ${workspaceId}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a workspace's members and pending invites
+router.get('/:workspaceId/members', async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const members = await pool.query(`
+      SELECT u.id, u.email, u.name, m.role, m.created_at
+      FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = $1
+      ORDER BY m.created_at
+    `, [workspaceId]);
+
+    const invites = await pool.query(
+      'SELECT id, email, role, created_at FROM workspace_invites WHERE workspace_id = $1 ORDER BY created_at',
+      [workspaceId]
+    );
+
+    res.json({ success: true, members: members.rows, invites: invites.rows });
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a member by email - people without an account are invited and join when they register
+router.post('/:workspaceId/members', requireOwner, async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const email = String(req.body.email ?? '').trim().toLowerCase();
+    const role = parseRole(req.body.role ?? 'editor');
+
+    if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+      return res.status(400).json({ success: false, error: 'A valid email address is required' });
+    }
+    if (role.error) {
+      return res.status(400).json({ success: false, error: role.error });
+    }
+
+    const { rows: users } = await pool.query('SELECT id, email, name FROM users WHERE email = $1', [email]);
+
+    if (users.length === 0) {
+      const result = await pool.query(`
+        INSERT INTO workspace_invites (workspace_id, email, role, invited_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (workspace_id, email) DO UPDATE SET role = EXCLUDED.role
+        RETURNING id, email, role, created_at
+      `, [workspaceId, email, role.value, req.user.id]);
+
+      console.log(`✉️ Invited ${email} to workspace ${workspaceId}`);
+
+      return res.status(201).json({ success: true, invite: result.rows[0] });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO workspace_members (workspace_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (workspace_id, user_id) DO NOTHING
+      RETURNING role, created_at
+    `, [workspaceId, users[0].id, role.value]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: 'This user is already a member' });
+    }
+
+    res.status(201).json({ success: true, member: { ...users[0], ...result.rows[0] } });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a member's role
+router.put('/:workspaceId/members/:userId', requireOwner, async (req, res) => {
+  try {
+    const { workspaceId, userId } = req.params;
+    const role = parseRole(req.body.role);
+
+    if (role.error) {
+      return res.status(400).json({ success: false, error: role.error });
+    }
+
+    const { rows } = UUID_PATTERN.test(userId) ? await pool.query(
+      'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    ) : { rows: [] };
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+    if (rows[0].role === 'owner' && role.value !== 'owner' && await countOwners(workspaceId) === 1) {
+      return res.status(400).json({ success: false, error: 'A workspace needs at least one owner' });
+    }
+
+    await pool.query(
+      'UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND user_id = $3',
+      [role.value, workspaceId, userId]
+    );
+
+    res.json({ success: true, member: { id: userId, role: role.value } });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a member (owners can remove anyone; everyone can leave)
+router.delete('/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const { workspaceId, userId } = req.params;
+
+    if (userId !== req.user.id && !hasRole(req.membership.role, 'owner')) {
+      return res.status(403).json({ success: false, error: 'Only workspace owners can do this' });
+    }
+
+    const { rows } = UUID_PATTERN.test(userId) ? await pool.query(
+      'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    ) : { rows: [] };
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+    if (rows[0].role === 'owner' && await countOwners(workspaceId) === 1) {
+      return res.status(400).json({ success: false, error: 'A workspace needs at least one owner' });
+    }
+
+    await pool.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel an invite
+router.delete('/:workspaceId/invites/:inviteId', requireOwner, async (req, res) => {
+  try {
+    const { workspaceId, inviteId } = req.params;
+
+    const result = UUID_PATTERN.test(inviteId) ? await pool.query(
+      'DELETE FROM workspace_invites WHERE id = $1 AND workspace_id = $2',
+      [inviteId, workspaceId]
+    ) : { rowCount: 0 };
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ success: false, error: 'Invite not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Cancel invite error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a workspace's API keys (the keys themselves are only shown when created)
+router.get('/:workspaceId/api-keys', requireOwner, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.params.workspaceId);
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create an API key ({ name, role }) - the response is the only time the key is shown
+router.post('/:workspaceId/api-keys', requireOwner, async (req, res) => {
+  try {
+    const name = String(req.body.name ?? '').trim();
+    const role = req.body.role ?? 'editor';
+
+    if (!name || name.length > 255) {
+      return res.status(400).json({ success: false, error: 'API key name must be between 1 and 255 characters' });
+    }
+    if (!API_KEY_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${API_KEY_ROLES.join(', ')}` });
+    }
+
+    const { key, apiKey } = await createApiKey(req.params.workspaceId, { name, role }, req.user.id);
+
+    console.log(`🔑 API key created for workspace ${req.params.workspaceId}: ${apiKey.key_prefix}…`);
+
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke an API key (it stops working immediately)
+router.delete('/:workspaceId/api-keys/:keyId', requireOwner, async (req, res) => {
+  try {
+    const { workspaceId, keyId } = req.params;
+
+    const apiKey = UUID_PATTERN.test(keyId) ? await revokeApiKey(workspaceId, keyId) : null;
+
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    console.log(`🔑 API key revoked: ${apiKey.key_prefix}…`);
+
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import pool from '../db.js';
+import { hashToken, getBearerToken, requireAuth } from './auth.js';
+
+/**
+ * Workspace API keys
+ *
+ * Scripts and integrations (e.g. CRM automation) call the campaign, lead and
+ * video routes with an API key instead of a signed-in user's session:
+ * Authorization: Bearer vsl_<key>. A key belongs to one workspace and acts
+ * with its own role (editor or viewer). Like session tokens, keys are shown
+ * once and only their SHA-256 hash is stored.
+ */
+
+export const API_KEY_PREFIX = 'vsl_';
+
+// Roles a key can have - managing the workspace needs a signed-in owner
+export const API_KEY_ROLES = ['viewer', 'editor'];
+
+// Characters of the key kept so it can be recognised in the list
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// last_used_at is only written this often per key
+const LAST_USED_INTERVAL_SECONDS = 60;
+
+const API_KEY_COLUMNS = 'id, name, key_prefix, role, created_by, created_at, last_used_at, revoked_at';
+
+/**
+ * Create an API key for a workspace
+ * Returns { key, apiKey } - the key itself can't be recovered later
+ */
+export async function createApiKey(workspaceId, { name, role }, userId) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const { rows } = await pool.query(`
+    INSERT INTO api_keys (workspace_id, name, key_prefix, key_hash, role, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${API_KEY_COLUMNS}
+  `, [workspaceId, name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashToken(key), role, userId]);
+
+  return { key, apiKey: rows[0] };
+}
+
+/**
+ * A workspace's API keys, newest first (revoked ones included)
+ */
+export async function listApiKeys(workspaceId) {
+  const { rows } = await pool.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE workspace_id = $1 ORDER BY created_at DESC`,
+    [workspaceId]
+  );
+  return rows;
+}
+
+/**
+ * Revoke an API key - returns the revoked key, or null if there's no such active key
+ */
+export async function revokeApiKey(workspaceId, keyId) {
+  const { rows } = await pool.query(`
+    UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND workspace_id = $2 AND revoked_at IS NULL
+    RETURNING ${API_KEY_COLUMNS}
+  `, [keyId, workspaceId]);
+  return rows[0] || null;
+}
+
+/**
+ * Look up an active API key and note that it was used
+ * Returns { id, name, role, workspace_id, workspace_name, created_by } or null
+ */
+async function findApiKey(key) {
+  const { rows } = await pool.query(`
+    SELECT k.id, k.name, k.role, k.workspace_id, w.name AS workspace_name, k.created_by
+    FROM api_keys k
+    JOIN workspaces w ON w.id = k.workspace_id
+    WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+  `, [hashToken(key)]);
+
+  if (rows.length === 0) return null;
+
+  await pool.query(`
+    UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $2))
+  `, [rows[0].id, LAST_USED_INTERVAL_SECONDS]);
+
+  return rows[0];
+}
+
+/**
+ * Middleware: require a signed-in user or a workspace API key
+ * Sets req.apiKey for keys; sessions go through requireAuth (req.user)
+ */
+export async function requireUserOrApiKey(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token || !token.startsWith(API_KEY_PREFIX)) {
+    return requireAuth(req, res, next);
+  }
+
+  try {
+    const apiKey = await findApiKey(token);
+
+    if (!apiKey) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('API key error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+export default {
+  API_KEY_PREFIX,
+  API_KEY_ROLES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  requireUserOrApiKey,
+};
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import pool from '../db.js';
+import { UUID_PATTERN } from './validation.js';
+
+/**
+ * User accounts and sessions
+ *
+ * Passwords are hashed with scrypt. Signing in creates a session whose random
+ * token is sent back once and used as a bearer token
+ * (Authorization: Bearer <token>); only its SHA-256 hash is stored, so a
+ * leaked sessions table can't be used to sign in.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+// How long a session token stays valid
+const SESSION_DAYS = parseInt(process.env.SESSION_DAYS) || 30;
+
+// Users who can run server-wide maintenance (comma-separated emails)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 200;
+
+/**
+ * Hash a password for storage: scrypt$<salt>$<hash>
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * SHA-256 of a session token or API key - the only form either is stored in
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Start a session for a user
+ * Returns the bearer token (it can't be recovered later)
+ */
+export async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(`
+    INSERT INTO user_sessions (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(days => $3))
+  `, [userId, hashToken(token), SESSION_DAYS]);
+
+  return token;
+}
+
+export async function deleteSession(token) {
+  await pool.query('DELETE FROM user_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+/**
+ * Delete expired sessions
+ */
+export async function deleteExpiredSessions() {
+  const result = await pool.query('DELETE FROM user_sessions WHERE expires_at < NOW()');
+  return result.rowCount;
+}
+
+export function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Middleware: require a valid session token
+ * Sets req.user ({ id, email, name }) and req.sessionToken
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+
+    const { rows } = token ? await pool.query(`
+      SELECT u.id, u.email, u.name
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = $1 AND s.expires_at > NOW()
+    `, [hashToken(token)]) : { rows: [] };
+
+    if (rows.length === 0) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    req.user = rows[0];
+    req.sessionToken = token;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Middleware: only let server admins (signed-in users listed in ADMIN_EMAILS) through
+ * For actions that reach every workspace; API keys never qualify, whatever their role
+ */
+export function requireAdmin(req, res, next) {
+  if (req.apiKey || !req.user || !ADMIN_EMAILS.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ success: false, error: 'Only server admins can do this' });
+  }
+  next();
+}
+
+async function checkAccess(res, next, label, query, params) {
+  try {
+    const { rows } = await pool.query(query, params);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: `${label} not found` });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Access check error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Route param handler: only let users reach campaigns in the current workspace
+ * Use with router.param('campaignId', requireCampaignAccess) behind requireWorkspace
+ */
+export function requireCampaignAccess(req, res, next, campaignId) {
+  if (!UUID_PATTERN.test(campaignId)) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+
+  checkAccess(res, next, 'Campaign',
+    'SELECT 1 FROM campaigns WHERE id = $1 AND workspace_id = $2',
+    [campaignId, req.workspace.id]
+  );
+}
+
+/**
+ * Route param handler factory for rows that belong to a campaign
+ * (leads, lead_imports, generated_videos), looked up by `column`
+ * e.g. router.param('id', requireCampaignRowAccess('leads', 'id', 'Lead'))
+ */
+export function requireCampaignRowAccess(table, column, label) {
+  return (req, res, next, value) => {
+    if (column === 'id' && !UUID_PATTERN.test(value)) {
+      return res.status(404).json({ success: false, error: `${label} not found` });
+    }
+
+    checkAccess(res, next, label, `
+      SELECT 1 FROM ${table} t
+      JOIN campaigns c ON c.id = t.campaign_id
+      WHERE t.${column} = $1 AND c.workspace_id = $2
+    `, [value, req.workspace.id]);
+  };
+}
+
+export default {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  getBearerToken,
+  createSession,
+  deleteSession,
+  deleteExpiredSessions,
+  requireAuth,
+  requireAdmin,
+  requireCampaignAccess,
+  requireCampaignRowAccess,
+};
@@ -0,0 +1,167 @@
+/**
+ * Capture clean-up
+ *
+ * Runs on a loaded page right before the full-page screenshot so the
+ * prospect's site isn't hidden behind a cookie banner, newsletter modal or
+ * chat bubble:
+ *
+ *   1. Clicks the campaign's own click selectors (e.g. a site-specific "Close")
+ *   2. Accepts the consent banner of common consent managers
+ *   3. Hides known consent / chat / popup containers and the campaign's hide selectors
+ *   4. Hides any remaining fixed overlay covering a large part of the viewport
+ *      and unlocks scrolling that a modal locked
+ */
+
+// "Accept" buttons of common consent managers - the first visible one is clicked
+const CONSENT_ACCEPT_SELECTORS = [
+  '#onetrust-accept-btn-handler',                              // OneTrust
+  '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',    // Cookiebot
+  '#CybotCookiebotDialogBodyButtonAccept',
+  '#didomi-notice-agree-button',                               // Didomi
+  '.qc-cmp2-summary-buttons button[mode="primary"]',           // Quantcast
+  '#truste-consent-button',                                    // TrustArc
+  '.cky-btn-accept',                                           // CookieYes
+  '#cookie_action_close_header',                               // CookieYes (legacy)
+  '.cmplz-btn.cmplz-accept',                                   // Complianz
+  '.osano-cm-accept-all',                                      // Osano
+  '[data-tid="banner-accept"]',                                // Termly
+  '.iubenda-cs-accept-btn',                                    // iubenda
+  '#cn-accept-cookie',                                         // Cookie Notice
+  '#axeptio_btn_acceptAll',                                    // Axeptio
+  '.cm-btn-success',                                           // Klaro
+  '.cc-allow',                                                 // Cookie Consent (Osano OSS)
+  '.cc-dismiss'
+];
+
+// Containers hidden outright: consent banners left over after accepting,
+// chat widgets and newsletter popups
+const OVERLAY_HIDE_SELECTORS = [
+  // Consent managers
+  '#onetrust-consent-sdk',
+  '#CybotCookiebotDialog',
+  '#usercentrics-root',
+  '#didomi-host',
+  '.qc-cmp2-container',
+  '#truste-consent-track',
+  '.cky-consent-container',
+  '#cookie-law-info-bar',
+  '#cmplz-cookiebanner-container',
+  '.osano-cm-window',
+  '#cookie-notice',
+  '.cc-window',
+  'iframe[id^="sp_message_iframe"]',
+  // Chat widgets
+  '#intercom-container',
+  '.intercom-lightweight-app',
+  '#hubspot-messages-iframe-container',
+  '#drift-widget-container',
+  '#drift-frame-controller',
+  '#drift-frame-chat',
+  '.crisp-client',
+  '#tidio-chat',
+  '#fc_frame',
+  'iframe#launcher',
+  'iframe#webWidget',
+  '#chat-widget-container',
+  '#olark-wrapper',
+  'iframe[title="chat widget"]',
+  // Newsletter / promo popups
+  '.klaviyo-form[role="dialog"]',
+  '.needsclick[aria-modal="true"]',
+  '#privy-container',
+  '.pum-overlay',
+  '.sumome-react-wysiwyg-popup-container'
+];
+
+// Fixed elements covering at least this share of the viewport are treated as modals
+const OVERLAY_MIN_COVERAGE = 0.3;
+
+// How long to let the page react to a click (banner close animations)
+const CLICK_SETTLE_MS = 600;
+
+async function clickFirstVisible(page, selectors) {
+  for (const selector of selectors) {
+    try {
+      const element = await page.$(selector);
+      if (!element) continue;
+
+      const visible = await element.isVisible();
+      if (visible) {
+        await element.click();
+        await element.dispose();
+        return selector;
+      }
+      await element.dispose();
+    } catch {
+      // Invalid selector or element detached mid-click - try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Clear cookie banners, popups and chat widgets from a loaded page
+ * options.clickSelectors = campaign selectors to click first (each one, if visible)
+ * options.hideSelectors = campaign selectors to hide
+ * Returns { clicked: [selectors], hiddenOverlays: count }
+ */
+export async function cleanUpPage(page, options = {}) {
+  const { clickSelectors = [], hideSelectors = [] } = options;
+  const clicked = [];
+
+  for (const selector of clickSelectors) {
+    if (await clickFirstVisible(page, [selector])) {
+      clicked.push(selector);
+    }
+  }
+
+  const consentButton = await clickFirstVisible(page, CONSENT_ACCEPT_SELECTORS);
+  if (consentButton) {
+    clicked.push(consentButton);
+  }
+
+  if (clicked.length > 0) {
+    await new Promise(r => setTimeout(r, CLICK_SETTLE_MS));
+  }
+
+  // One rule per selector, so an invalid campaign selector doesn't void the rest
+  await page.addStyleTag({
+    content: [...OVERLAY_HIDE_SELECTORS, ...hideSelectors]
+      .map(selector => `${selector} { display: none !important; }`)
+      .join('\n')
+  });
+
+  const hiddenOverlays = await page.evaluate((minCoverage) => {
+    const viewportArea = window.innerWidth * window.innerHeight;
+    let hidden = 0;
+
+    // Fixed elements have no offsetParent, which skips most of the page cheaply
+    for (const element of document.querySelectorAll('body *')) {
+      if (element.offsetParent !== null) continue;
+
+      const style = getComputedStyle(element);
+      if (style.position !== 'fixed' || style.display === 'none' || !(parseInt(style.zIndex) > 0)) continue;
+
+      const rect = element.getBoundingClientRect();
+      if (rect.width * rect.height >= viewportArea * minCoverage) {
+        element.style.setProperty('display', 'none', 'important');
+        hidden++;
+      }
+    }
+
+    // Modals lock scrolling, which would cut the full-page screenshot short
+    for (const element of [document.documentElement, document.body]) {
+      if (getComputedStyle(element).overflowY === 'hidden') {
+        element.style.setProperty('overflow', 'visible', 'important');
+      }
+    }
+
+    return hidden;
+  }, OVERLAY_MIN_COVERAGE);
+
+  return { clicked, hiddenOverlays };
+}
+
+export default {
+  cleanUpPage,
+};
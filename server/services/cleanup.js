@@ -1,5 +1,11 @@
+import fs from 'fs/promises';
+import path from 'path';
 import pool from '../db.js';
-import { deleteVideoFiles, RETENTION_DAYS, MAX_STORAGE_MB, getStorageStats } from './storage.js';
+import { deleteVideoFiles, deleteFile, RETENTION_DAYS, MAX_STORAGE_MB, getStorageStats, STORAGE_PATHS } from './storage.js';
+import { deleteIntroCache } from './introCache.js';
+import { pruneScreenshotCache, SCREENSHOT_CACHE_HOURS } from './screenshotCache.js';
+import { deleteExpiredSessions } from './auth.js';
+import { deleteOldDeliveries, DELIVERY_RETENTION_DAYS } from './webhooks.js';
 
 /**
  * Cleanup service for auto-deleting expired videos
@@ -12,6 +18,9 @@ import { deleteVideoFiles, RETENTION_DAYS, MAX_STORAGE_MB, getStorageStats } fro
 // Cleanup interval in milliseconds (1 hour)
 const CLEANUP_INTERVAL = 60 * 60 * 1000;
 
+// Uploads are written before their campaign is saved - newer files are left alone
+const UPLOAD_GRACE_PERIOD = 60 * 60 * 1000;
+
 let cleanupTimer = null;
 
 /**
@@ -198,6 +207,105 @@ export async function cleanupStorageLimit() {
   }
 }
 
+/**
+ * Delete expired website screenshots from the cache
+ * Videos that used them keep working - their background_path is cleared
+ */
+export async function cleanupScreenshotCache() {
+  try {
+    const deleted = await pruneScreenshotCache();
+    if (deleted.length === 0) {
+      return { deleted: 0 };
+    }
+
+    await pool.query(
+      'UPDATE generated_videos SET background_path = NULL WHERE background_path = ANY($1)',
+      [deleted]
+    );
+
+    console.log(`🧹 Pruned ${deleted.length} cached screenshots`);
+    return { deleted: deleted.length };
+  } catch (error) {
+    console.error('🧹 Screenshot cache cleanup error:', error.message);
+    return { deleted: 0, message: error.message };
+  }
+}
+
+/**
+ * Delete expired sign-in sessions
+ */
+export async function cleanupExpiredSessions() {
+  try {
+    const deleted = await deleteExpiredSessions();
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} expired sessions`);
+    }
+    return { deleted };
+  } catch (error) {
+    console.error('🧹 Session cleanup error:', error.message);
+    return { deleted: 0, message: error.message };
+  }
+}
+
+/**
+ * Delete old webhook delivery log entries
+ */
+export async function cleanupWebhookDeliveries() {
+  try {
+    const deleted = await deleteOldDeliveries();
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} old webhook deliveries`);
+    }
+    return { deleted };
+  } catch (error) {
+    console.error('🧹 Webhook delivery cleanup error:', error.message);
+    return { deleted: 0, message: error.message };
+  }
+}
+
+/**
+ * Delete uploaded intro/secondary videos no campaign uses any more, with their cached variants
+ * (a replaced upload is left here when renders were using it). Skipped while anything is
+ * rendering, since a running job may still be compositing an old upload.
+ */
+export async function cleanupUnusedUploads() {
+  try {
+    const rendering = await pool.query(
+      "SELECT 1 FROM render_jobs WHERE status IN ('claimed', 'running') LIMIT 1"
+    );
+    if (rendering.rows.length > 0) {
+      return { deleted: 0 };
+    }
+
+    const { rows } = await pool.query(`
+      SELECT intro_video_path AS file_path FROM campaigns WHERE intro_video_path IS NOT NULL
+      UNION
+      SELECT secondary_video_path FROM campaigns WHERE secondary_video_path IS NOT NULL
+    `);
+    const inUse = new Set(rows.map(row => path.resolve(row.file_path)));
+
+    let deleted = 0;
+    for (const file of await fs.readdir(STORAGE_PATHS.uploads)) {
+      const filePath = path.join(STORAGE_PATHS.uploads, file);
+      if (inUse.has(path.resolve(filePath))) continue;
+
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (!stat?.isFile() || Date.now() - stat.mtimeMs < UPLOAD_GRACE_PERIOD) continue;
+
+      await deleteIntroCache(filePath);
+      if (await deleteFile(filePath)) deleted++;
+    }
+
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} unused uploads`);
+    }
+    return { deleted };
+  } catch (error) {
+    console.error('🧹 Upload cleanup error:', error.message);
+    return { deleted: 0, message: error.message };
+  }
+}
+
 /**
  * Set expiration date for videos that don't have one
  */
@@ -231,6 +339,8 @@ export function startCleanupScheduler() {
   console.log(`📅 Starting cleanup scheduler (every ${CLEANUP_INTERVAL / 1000 / 60} minutes)`);
   console.log(`   Video retention: ${RETENTION_DAYS} days`);
   console.log(`   Max storage: ${MAX_STORAGE_MB}MB`);
+  console.log(`   Screenshot cache: ${SCREENSHOT_CACHE_HOURS} hours`);
+  console.log(`   Webhook delivery log: ${DELIVERY_RETENTION_DAYS} days`);
   
   // Run immediately on startup
   setTimeout(async () => {
@@ -238,12 +348,20 @@ export function startCleanupScheduler() {
     await cleanupExpiredVideos();
     await cleanupLegacyVideos();
     await cleanupStorageLimit();
+    await cleanupScreenshotCache();
+    await cleanupUnusedUploads();
+    await cleanupExpiredSessions();
+    await cleanupWebhookDeliveries();
   }, 5000); // Wait 5 seconds after startup
   
   // Then run periodically
   cleanupTimer = setInterval(async () => {
     await cleanupExpiredVideos();
     await cleanupStorageLimit();
+    await cleanupScreenshotCache();
+    await cleanupUnusedUploads();
+    await cleanupExpiredSessions();
+    await cleanupWebhookDeliveries();
   }, CLEANUP_INTERVAL);
   
   return cleanupTimer;
@@ -261,9 +379,9 @@ export function stopCleanupScheduler() {
 }
 
 /**
- * Get cleanup stats
+ * Get cleanup stats, for every video or only a workspace's
  */
-export async function getCleanupStats() {
+export async function getCleanupStats(workspaceId = null) {
   try {
     const stats = await pool.query(`
       SELECT 
@@ -273,7 +391,8 @@ export async function getCleanupStats() {
         MIN(expires_at) FILTER (WHERE expires_at >= NOW()) as next_expiry,
         COUNT(*) as total_count
       FROM generated_videos
-    `);
+      WHERE $1::uuid IS NULL OR campaign_id IN (SELECT id FROM campaigns WHERE workspace_id = $1)
+    `, [workspaceId]);
     
     return stats.rows[0];
   } catch (error) {
@@ -285,6 +404,10 @@ export default {
   cleanupExpiredVideos,
   cleanupLegacyVideos,
   cleanupStorageLimit,
+  cleanupScreenshotCache,
+  cleanupUnusedUploads,
+  cleanupExpiredSessions,
+  cleanupWebhookDeliveries,
   setMissingExpirations,
   startCleanupScheduler,
   stopCleanupScheduler,
@@ -0,0 +1,100 @@
+import os from 'os';
+
+/**
+ * Concurrency settings for video rendering
+ *
+ * RENDER_CONCURRENCY - how many generateVSL pipelines run in parallel
+ * FFMPEG_CONCURRENCY - how many ffmpeg encodes run at once across all pipelines
+ * FFMPEG_THREADS     - threads given to each ffmpeg encode
+ *
+ * Defaults are derived from the CPU count and the container memory limit,
+ * so the same image behaves sensibly on small and large Railway plans.
+ */
+
+// Rough memory footprint of one render pipeline (Chrome page + ffmpeg)
+const MEMORY_PER_RENDER_MB = parseInt(process.env.RENDER_MEMORY_MB) || 768;
+
+// Memory kept free for Node, Postgres connections and the shared browser
+const RESERVED_MEMORY_MB = 512;
+
+/**
+ * Number of CPUs available to this process
+ */
+export function getCpuCount() {
+  return (os.availableParallelism ? os.availableParallelism() : os.cpus().length) || 1;
+}
+
+/**
+ * Memory available to this process in MB
+ * Prefers the cgroup limit, since os.totalmem() reports the host inside containers
+ */
+export function getAvailableMemoryMB() {
+  const constrained = typeof process.constrainedMemory === 'function' ? process.constrainedMemory() : 0;
+  const totalBytes = constrained && constrained < os.totalmem() ? constrained : os.totalmem();
+  return Math.floor(totalBytes / 1024 / 1024);
+}
+
+function getDefaultRenderConcurrency() {
+  const byCpu = getCpuCount();
+  const byMemory = Math.floor((getAvailableMemoryMB() - RESERVED_MEMORY_MB) / MEMORY_PER_RENDER_MB);
+  return Math.max(1, Math.min(byCpu, byMemory));
+}
+
+export const RENDER_CONCURRENCY = parseInt(process.env.RENDER_CONCURRENCY) || getDefaultRenderConcurrency();
+
+export const FFMPEG_CONCURRENCY = parseInt(process.env.FFMPEG_CONCURRENCY) ||
+  Math.max(1, Math.min(RENDER_CONCURRENCY, Math.floor(getCpuCount() / 2)));
+
+export const FFMPEG_THREADS = parseInt(process.env.FFMPEG_THREADS) ||
+  Math.max(1, Math.floor(getCpuCount() / FFMPEG_CONCURRENCY));
+
+/**
+ * Create a limiter that runs at most `limit` tasks at a time
+ * Extra tasks wait in FIFO order until a slot frees up
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active < limit && waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  return {
+    async run(task) {
+      await new Promise(resolve => {
+        waiting.push(resolve);
+        next();
+      });
+
+      try {
+        return await task();
+      } finally {
+        active--;
+        next();
+      }
+    },
+    get active() {
+      return active;
+    },
+    get pending() {
+      return waiting.length;
+    }
+  };
+}
+
+// Shared by every ffmpeg caller so parallel renders don't oversubscribe the CPU
+export const ffmpegLimiter = createLimiter(FFMPEG_CONCURRENCY);
+
+export default {
+  RENDER_CONCURRENCY,
+  FFMPEG_CONCURRENCY,
+  FFMPEG_THREADS,
+  getCpuCount,
+  getAvailableMemoryMB,
+  createLimiter,
+  ffmpegLimiter,
+};
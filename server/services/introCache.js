@@ -0,0 +1,323 @@
+import ffmpeg from 'fluent-ffmpeg';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { STORAGE_PATHS } from './storage.js';
+import { FFMPEG_THREADS, ffmpegLimiter } from './concurrency.js';
+
+/**
+ * Render-once cache for campaign intro videos
+ *
+ * Every lead in a campaign overlays the same intro (and secondary) video, so
+ * the expensive parts (ffprobe, scaling, the per-pixel circle mask) are done
+ * once per uploaded file and stored under STORAGE_PATHS.introCache:
+ *
+ *   <key>.json                       - probed metadata (duration, hasAudio)
+ *   <key>-bubble-400x400-circle.webm - scaled bubble, circle mask baked into alpha (VP9)
+ *   <key>-bubble-200x200-square.mp4  - scaled bubble, no mask needed
+ *   <key>-full-1280x720.mp4          - fullscreen variant
+ *   <key>-grow-...-in.webm           - bubble-to-fullscreen animation clip (VP9 alpha)
+ *
+ * The key is derived from the intro file's path, size and mtime, so a
+ * re-uploaded intro never reuses a stale variant.
+ */
+
+// Circle mask: fully opaque inside the inscribed circle, transparent outside
+const CIRCLE_MASK = `geq=lum='p(X,Y)':cb='p(X,Y)':cr='p(X,Y)':a='if(lt((X-W/2)*(X-W/2)+(Y-H/2)*(Y-H/2),(W/2)*(W/2)),255,0)'`;
+
+/**
+ * geq filter that scales the (already fullscreen-sized) frame into a box
+ * growing from the bubble rect to the full frame, masked to the box with
+ * corners shrinking from the bubble's radius (circle) to square
+ * Plane coordinates are converted to luma coordinates with SW/SH so the
+ * same expression works for the subsampled chroma planes
+ */
+function getGrowFilter(spec) {
+  const { width, height, x, y, size, shape, duration, reverse } = spec;
+  const radius = shape === 'circle' ? size / 2 : 0;
+
+  // 0 = bubble, 1 = fullscreen (eased)
+  const progress = [
+    `st(0,clip(T/${duration},0,1))`,
+    reverse ? 'st(0,1-ld(0))' : null,
+    'st(0,ld(0)*ld(0)*(3-2*ld(0)))'
+  ].filter(Boolean).join(';');
+
+  // Box at this frame: 1 = width, 2 = height, 3 = left, 4 = top, 5 = corner radius
+  const box = [
+    progress,
+    `st(1,${size}+${width - size}*ld(0))`,
+    `st(2,${size}+${height - size}*ld(0))`,
+    `st(3,${x}*(1-ld(0)))`,
+    `st(4,${y}*(1-ld(0)))`,
+    `st(5,${radius}*(1-ld(0)))`
+  ].join(';');
+
+  const color = `${box};p((X/SW-ld(3))/ld(1)*${width}*SW,(Y/SH-ld(4))/ld(2)*${height}*SH)`;
+  const alpha = [
+    box,
+    'st(6,max(0,abs(X-ld(3)-ld(1)/2)-(ld(1)/2-ld(5))))',
+    'st(7,max(0,abs(Y-ld(4)-ld(2)/2)-(ld(2)/2-ld(5))))',
+    '255*lte(ld(6)*ld(6)+ld(7)*ld(7),ld(5)*ld(5))'
+  ].join(';');
+
+  return `geq=lum='${color}':cb='${color}':cr='${color}':a='${alpha}'`;
+}
+
+// Variants currently being rendered, so concurrent leads wait for one render
+const inFlight = new Map();
+
+// Probed metadata by cache key
+const metadataCache = new Map();
+
+/**
+ * Cache key for an intro file - changes whenever the file does
+ */
+async function getCacheKey(introVideoPath) {
+  const stat = await fs.stat(introVideoPath);
+  return crypto
+    .createHash('sha1')
+    .update(`${path.resolve(introVideoPath)}:${stat.size}:${stat.mtimeMs}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Run a function once per key, sharing the promise with concurrent callers
+ */
+function once(key, fn) {
+  if (!inFlight.has(key)) {
+    const promise = fn().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+  }
+  return inFlight.get(key);
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function probe(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(metadata);
+      }
+    });
+  });
+}
+
+/**
+ * Get the intro duration and whether it has audio, probing the file only the first time
+ */
+async function getIntroMetadata(introVideoPath, key) {
+  if (metadataCache.has(key)) {
+    return metadataCache.get(key);
+  }
+
+  const metadataPath = path.join(STORAGE_PATHS.introCache, `${key}.json`);
+
+  const metadata = await once(metadataPath, async () => {
+    try {
+      return JSON.parse(await fs.readFile(metadataPath, 'utf-8'));
+    } catch {
+      // Not probed yet
+    }
+
+    const probed = await probe(introVideoPath);
+    const result = {
+      duration: probed.format.duration || 0,
+      hasAudio: probed.streams.some(stream => stream.codec_type === 'audio')
+    };
+    await fs.writeFile(metadataPath, JSON.stringify(result));
+    return result;
+  });
+
+  metadataCache.set(key, metadata);
+  return metadata;
+}
+
+/**
+ * File name for a variant spec
+ * spec: { type: 'bubble' | 'full', width, height, shape }
+ *    or { type: 'grow', width, height, x, y, size, shape, start, duration, reverse }
+ */
+function getVariantFileName(key, spec) {
+  if (spec.type === 'bubble') {
+    const ext = spec.shape === 'circle' ? 'webm' : 'mp4';
+    return `${key}-bubble-${spec.width}x${spec.height}-${spec.shape}.${ext}`;
+  }
+  if (spec.type === 'grow') {
+    const direction = spec.reverse ? 'out' : 'in';
+    return `${key}-grow-${spec.width}x${spec.height}-${spec.x}-${spec.y}-${spec.size}-${spec.shape}-${spec.start}s-${spec.duration}s-${direction}.webm`;
+  }
+  return `${key}-full-${spec.width}x${spec.height}.mp4`;
+}
+
+function getTempPath(outputPath) {
+  const ext = path.extname(outputPath);
+  return `${outputPath.slice(0, -ext.length)}.tmp-${process.pid}${ext}`;
+}
+
+/**
+ * Render a single variant to a temp file, then move it into place
+ * so a crashed render never leaves a truncated file in the cache
+ */
+async function renderVariant(introVideoPath, spec, outputPath) {
+  const tempPath = getTempPath(outputPath);
+  const isGrow = spec.type === 'grow';
+  const isAlpha = isGrow || (spec.type === 'bubble' && spec.shape === 'circle');
+
+  // Fullscreen frames are cropped to fill (not stretched) when the intro's
+  // aspect ratio differs from the render profile's, e.g. vertical output
+  const filters = spec.type === 'bubble'
+    ? [`scale=${spec.width}:${spec.height}`]
+    : [`scale=${spec.width}:${spec.height}:force_original_aspect_ratio=increase`, `crop=${spec.width}:${spec.height}`];
+  const outputOptions = [`-threads ${FFMPEG_THREADS}`];
+
+  if (isGrow) {
+    // Only the transition window is rendered; it's overlaid at spec.start
+    filters.push('format=yuva420p', getGrowFilter(spec));
+    outputOptions.push(
+      `-t ${spec.duration}`,
+      '-c:v libvpx-vp9',
+      '-pix_fmt yuva420p',
+      '-b:v 0',
+      '-crf 30',
+      '-deadline good',
+      '-cpu-used 4',
+      '-row-mt 1',
+      '-auto-alt-ref 0',
+      '-an'
+    );
+  } else if (isAlpha) {
+    // VP9 keeps the alpha channel, so the mask never has to be computed again
+    filters.push('format=rgba', CIRCLE_MASK, 'format=yuva420p');
+    outputOptions.push(
+      '-c:v libvpx-vp9',
+      '-pix_fmt yuva420p',
+      '-b:v 0',
+      '-crf 30',
+      '-deadline good',
+      '-cpu-used 4',
+      '-row-mt 1',
+      '-auto-alt-ref 0',
+      '-c:a libopus',
+      '-b:a 128k'
+    );
+  } else {
+    outputOptions.push(
+      '-c:v libx264',
+      '-preset faster',
+      '-crf 20',
+      '-pix_fmt yuv420p',
+      '-c:a aac',
+      '-b:a 128k'
+    );
+  }
+
+  await ffmpegLimiter.run(() => new Promise((resolve, reject) => {
+    ffmpeg(introVideoPath)
+      .seekInput(isGrow ? spec.start : 0)
+      .outputOptions([
+        `-vf ${filters.join(',')}`,
+        ...outputOptions
+      ])
+      .output(tempPath)
+      .on('end', () => resolve({ success: true }))
+      .on('error', (err) => reject(err))
+      .run();
+  }));
+
+  await fs.rename(tempPath, outputPath);
+}
+
+/**
+ * Get a variant from the cache, rendering it on first use
+ */
+async function getVariant(introVideoPath, key, spec) {
+  const outputPath = path.join(STORAGE_PATHS.introCache, getVariantFileName(key, spec));
+
+  return once(outputPath, async () => {
+    if (await fileExists(outputPath)) {
+      return outputPath;
+    }
+
+    console.log(`🧩 Pre-rendering intro variant: ${path.basename(outputPath)}`);
+    const started = Date.now();
+
+    try {
+      await renderVariant(introVideoPath, spec, outputPath);
+    } catch (error) {
+      await fs.rm(getTempPath(outputPath), { force: true }).catch(() => {});
+      throw error;
+    }
+
+    console.log(`   ✓ Intro variant ready in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    return outputPath;
+  });
+}
+
+/**
+ * Prepare an intro video for compositing
+ * specs maps a name to a variant spec, e.g.
+ *   { bubble: { type: 'bubble', width: 400, height: 400, shape: 'circle' } }
+ * Returns { duration, hasAudio, variants: { <name>: path } }
+ * Grow specs starting after the intro ends are skipped (no variant returned)
+ */
+export async function prepareIntroVideo(introVideoPath, specs) {
+  await fs.mkdir(STORAGE_PATHS.introCache, { recursive: true });
+
+  const key = await getCacheKey(introVideoPath);
+  const { duration, hasAudio } = await getIntroMetadata(introVideoPath, key);
+
+  const variants = {};
+  for (const [name, spec] of Object.entries(specs)) {
+    if (spec.type === 'grow' && spec.start >= duration) continue;
+    variants[name] = await getVariant(introVideoPath, key, spec);
+  }
+
+  return { duration, hasAudio, variants };
+}
+
+/**
+ * Delete every cached variant of an intro video
+ * Call before the intro file itself is deleted (the key needs its stats)
+ */
+export async function deleteIntroCache(introVideoPath) {
+  if (!introVideoPath) return 0;
+
+  let key;
+  try {
+    key = await getCacheKey(introVideoPath);
+  } catch {
+    return 0;
+  }
+
+  metadataCache.delete(key);
+
+  let deleted = 0;
+  try {
+    const files = await fs.readdir(STORAGE_PATHS.introCache);
+    for (const file of files.filter(f => f.startsWith(key))) {
+      await fs.unlink(path.join(STORAGE_PATHS.introCache, file)).catch(() => {});
+      deleted++;
+    }
+  } catch {
+    // Cache directory doesn't exist yet
+  }
+
+  return deleted;
+}
+
+export default {
+  prepareIntroVideo,
+  deleteIntroCache,
+};
@@ -0,0 +1,71 @@
+import { getUrlDomain } from './urls.js';
+
+/**
+ * Duplicate lead detection for imports
+ *
+ * Re-uploading an updated sheet shouldn't double a campaign's leads, so each
+ * imported row is matched against the campaign's existing leads (and the rows
+ * imported before it):
+ *
+ *   1. Same email address (case-insensitive)
+ *   2. Same website domain ("www." ignored), unless both leads have an email
+ *      and the emails differ - that's another contact at the same company
+ *
+ * What happens to a matched row depends on the import's duplicate strategy.
+ */
+
+export const DUPLICATE_STRATEGIES = ['skip', 'update', 'create'];
+
+function getEmailKey(email) {
+  const key = String(email ?? '').trim().toLowerCase();
+  return key || null;
+}
+
+/**
+ * Build an index of leads to match imported rows against
+ * leads: [{ id, email, website_url }]
+ * Returns { find(lead) -> { lead, matchedBy } | null, add(lead) }
+ * Adding a lead that's already indexed (e.g. after an update) only indexes its new email or domain
+ */
+export function createDuplicateIndex(leads = []) {
+  const byEmail = new Map();
+  const byDomain = new Map();
+
+  const add = (lead) => {
+    const emailKey = getEmailKey(lead.email);
+    if (emailKey && !byEmail.has(emailKey)) {
+      byEmail.set(emailKey, lead);
+    }
+
+    const domain = getUrlDomain(lead.website_url);
+    if (domain) {
+      if (!byDomain.has(domain)) byDomain.set(domain, []);
+      const candidates = byDomain.get(domain);
+      if (!candidates.includes(lead)) candidates.push(lead);
+    }
+  };
+
+  const find = (lead) => {
+    const emailKey = getEmailKey(lead.email);
+    if (emailKey && byEmail.has(emailKey)) {
+      return { lead: byEmail.get(emailKey), matchedBy: 'email' };
+    }
+
+    const candidates = byDomain.get(getUrlDomain(lead.website_url)) || [];
+    const match = candidates.find(candidate => {
+      const candidateEmail = getEmailKey(candidate.email);
+      return !emailKey || !candidateEmail || candidateEmail === emailKey;
+    });
+
+    return match ? { lead: match, matchedBy: 'domain' } : null;
+  };
+
+  leads.forEach(add);
+
+  return { find, add };
+}
+
+export default {
+  DUPLICATE_STRATEGIES,
+  createDuplicateIndex,
+};
@@ -0,0 +1,231 @@
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import csv from 'csv-parser';
+import XLSX from 'xlsx';
+
+/**
+ * Lead import files
+ *
+ * Leads can be imported from CSV, TSV (e.g. a Google Sheets export) and Excel
+ * (.xlsx / .xls) files. Every format is read as rows keyed by the header
+ * row's column names, so the column mapping works the same for all of them.
+ *
+ * Sheets often have a title or notes above the real headers, so the header
+ * row is detected unless the client picks one. CSV and TSV files are
+ * streamed; spreadsheets are read whole, which is why they have a lower size
+ * limit.
+ */
+
+export const IMPORT_FORMATS = {
+  csv: { extensions: ['.csv'], mimetypes: ['text/csv'] },
+  tsv: { extensions: ['.tsv', '.tab'], mimetypes: ['text/tab-separated-values'] },
+  xlsx: { extensions: ['.xlsx'], mimetypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+  xls: { extensions: ['.xls'], mimetypes: ['application/vnd.ms-excel'] }
+};
+
+export const SPREADSHEET_FORMATS = ['xlsx', 'xls'];
+
+// Rows searched for the header row
+const HEADER_SCAN_ROWS = 20;
+
+// Data rows returned with a preview
+const PREVIEW_ROWS = 5;
+
+// Words that show up in the headers of lead sheets
+const HEADER_KEYWORDS = ['website', 'url', 'link', 'domain', 'name', 'company', 'email', 'e-mail', 'phone'];
+
+// Cells that look like data rather than a column name: URLs, emails, numbers
+const DATA_CELL_PATTERN = /^(https?:\/\/|www\.)|@|^[\d\s.,:/+()$%-]+$/i;
+
+/**
+ * Work out a file's format from its extension, falling back to its mimetype
+ * (browsers report CSV files as application/vnd.ms-excel on Windows, so the
+ * extension wins). Returns null for unsupported files
+ */
+export function getImportFormat(filename, mimetype) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const formats = Object.keys(IMPORT_FORMATS);
+
+  return formats.find(format => IMPORT_FORMATS[format].extensions.includes(extension))
+    || formats.find(format => IMPORT_FORMATS[format].mimetypes.includes(mimetype))
+    || null;
+}
+
+function getSeparator(format) {
+  return format === 'tsv' ? '\t' : ',';
+}
+
+function scoreHeaderRow(cells) {
+  const filled = cells.filter(Boolean);
+  const keywords = filled.filter(cell => HEADER_KEYWORDS.some(keyword => cell.toLowerCase().includes(keyword)));
+  const dataCells = filled.filter(cell => DATA_CELL_PATTERN.test(cell));
+
+  return keywords.length * 10 + filled.length - dataCells.length * 10;
+}
+
+/**
+ * Pick the header row among the first rows of a sheet: the one that reads most
+ * like column names (the earliest row wins a tie)
+ * rows: [{ cells, rowNumber }]
+ */
+function detectHeaderRow(rows) {
+  let best = null;
+
+  for (const row of rows.slice(0, HEADER_SCAN_ROWS)) {
+    if (!row.cells.some(Boolean)) continue;
+
+    const score = scoreHeaderRow(row.cells);
+    if (!best || score > best.score) {
+      best = { rowNumber: row.rowNumber, score };
+    }
+  }
+
+  return best ? best.rowNumber : 1;
+}
+
+function toRowObject(headers, cells) {
+  const row = {};
+  headers.forEach((header, i) => {
+    if (header && !(header in row)) row[header] = cells[i] ?? '';
+  });
+  return row;
+}
+
+/**
+ * First rows of a CSV/TSV file as arrays of cell text
+ */
+async function readTextRows(filePath, format, limit) {
+  const stream = createReadStream(filePath);
+  const rows = [];
+
+  try {
+    for await (const row of stream.pipe(csv({ headers: false, separator: getSeparator(format) }))) {
+      rows.push({ cells: Object.values(row).map(cell => String(cell).trim()), rowNumber: rows.length + 1 });
+      if (rows.length >= limit) break;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  return rows;
+}
+
+/**
+ * Read one worksheet of a spreadsheet as arrays of cell text
+ * The workbook goes out of scope on return so only the rows stay in memory
+ */
+function readSheetRows(filePath, sheetName) {
+  const workbook = XLSX.readFile(filePath, { dense: true });
+  const name = sheetName || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[name];
+
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found`);
+  }
+
+  // sheet_to_json starts at the sheet's used range, which may not be row 1
+  const firstRow = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r + 1 : 1;
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true })
+    .map((cells, i) => ({ cells: cells.map(cell => String(cell).trim()), rowNumber: firstRow + i }));
+
+  return { sheets: workbook.SheetNames, sheet: name, rows };
+}
+
+function getHeaderIndex(rows, headerRow) {
+  if (rows.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  const index = rows.findIndex(row => row.rowNumber === headerRow);
+  if (index === -1) {
+    throw new Error(`Header row ${headerRow} is past the end of the file`);
+  }
+  return index;
+}
+
+/**
+ * Preview an import file for the column mapping
+ * options: { sheet, headerRow } - the first sheet and a detected header row by default
+ * Returns { format, sheets, sheet, headerRow, headers, rows } with the first few data rows
+ */
+export async function previewLeadFile(filePath, format, options = {}) {
+  let sheets = [];
+  let sheet = null;
+  let rows;
+
+  if (SPREADSHEET_FORMATS.includes(format)) {
+    ({ sheets, sheet, rows } = readSheetRows(filePath, options.sheet));
+  } else {
+    rows = await readTextRows(filePath, format, Math.max(options.headerRow || 0, HEADER_SCAN_ROWS) + PREVIEW_ROWS);
+  }
+
+  const headerRow = options.headerRow || detectHeaderRow(rows);
+  const headerIndex = getHeaderIndex(rows, headerRow);
+  const headers = rows[headerIndex].cells;
+
+  return {
+    format,
+    sheets,
+    sheet,
+    headerRow,
+    headers,
+    rows: rows.slice(headerIndex + 1)
+      .filter(row => row.cells.some(Boolean))
+      .slice(0, PREVIEW_ROWS)
+      .map(row => toRowObject(headers, row.cells))
+  };
+}
+
+/**
+ * Read an import file's data rows as objects keyed by the header row
+ * options: { sheet, headerRow } - as for previewLeadFile
+ * Yields { row, rowNumber, bytesRead }
+ */
+export async function* readLeadRows(filePath, format, options = {}) {
+  if (SPREADSHEET_FORMATS.includes(format)) {
+    const { rows } = readSheetRows(filePath, options.sheet);
+    const headerIndex = getHeaderIndex(rows, options.headerRow || detectHeaderRow(rows));
+    const headers = rows[headerIndex].cells;
+    const dataRows = rows.slice(headerIndex + 1);
+    const { size } = await fs.stat(filePath);
+
+    // The file is already read - report progress by rows instead of bytes
+    for (let i = 0; i < dataRows.length; i++) {
+      if (!dataRows[i].cells.some(Boolean)) continue;
+      yield {
+        row: toRowObject(headers, dataRows[i].cells),
+        rowNumber: dataRows[i].rowNumber,
+        bytesRead: Math.round(size * (i + 1) / dataRows.length)
+      };
+    }
+    return;
+  }
+
+  const headerRow = options.headerRow || detectHeaderRow(await readTextRows(filePath, format, HEADER_SCAN_ROWS));
+  const stream = createReadStream(filePath);
+
+  try {
+    const parser = csv({
+      separator: getSeparator(format),
+      skipLines: headerRow - 1,
+      mapHeaders: ({ header }) => header.trim()
+    });
+
+    let rowNumber = headerRow;
+    for await (const row of stream.pipe(parser)) {
+      rowNumber++;
+      yield { row, rowNumber, bytesRead: stream.bytesRead };
+    }
+  } finally {
+    stream.destroy();
+  }
+}
+
+export default {
+  IMPORT_FORMATS,
+  SPREADSHEET_FORMATS,
+  getImportFormat,
+  previewLeadFile,
+  readLeadRows,
+};
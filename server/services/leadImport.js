@@ -0,0 +1,420 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import pool from '../db.js';
+import { readLeadRows } from './leadFiles.js';
+import { normalizeLeadUrl } from './urls.js';
+import { createDuplicateIndex } from './leadDuplicates.js';
+import { preflightLeads, BLOCKING_URL_STATUSES } from './urlPreflight.js';
+import { MAX_CUSTOM_FIELD_LENGTH } from './personalize.js';
+
+/**
+ * Background lead imports
+ *
+ * An upload creates a lead_imports row and returns right away; the file's rows
+ * are imported in batches (CSV and TSV files are streamed, so sheets with
+ * hundreds of thousands of rows never sit in memory):
+ *
+ *   queued -> importing -> checking (optional website pre-flight) -> completed | failed
+ *
+ * All leads are inserted in one transaction (multi-row INSERTs per batch), so
+ * a failed import leaves the campaign untouched. Progress counters are
+ * written after every batch for the client to poll.
+ */
+
+// Rows inserted per multi-row INSERT
+const BATCH_SIZE = 1000;
+
+// Leads checked per pre-flight progress update
+const PREFLIGHT_CHUNK_SIZE = 200;
+
+// Imports without progress for this long were interrupted (e.g. by a deploy)
+const STALE_IMPORT_MINUTES = 10;
+
+// How often a running pre-flight check reports that it's still alive
+const PREFLIGHT_HEARTBEAT_INTERVAL = 60 * 1000;
+
+// Details kept on the import row for the report
+const MAX_DUPLICATE_DETAILS = 100;
+const MAX_ERROR_DETAILS = 100;
+
+// Column lengths from the leads table - longer values would abort the whole batch
+const FIELD_LIMITS = {
+  website_url: 500,
+  first_name: 255,
+  last_name: 255,
+  company_name: 255,
+  email: 255,
+  phone: 50
+};
+
+/**
+ * Map a parsed row to lead fields using the client's column mapping,
+ * falling back to common column names
+ * mapping.custom_fields = { "<CSV column>": "<FieldName>" } for extra columns
+ */
+function mapRow(row, mapping) {
+  const customFields = {};
+  for (const [column, name] of Object.entries(mapping.custom_fields || {})) {
+    customFields[name] = String(row[column] ?? '').trim();
+  }
+
+  return {
+    website_url: row[mapping.website_url] || row['Website Link'] || row['Website'] || row['URL'],
+    first_name: row[mapping.first_name] || row['First Name'] || row['FirstName'] || '',
+    last_name: row[mapping.last_name] || row['Last Name'] || row['LastName'] || '',
+    company_name: row[mapping.company_name] || row['Company Name'] || row['Company'] || '',
+    email: row[mapping.email] || row['Email'] || '',
+    phone: row[mapping.phone] || row['Phone'] || '',
+    custom_fields: customFields
+  };
+}
+
+/**
+ * Validate and normalize a mapped row
+ * Returns { lead } or { error }
+ */
+function prepareLead(fields) {
+  if (!fields.website_url) {
+    return { error: 'Missing website URL' };
+  }
+
+  const websiteUrl = normalizeLeadUrl(fields.website_url);
+  if (!websiteUrl) {
+    return { error: `Invalid website URL: ${fields.website_url}` };
+  }
+
+  const lead = { ...fields, website_url: websiteUrl };
+  for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+    lead[field] = String(lead[field] ?? '').trim();
+    if (lead[field].length > limit) {
+      return { error: `${field} is longer than ${limit} characters` };
+    }
+  }
+
+  for (const [name, value] of Object.entries(lead.custom_fields)) {
+    if (value.length > MAX_CUSTOM_FIELD_LENGTH) {
+      return { error: `${name} is longer than ${MAX_CUSTOM_FIELD_LENGTH} characters` };
+    }
+  }
+
+  return { lead };
+}
+
+async function insertLeads(client, campaignId, leads) {
+  if (leads.length === 0) return;
+
+  const columns = ['id', 'campaign_id', 'website_url', 'first_name', 'last_name', 'company_name', 'email', 'phone', 'custom_fields'];
+  const params = [];
+  const values = leads.map((lead, i) => {
+    params.push(
+      lead.id, campaignId, lead.website_url, lead.first_name, lead.last_name,
+      lead.company_name, lead.email, lead.phone, JSON.stringify(lead.custom_fields)
+    );
+    return `(${columns.map((_, j) => `$${i * columns.length + j + 1}`).join(', ')})`;
+  });
+
+  await client.query(`INSERT INTO leads (${columns.join(', ')}) VALUES ${values.join(', ')}`, params);
+}
+
+// Blank cells keep the lead's current value; a new URL needs a new pre-flight check
+async function updateLead(client, id, lead) {
+  await client.query(`
+    UPDATE leads
+    SET url_status = CASE WHEN $1 <> website_url THEN 'unchecked' ELSE url_status END,
+        url_status_detail = CASE WHEN $1 <> website_url THEN NULL ELSE url_status_detail END,
+        resolved_url = CASE WHEN $1 <> website_url THEN NULL ELSE resolved_url END,
+        website_url = $1,
+        first_name = COALESCE(NULLIF($2, ''), first_name),
+        last_name = COALESCE(NULLIF($3, ''), last_name),
+        company_name = COALESCE(NULLIF($4, ''), company_name),
+        email = COALESCE(NULLIF($5, ''), email),
+        phone = COALESCE(NULLIF($6, ''), phone),
+        custom_fields = COALESCE(custom_fields, '{}'::jsonb) || $8::jsonb
+    WHERE id = $7
+  `, [
+    lead.website_url, lead.first_name, lead.last_name, lead.company_name, lead.email, lead.phone, id,
+    JSON.stringify(nonBlank(lead.custom_fields))
+  ]);
+}
+
+function nonBlank(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+}
+
+// Fill a pending (not yet inserted) lead with the non-blank fields of a duplicate row
+function mergeInto(target, lead) {
+  const { custom_fields: customFields, ...fields } = lead;
+  for (const [field, value] of Object.entries(fields)) {
+    if (value || field === 'website_url') target[field] = value;
+  }
+  Object.assign(target.custom_fields, nonBlank(customFields));
+}
+
+/**
+ * Write progress fields (and bump updated_at) on a running import
+ * Throws when the import already finished - e.g. it was marked interrupted
+ * after going quiet - so the worker stops instead of undoing that
+ */
+async function updateProgress(importId, fields) {
+  const entries = Object.entries(fields);
+  const result = await pool.query(`
+    UPDATE lead_imports
+    SET ${entries.map(([column], i) => `${column} = $${i + 2}, `).join('')}updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status NOT IN ('failed', 'completed')
+  `, [importId, ...entries.map(([, value]) => value)]);
+
+  if (result.rowCount === 0) {
+    throw new Error('Import already finished or was marked as interrupted');
+  }
+}
+
+function getCounts(state) {
+  return {
+    rows_processed: state.rows,
+    created_count: state.created,
+    updated_count: state.updated,
+    skipped_count: state.skipped,
+    error_count: state.errors.count,
+    duplicate_count: state.duplicates.count,
+    duplicate_details: JSON.stringify(state.duplicates.details),
+    error_details: JSON.stringify(state.errors.details)
+  };
+}
+
+/**
+ * Insert one batch of parsed rows
+ * Duplicates are matched against the campaign, earlier batches and earlier rows of this batch
+ */
+async function importBatch(client, leadImport, batch, state) {
+  const inserts = new Map(); // id -> lead, inserted at the end of the batch
+  const strategy = leadImport.duplicate_strategy;
+
+  for (const { row, rowNumber } of batch) {
+    const { lead, error } = prepareLead(mapRow(row, leadImport.column_mapping));
+
+    if (error) {
+      state.errors.count++;
+      if (state.errors.details.length < MAX_ERROR_DETAILS) {
+        state.errors.details.push({ row: rowNumber, error });
+      }
+      continue;
+    }
+
+    const match = state.index.find(lead);
+
+    if (match) {
+      state.duplicates.count++;
+      if (state.duplicates.details.length < MAX_DUPLICATE_DETAILS) {
+        state.duplicates.details.push({
+          row: rowNumber,
+          website_url: lead.website_url,
+          email: lead.email,
+          matchedBy: match.matchedBy,
+          leadId: match.lead.id,
+          action: strategy === 'update' ? 'updated' : strategy === 'skip' ? 'skipped' : 'created'
+        });
+      }
+
+      if (strategy === 'skip') {
+        state.skipped++;
+        continue;
+      }
+
+      if (strategy === 'update') {
+        const pending = inserts.get(match.lead.id);
+        if (pending) {
+          mergeInto(pending, lead);
+        } else {
+          await updateLead(client, match.lead.id, lead);
+          state.leadIds.add(match.lead.id);
+        }
+
+        // Later rows match against the merged lead (including an email it just gained)
+        match.lead.website_url = lead.website_url;
+        match.lead.email = lead.email || match.lead.email;
+        state.index.add(match.lead);
+        state.updated++;
+        continue;
+      }
+    }
+
+    const id = crypto.randomUUID();
+    inserts.set(id, { ...lead, id });
+    state.index.add({ id, email: lead.email, website_url: lead.website_url });
+    state.leadIds.add(id);
+    state.created++;
+  }
+
+  await insertLeads(client, leadImport.campaign_id, [...inserts.values()]);
+}
+
+/**
+ * Stream the file into the campaign inside one transaction
+ */
+async function importFile(leadImport, filePath, state) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id, email, website_url FROM leads WHERE campaign_id = $1',
+      [leadImport.campaign_id]
+    );
+    state.index = createDuplicateIndex(existing.rows);
+
+    let batch = [];
+    let bytesProcessed = 0;
+
+    const flush = async () => {
+      await importBatch(client, leadImport, batch, state);
+      state.rows += batch.length;
+      batch = [];
+      await updateProgress(leadImport.id, { ...getCounts(state), bytes_processed: bytesProcessed });
+    };
+
+    const rows = readLeadRows(filePath, leadImport.file_format, {
+      sheet: leadImport.sheet_name,
+      headerRow: leadImport.header_row
+    });
+
+    for await (const { row, rowNumber, bytesRead } of rows) {
+      bytesProcessed = bytesRead;
+      batch.push({ row, rowNumber });
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Pre-flight the imported leads' websites, updating progress as chunks finish
+ * A chunk of slow sites can take minutes, so a heartbeat keeps the import from looking stale
+ */
+async function checkImportedLeads(leadImport, leadIds) {
+  let checked = 0;
+  let flagged = 0;
+
+  const heartbeat = setInterval(() => {
+    updateProgress(leadImport.id, {}).catch(error => {
+      console.error(`⚠️ Failed to update import ${leadImport.id}:`, error.message);
+    });
+  }, PREFLIGHT_HEARTBEAT_INTERVAL);
+
+  try {
+    for (let i = 0; i < leadIds.length; i += PREFLIGHT_CHUNK_SIZE) {
+      const { rows } = await pool.query(
+        "SELECT id, website_url FROM leads WHERE id = ANY($1) AND url_status = 'unchecked'",
+        [leadIds.slice(i, i + PREFLIGHT_CHUNK_SIZE)]
+      );
+
+      const leads = await preflightLeads(rows);
+      checked += leads.length;
+      flagged += leads.filter(lead => BLOCKING_URL_STATUSES.includes(lead.url_status)).length;
+
+      await updateProgress(leadImport.id, { checked_count: checked, flagged_count: flagged });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function runLeadImport(leadImport, filePath) {
+  const state = {
+    index: null,
+    rows: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    duplicates: { count: 0, details: [] },
+    errors: { count: 0, details: [] },
+    leadIds: new Set() // Created and updated leads, for the pre-flight check
+  };
+
+  try {
+    await updateProgress(leadImport.id, { status: 'importing', started_at: new Date() });
+    await importFile(leadImport, filePath, state);
+
+    console.log(`📥 Import ${leadImport.id}: ${state.created} created, ${state.updated} updated, ${state.skipped} skipped, ${state.errors.count} errors`);
+
+    if (leadImport.preflight && state.leadIds.size > 0) {
+      await updateProgress(leadImport.id, { status: 'checking' });
+      await checkImportedLeads(leadImport, [...state.leadIds]);
+    }
+
+    await updateProgress(leadImport.id, { status: 'completed', finished_at: new Date() });
+  } catch (error) {
+    console.error(`❌ Import ${leadImport.id} failed:`, error.message);
+    await updateProgress(leadImport.id, {
+      status: 'failed',
+      error_message: error.message,
+      finished_at: new Date()
+    }).catch(() => {});
+  } finally {
+    await fs.unlink(filePath).catch(() => {});
+  }
+}
+
+/**
+ * Create an import job for an uploaded file and start it in the background
+ * options: { campaignId, filePath, filename, bytesTotal, fileFormat, sheetName, headerRow,
+ *            columnMapping, duplicateStrategy, preflight }
+ * Returns the lead_imports row
+ */
+export async function startLeadImport(options) {
+  const { rows: [leadImport] } = await pool.query(`
+    INSERT INTO lead_imports (
+      campaign_id, filename, column_mapping, duplicate_strategy, preflight, bytes_total,
+      file_format, sheet_name, header_row
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    options.campaignId,
+    options.filename,
+    JSON.stringify(options.columnMapping || {}),
+    options.duplicateStrategy,
+    options.preflight,
+    options.bytesTotal,
+    options.fileFormat,
+    options.sheetName || null,
+    options.headerRow || null
+  ]);
+
+  runLeadImport(leadImport, options.filePath);
+
+  return leadImport;
+}
+
+/**
+ * Get an import job
+ * Jobs that stopped reporting progress (the server restarted mid-import) are marked failed
+ */
+export async function getLeadImport(importId) {
+  await pool.query(`
+    UPDATE lead_imports
+    SET status = 'failed',
+        error_message = 'Import was interrupted - please upload the file again',
+        finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+      AND status IN ('queued', 'importing', 'checking')
+      AND updated_at < NOW() - make_interval(mins => $2)
+  `, [importId, STALE_IMPORT_MINUTES]);
+
+  const { rows } = await pool.query('SELECT * FROM lead_imports WHERE id = $1', [importId]);
+  return rows[0] || null;
+}
+
+export default {
+  startLeadImport,
+  getLeadImport,
+};
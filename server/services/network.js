@@ -0,0 +1,119 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Private network guard
+ *
+ * Webhook endpoints and lead websites are picked by workspace members, so
+ * the server must not be used to reach its own network: loopback, private,
+ * link-local (including the 169.254.169.254 cloud metadata service) and other
+ * reserved addresses are refused, both when a URL is saved and when the
+ * request is made (the address a host resolves to can change in between).
+ */
+
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],         // "This" network
+  ['10.0.0.0', 8, 'ipv4'],        // Private
+  ['100.64.0.0', 10, 'ipv4'],     // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],       // Loopback
+  ['169.254.0.0', 16, 'ipv4'],    // Link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],     // Private
+  ['192.0.0.0', 24, 'ipv4'],      // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'],    // Private
+  ['198.18.0.0', 15, 'ipv4'],     // Benchmarking
+  ['224.0.0.0', 3, 'ipv4'],       // Multicast and reserved
+  ['::', 96, 'ipv6'],             // Unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96, 'ipv6'],      // IPv4/IPv6 translation
+  ['fc00::', 7, 'ipv6'],          // Unique local
+  ['fe80::', 10, 'ipv6'],         // Link-local
+  ['ff00::', 8, 'ipv6']           // Multicast
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const privateAddresses = new net.BlockList();
+for (const [address, prefix, type] of PRIVATE_RANGES) {
+  privateAddresses.addSubnet(address, prefix, type);
+}
+
+// Host names that only mean something inside the server's network
+const PRIVATE_HOSTNAMES = /(^|\.)(localhost|local|internal|localdomain)$/i;
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * Anything that isn't an IP address counts as private
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// URL hostnames keep IPv6 addresses in brackets
+function bareHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Check that a URL points at the public internet (resolving its host name)
+ * Hosts that don't resolve yet are allowed - the request is checked again when it's made
+ * Returns an error message, or null when the URL is fine
+ */
+export async function checkPublicUrl(value) {
+  const url = new URL(value);
+  const hostname = bareHostname(url);
+
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? 'url must not point at a private or local network address' : null;
+  }
+  if (PRIVATE_HOSTNAMES.test(hostname.replace(/\.$/, ''))) {
+    return 'url must not point at a private or local network host';
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    return null;
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'url must not resolve to a private or local network address';
+  }
+
+  return null;
+}
+
+/**
+ * dns.lookup for http(s).request that refuses private addresses, so the
+ * address actually connected to is the one checked
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a private or local network address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Whether a request to this URL may be made: IP literals are checked here
+ * (they never go through a lookup), host names through publicLookup
+ */
+export function isPublicRequestUrl(url) {
+  const hostname = bareHostname(url);
+  return !net.isIP(hostname) || !isPrivateAddress(hostname);
+}
+
+export default {
+  isPrivateAddress,
+  checkPublicUrl,
+  publicLookup,
+  isPublicRequestUrl,
+};
@@ -1,4 +1,5 @@
 import pool from '../db.js';
+import { personalize, getVideoTitle } from './personalize.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -18,6 +19,9 @@ export async function getVideoMetadata(slug) {
         l.last_name,
         l.company_name,
         l.website_url,
+        l.email,
+        l.phone,
+        l.custom_fields,
         c.video_title,
         c.video_description,
         c.name as campaign_name
@@ -38,17 +42,6 @@ export async function getVideoMetadata(slug) {
   }
 }
 
-/**
- * Generate personalized text by replacing tokens
- */
-function personalize(text, data) {
-  if (!text || !data) return text || '';
-  return text
-    .replace(/@FirstName/gi, data.first_name || '')
-    .replace(/@CompanyName/gi, data.company_name || data.last_name || '')
-    .replace(/@LastName/gi, data.last_name || '');
-}
-
 /**
  * Escape HTML special characters to prevent XSS
  */
@@ -89,7 +82,7 @@ export async function generateOGHtml(slug, baseUrl, indexHtmlPath) {
 
   // Personalize content
   const companyName = metadata.company_name || metadata.last_name || 'You';
-  const title = `A video for ${companyName}`;
+  const title = personalize(getVideoTitle(metadata.video_title), metadata);
   const description = metadata.video_description 
     ? personalize(metadata.video_description, metadata)
     : `Watch this personalized video created just for ${companyName}`;
@@ -0,0 +1,89 @@
+/**
+ * Personalization tokens
+ *
+ * Campaign titles, descriptions, CTA text and button links can include
+ * @Tokens that are replaced with the lead's data:
+ *
+ *   @FirstName, @LastName, @CompanyName, @Email, @Phone, @Website
+ *   @AnyField          - a custom field mapped from an extra CSV column
+ *   @FirstName|there   - fallback used when the lead's value is blank
+ *   @City|"your area"  - quoted fallback for text with spaces
+ *
+ * Tokens are case-insensitive. An @word that is neither a built-in nor one of
+ * the lead's custom fields is left as-is (unless it has a fallback).
+ */
+
+// Built-in tokens and how they read a lead row
+const BUILT_IN_TOKENS = {
+  firstname: lead => lead.first_name,
+  lastname: lead => lead.last_name,
+  companyname: lead => lead.company_name || lead.last_name,
+  email: lead => lead.email,
+  phone: lead => lead.phone,
+  website: lead => lead.website_url
+};
+
+// Custom field names double as token names
+export const CUSTOM_FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+export const MAX_CUSTOM_FIELDS = 50;
+export const MAX_CUSTOM_FIELD_LENGTH = 1000;
+
+// @Name, optionally followed by |fallback or |"quoted fallback" (not inside an email address)
+const TOKEN_PATTERN = /(?<![\w.])@([A-Za-z][A-Za-z0-9_]*)(?:\|(?:"([^"]*)"|([^\s@|.,!?;:'"()[\]{}<>&/#=+]*)))?/g;
+
+// Campaigns created before titles were editable store this placeholder
+const LEGACY_VIDEO_TITLE = 'A video for you 👋';
+export const DEFAULT_VIDEO_TITLE = 'A video for @CompanyName|You';
+
+/**
+ * Check whether a name can't be used for a custom field (it would shadow a built-in token)
+ */
+export function isReservedFieldName(name) {
+  return Object.prototype.hasOwnProperty.call(BUILT_IN_TOKENS, String(name).toLowerCase());
+}
+
+function getTokenValue(name, lead) {
+  const key = name.toLowerCase();
+  if (BUILT_IN_TOKENS[key]) {
+    return { known: true, value: BUILT_IN_TOKENS[key](lead) };
+  }
+
+  const customFields = lead.custom_fields || {};
+  const field = Object.keys(customFields).find(k => k.toLowerCase() === key);
+  return field ? { known: true, value: customFields[field] } : { known: false, value: null };
+}
+
+/**
+ * Replace personalization tokens in text with the lead's data
+ * options.encode = URL-encode substituted values (for button links)
+ */
+export function personalize(text, lead, options = {}) {
+  if (!text || !lead) return text || '';
+
+  return text.replace(TOKEN_PATTERN, (token, name, quotedFallback, fallback) => {
+    const { known, value } = getTokenValue(name, lead);
+    const defaultValue = quotedFallback ?? fallback;
+
+    if (!known && defaultValue === undefined) return token;
+
+    const result = String(value ?? '').trim() || defaultValue || '';
+    return options.encode ? encodeURIComponent(result) : result;
+  });
+}
+
+/**
+ * Title template for a campaign's landing page and link previews
+ */
+export function getVideoTitle(videoTitle) {
+  return !videoTitle || videoTitle === LEGACY_VIDEO_TITLE ? DEFAULT_VIDEO_TITLE : videoTitle;
+}
+
+export default {
+  CUSTOM_FIELD_NAME_PATTERN,
+  MAX_CUSTOM_FIELDS,
+  MAX_CUSTOM_FIELD_LENGTH,
+  DEFAULT_VIDEO_TITLE,
+  isReservedFieldName,
+  personalize,
+  getVideoTitle,
+};
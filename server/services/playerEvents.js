@@ -0,0 +1,131 @@
+import pool from '../db.js';
+
+/**
+ * Landing page player analytics
+ *
+ * The landing page player batches what the viewer does and sends it with
+ * navigator.sendBeacon to POST /api/videos/landing/:slug/events:
+ *   { session_id, events: [{ type, position, watched, percent, from }] }
+ *
+ * session_id identifies one page load, position is the video time in
+ * seconds, watched is the seconds actually played so far in that session,
+ * percent is the quartile reached (progress events) and from is where a
+ * seek started. Events are stored in video_analytics next to the 'view'
+ * and 'cta_click' rows; the video_engagement() SQL function sums them up per video.
+ */
+
+export const PLAYER_EVENTS = [
+  'play',
+  'pause',
+  'seek',
+  'progress',
+  'mute',
+  'unmute',
+  'fullscreen_enter',
+  'fullscreen_exit'
+];
+
+export const PROGRESS_PERCENTS = [25, 50, 75, 100];
+
+// Most events accepted in one beacon
+export const MAX_EVENTS_PER_BEACON = 50;
+
+// Most events stored for one session - later ones are dropped
+export const MAX_EVENTS_PER_SESSION = 500;
+
+// Longest position or watch time accepted (seconds)
+const MAX_SECONDS = 24 * 60 * 60;
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Seconds as a number rounded to 0.1s, or null when missing or out of range
+function parseSeconds(value) {
+  const seconds = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(seconds)) return null;
+  if (seconds < 0 || seconds > MAX_SECONDS) return null;
+  return Math.round(seconds * 10) / 10;
+}
+
+/**
+ * Validate a player events beacon
+ * Returns { value: { sessionId, events: [{ type, position, watched, data }] } } or { error }
+ */
+export function parsePlayerEvents(body) {
+  const sessionId = body?.session_id;
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    return { error: 'session_id must be 8 to 64 letters, digits, dashes or underscores' };
+  }
+
+  const input = body.events;
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_EVENTS_PER_BEACON) {
+    return { error: `events must be a list of 1 to ${MAX_EVENTS_PER_BEACON} events` };
+  }
+
+  const events = [];
+  const percents = new Set();
+
+  for (const event of input) {
+    if (!PLAYER_EVENTS.includes(event?.type)) {
+      return { error: `event type must be one of: ${PLAYER_EVENTS.join(', ')}` };
+    }
+
+    let data = null;
+    if (event.type === 'progress') {
+      const percent = Number(event.percent);
+      if (!PROGRESS_PERCENTS.includes(percent)) {
+        return { error: `progress events need a percent of ${PROGRESS_PERCENTS.join(', ')}` };
+      }
+      if (percents.has(percent)) continue;
+      percents.add(percent);
+      data = { percent };
+    } else if (event.type === 'seek') {
+      data = { from: parseSeconds(event.from) };
+    }
+
+    events.push({
+      type: event.type,
+      position: parseSeconds(event.position),
+      watched: parseSeconds(event.watched),
+      data
+    });
+  }
+
+  return { value: { sessionId, events } };
+}
+
+/**
+ * Store a beacon's events for a video
+ * A quartile is only recorded once per session, however often it's replayed,
+ * and a session stores at most MAX_EVENTS_PER_SESSION events
+ * Returns the number of events stored
+ */
+export async function recordPlayerEvents(videoId, { sessionId, events }, { ip, userAgent, referrer }) {
+  const result = await pool.query(`
+    INSERT INTO video_analytics
+      (video_id, event_type, session_id, position_seconds, watched_seconds, data, ip_address, user_agent, referrer)
+    SELECT $1, e.type, $2::text, e.position, e.watched, e.data, $4, $5, $6
+    FROM ROWS FROM (
+      jsonb_to_recordset($3::jsonb) AS (type text, position real, watched real, data jsonb)
+    ) WITH ORDINALITY AS e(type, position, watched, data, n)
+    WHERE e.n <= $7 - (
+      SELECT COUNT(*) FROM video_analytics a
+      WHERE a.video_id = $1 AND a.session_id = $2::text
+    )
+    AND (e.type <> 'progress' OR NOT EXISTS (
+      SELECT 1 FROM video_analytics a
+      WHERE a.video_id = $1 AND a.session_id = $2::text AND a.event_type = 'progress'
+        AND a.data->>'percent' = e.data->>'percent'
+    ))
+  `, [videoId, sessionId, JSON.stringify(events), ip, userAgent, referrer, MAX_EVENTS_PER_SESSION]);
+
+  return result.rowCount;
+}
+
+export default {
+  PLAYER_EVENTS,
+  PROGRESS_PERCENTS,
+  MAX_EVENTS_PER_BEACON,
+  MAX_EVENTS_PER_SESSION,
+  parsePlayerEvents,
+  recordPlayerEvents,
+};
@@ -0,0 +1,41 @@
+/**
+ * In-memory rate limits for public endpoints
+ *
+ * Counts requests per key (e.g. a video slug and the viewer's IP) in fixed
+ * windows. Counts live in this process only, so each server instance allows
+ * the full limit.
+ */
+
+/**
+ * Create a rate limit allowing `limit` hits per key every `windowMs`
+ * Returns hit(key) -> true while the key is within the limit
+ */
+export function createRateLimit({ limit, windowMs }) {
+  const windows = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  return function hit(key) {
+    const now = Date.now();
+
+    // Forget keys whose window has ended, so the map doesn't grow with every visitor
+    if (now >= nextSweep) {
+      for (const [windowKey, window] of windows) {
+        if (window.resetAt <= now) windows.delete(windowKey);
+      }
+      nextSweep = now + windowMs;
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count++;
+    return window.count <= limit;
+  };
+}
+
+export default {
+  createRateLimit,
+};
@@ -0,0 +1,53 @@
+/**
+ * Failure classification for lead renders
+ *
+ * Every failed render is mapped to a stable error_code and marked as
+ * retryable (transient: timeouts, DNS hiccups, ffmpeg killed by OOM) or
+ * permanent (invalid URL, site returns 404). The render queue retries
+ * retryable failures with exponential backoff and gives up on the rest.
+ */
+
+// Checked in order - the first matching rule wins
+const ERROR_RULES = [
+  // Permanent: the lead's URL can never be rendered as-is
+  { code: 'INVALID_URL', retryable: false, pattern: /invalid url|ERR_INVALID_URL|Cannot navigate to invalid URL|ERR_UNKNOWN_URL_SCHEME/i },
+  { code: 'SITE_NOT_FOUND', retryable: false, pattern: /HTTP (404|410)\b/ },
+  { code: 'SITE_BLOCKED', retryable: false, pattern: /HTTP (401|403|451)\b|ERR_BLOCKED_BY/i },
+  { code: 'SSL_ERROR', retryable: false, pattern: /ERR_CERT_|ERR_SSL_/i },
+  { code: 'MISSING_SOURCE', retryable: false, pattern: /no longer exists|ENOENT|No such file or directory/i },
+
+  // Retryable: transient network and site problems
+  { code: 'NAVIGATION_TIMEOUT', retryable: true, pattern: /Navigation timeout|TimeoutError|ERR_TIMED_OUT/i },
+  { code: 'DNS_FAILURE', retryable: true, pattern: /ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|EAI_AGAIN|ENOTFOUND/i },
+  { code: 'CONNECTION_FAILED', retryable: true, pattern: /ERR_CONNECTION_|ERR_NETWORK_CHANGED|ERR_INTERNET_DISCONNECTED|ERR_EMPTY_RESPONSE|ECONNRESET|ECONNREFUSED/i },
+  { code: 'SITE_ERROR', retryable: true, pattern: /HTTP (429|5\d\d)\b/ },
+
+  // Retryable: the render box ran out of resources
+  { code: 'FFMPEG_KILLED', retryable: true, pattern: /ffmpeg was killed with signal|SIGKILL|out of memory|Cannot allocate memory/i },
+  { code: 'BROWSER_CRASHED', retryable: true, pattern: /Target closed|Session closed|Protocol error|browser has disconnected|Failed to launch the browser/i },
+
+  // Permanent: ffmpeg rejected the inputs or filter graph
+  { code: 'FFMPEG_ERROR', retryable: false, pattern: /ffmpeg exited with code|Invalid data found|Error initializing filter/i }
+];
+
+/**
+ * Classify a render failure
+ * Accepts an Error or a message string and returns { code, retryable, message }
+ */
+export function classifyRenderError(error) {
+  const message = (typeof error === 'string' ? error : error?.message) || 'Unknown error';
+  const text = [message, error?.code].filter(Boolean).join(' ');
+
+  const rule = ERROR_RULES.find(r => r.pattern.test(text));
+
+  if (rule) {
+    return { code: rule.code, retryable: rule.retryable, message };
+  }
+
+  // Unknown failures get retried - attempts are capped by the queue
+  return { code: 'UNKNOWN', retryable: true, message };
+}
+
+export default {
+  classifyRenderError,
+};
@@ -0,0 +1,561 @@
+import os from 'os';
+import { nanoid } from 'nanoid';
+import pool from '../db.js';
+import VideoProcessor from './videoProcessor.js';
+import { STORAGE_PATHS, getExpirationDate } from './storage.js';
+import { RENDER_CONCURRENCY, FFMPEG_CONCURRENCY, FFMPEG_THREADS } from './concurrency.js';
+import { classifyRenderError } from './renderErrors.js';
+import { emitVideoEvent, emitBatchFinished } from './webhooks.js';
+
+/**
+ * Durable render queue backed by the render_jobs table
+ *
+ * Jobs move through: queued -> claimed -> running -> succeeded | failed
+ * A worker claims a job by taking a lease on it and keeps the lease alive
+ * while rendering. If the container dies mid-render the lease expires and
+ * the job is claimed again, so queued leads survive restarts and deploys.
+ *
+ * Up to RENDER_CONCURRENCY workers render in parallel. They share one
+ * Puppeteer browser (each capture opens its own page), which is launched
+ * when the first worker starts and closed when the last one finishes.
+ *
+ * Failed renders are classified (see renderErrors.js). Retryable failures
+ * go back to the queue with exponential backoff until RENDER_MAX_ATTEMPTS
+ * is reached; permanent failures fail the job immediately.
+ *
+ * Finished jobs send the video.completed / video.failed webhooks, and the
+ * last job of a batch sends campaign.batch_finished (see webhooks.js).
+ */
+
+// Unique id for this process, stored on the jobs it claims
+const WORKER_ID = `${os.hostname()}-${process.pid}-${nanoid(6)}`;
+
+// How long a claim is valid without a heartbeat (default: 2 minutes)
+const LEASE_SECONDS = parseInt(process.env.RENDER_LEASE_SECONDS) || 120;
+
+// How often a running job renews its lease
+const HEARTBEAT_INTERVAL = Math.max(5, Math.floor(LEASE_SECONDS / 3)) * 1000;
+
+// How often the queue is polled for new or abandoned jobs
+const POLL_INTERVAL = 10 * 1000;
+
+// Attempts per job before a retryable failure becomes permanent
+const MAX_ATTEMPTS = parseInt(process.env.RENDER_MAX_ATTEMPTS) || 3;
+
+// Backoff between attempts: base * 2^(attempt - 1), capped (default: 30s, 60s, 120s...)
+const RETRY_BASE_SECONDS = parseInt(process.env.RENDER_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 15 * 60;
+
+// Statuses that count as "in the queue"
+const ACTIVE_STATUSES = ['queued', 'claimed', 'running'];
+
+let pollTimer = null;
+let activeWorkers = 0;
+let sharedProcessor = null; // Promise resolving to an initialized VideoProcessor
+
+/**
+ * Add leads to the render queue
+ * Leads that already have an active job are skipped
+ */
+export async function enqueueRenderJobs(campaignId, leadIds) {
+  if (!leadIds || leadIds.length === 0) return 0;
+
+  const result = await pool.query(`
+    INSERT INTO render_jobs (lead_id, campaign_id, status)
+    SELECT UNNEST($2::uuid[]), $1, 'queued'
+    ON CONFLICT (lead_id) WHERE status IN ('queued', 'claimed', 'running')
+    DO NOTHING
+    RETURNING id
+  `, [campaignId, leadIds]);
+
+  console.log(`📥 Queued ${result.rowCount} render jobs for campaign ${campaignId}`);
+
+  // Start rendering right away instead of waiting for the next poll
+  kickRenderQueue();
+
+  return result.rowCount;
+}
+
+/**
+ * Atomically claim the oldest available job
+ * Picks up queued jobs and jobs whose lease has expired
+ */
+export async function claimNextJob() {
+  const result = await pool.query(`
+    UPDATE render_jobs
+    SET status = 'claimed',
+        worker_id = $1,
+        lease_expires_at = NOW() + make_interval(secs => $2),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM render_jobs
+      WHERE (status = 'queued' AND (run_after IS NULL OR run_after <= NOW()))
+        OR (status IN ('claimed', 'running') AND lease_expires_at < NOW())
+      ORDER BY created_at ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [WORKER_ID, LEASE_SECONDS]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Extend the lease on a job this worker owns
+ */
+async function renewLease(jobId) {
+  await pool.query(`
+    UPDATE render_jobs
+    SET lease_expires_at = NOW() + make_interval(secs => $3),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND worker_id = $2
+  `, [jobId, WORKER_ID, LEASE_SECONDS]);
+}
+
+/**
+ * Mark a claimed job as running and count the attempt
+ */
+async function markJobRunning(jobId) {
+  await pool.query(`
+    UPDATE render_jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        started_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND worker_id = $2
+  `, [jobId, WORKER_ID]);
+}
+
+/**
+ * Finish a job this worker owns as succeeded or failed
+ */
+async function finishJob(jobId, status, failure = null) {
+  await pool.query(`
+    UPDATE render_jobs
+    SET status = $3,
+        error_code = $4,
+        error_message = $5,
+        lease_expires_at = NULL,
+        finished_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND worker_id = $2
+  `, [jobId, WORKER_ID, status, failure?.code || null, failure?.message || null]);
+}
+
+/**
+ * Put a failed job back in the queue to be retried after a delay
+ */
+async function scheduleRetry(jobId, failure, delaySeconds) {
+  await pool.query(`
+    UPDATE render_jobs
+    SET status = 'queued',
+        worker_id = NULL,
+        lease_expires_at = NULL,
+        run_after = NOW() + make_interval(secs => $3),
+        error_code = $4,
+        error_message = $5,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND worker_id = $2
+  `, [jobId, WORKER_ID, delaySeconds, failure.code, failure.message]);
+}
+
+/**
+ * Seconds to wait before the next attempt, with up to 20% jitter
+ * so a batch of failures doesn't retry in lockstep
+ */
+export function getRetryDelaySeconds(attempt) {
+  const delay = Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempt - 1), RETRY_MAX_SECONDS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Give a claimed job back to the queue without counting it as run
+ */
+async function releaseJob(jobId) {
+  await pool.query(`
+    UPDATE render_jobs
+    SET status = 'queued',
+        worker_id = NULL,
+        lease_expires_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND worker_id = $2
+  `, [jobId, WORKER_ID]);
+}
+
+/**
+ * Return abandoned jobs to the queue
+ * Runs on boot so jobs left behind by a previous container are resumed
+ */
+export async function recoverStaleJobs() {
+  const result = await pool.query(`
+    UPDATE render_jobs
+    SET status = 'queued',
+        worker_id = NULL,
+        lease_expires_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE status IN ('claimed', 'running') AND lease_expires_at < NOW()
+    RETURNING id
+  `);
+
+  if (result.rowCount > 0) {
+    console.log(`♻️ Re-queued ${result.rowCount} abandoned render jobs`);
+  }
+
+  return result.rowCount;
+}
+
+/**
+ * Render a single claimed job and decide whether to retry on failure
+ */
+async function runJob(processor, job) {
+  // A job reclaimed after its worker died has already used its attempts
+  if (job.attempts >= MAX_ATTEMPTS) {
+    const failure = {
+      code: 'WORKER_LOST',
+      retryable: false,
+      message: `Worker stopped during the last of ${MAX_ATTEMPTS} attempts`
+    };
+    await finishJob(job.id, 'failed', failure);
+    await recordVideoFailure(job, 'failed', failure);
+    await notifyJobFinished(job, 'video.failed');
+    return;
+  }
+
+  const heartbeat = setInterval(() => {
+    renewLease(job.id).catch(err => {
+      console.error(`⚠️ Failed to renew lease for job ${job.id}:`, err.message);
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  const attempt = job.attempts + 1;
+
+  try {
+    await markJobRunning(job.id);
+
+    const result = await processVideoJob(processor, job);
+
+    if (result.success) {
+      await finishJob(job.id, 'succeeded');
+      await notifyJobFinished(job, 'video.completed');
+      return;
+    }
+
+    const failure = classifyRenderError(result.error);
+
+    if (failure.retryable && attempt < MAX_ATTEMPTS) {
+      const delaySeconds = getRetryDelaySeconds(attempt);
+      console.log(`🔁 Retrying lead ${job.lead_id} in ${delaySeconds}s (attempt ${attempt}/${MAX_ATTEMPTS}, ${failure.code})`);
+      await scheduleRetry(job.id, failure, delaySeconds);
+      await recordVideoFailure(job, 'pending', failure);
+    } else {
+      console.log(`⛔ Giving up on lead ${job.lead_id} after attempt ${attempt} (${failure.code})`);
+      await finishJob(job.id, 'failed', failure);
+      await recordVideoFailure(job, 'failed', failure);
+      await notifyJobFinished(job, 'video.failed');
+    }
+  } catch (error) {
+    console.error(`❌ Render job ${job.id} crashed:`, error.message);
+    const failure = classifyRenderError(error);
+    await finishJob(job.id, 'failed', failure).catch(() => {});
+    await recordVideoFailure(job, 'failed', failure);
+    await notifyJobFinished(job, 'video.failed').catch(() => {});
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Send the webhooks for a finished job: the video's outcome, then
+ * campaign.batch_finished if it was the campaign's last active job
+ * Webhook problems never fail the render
+ */
+async function notifyJobFinished(job, event) {
+  try {
+    await emitVideoEvent(event, job.lead_id);
+
+    if (await markBatchFinished(job.campaign_id)) {
+      await emitBatchFinished(job.campaign_id);
+    }
+  } catch (error) {
+    console.error(`⚠️ Failed to queue webhooks for job ${job.id}:`, error.message);
+  }
+}
+
+/**
+ * Mark the campaign's batch as finished if it has no active jobs left
+ * Returns true for only one caller per batch, even when workers finish together
+ */
+async function markBatchFinished(campaignId) {
+  const result = await pool.query(`
+    UPDATE campaigns
+    SET batch_finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+      AND NOT EXISTS (SELECT 1 FROM render_jobs WHERE campaign_id = $1 AND status = ANY($2))
+      AND (batch_finished_at IS NULL
+        OR batch_finished_at < (SELECT MAX(finished_at) FROM render_jobs WHERE campaign_id = $1))
+  `, [campaignId, ACTIVE_STATUSES]);
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a failed attempt on the lead's video
+ * status is 'pending' while a retry is scheduled, 'failed' once we give up
+ */
+async function recordVideoFailure(job, status, failure) {
+  try {
+    await pool.query(`
+      INSERT INTO generated_videos (lead_id, campaign_id, unique_slug, status, error_code, error_message, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT ON CONSTRAINT unique_lead_video
+      DO UPDATE SET
+        status = $4,
+        error_code = $5,
+        error_message = $6,
+        updated_at = CURRENT_TIMESTAMP
+    `, [job.lead_id, job.campaign_id, nanoid(11), status, failure.code, failure.message, getExpirationDate()]);
+  } catch (updateError) {
+    console.error(`❌ Failed to update error status for lead ${job.lead_id}:`, updateError.message);
+  }
+}
+
+/**
+ * Render the video for a job's lead and record the result in generated_videos
+ */
+async function processVideoJob(processor, job) {
+  const leadId = job.lead_id;
+  const campaignId = job.campaign_id;
+  const uniqueSlug = nanoid(11);
+  const expiresAt = getExpirationDate();
+
+  try {
+    // Load the current lead and campaign - the job only stores ids
+    const leadResult = await pool.query('SELECT * FROM leads WHERE id = $1', [leadId]);
+    const campaignResult = await pool.query('SELECT * FROM campaigns WHERE id = $1', [campaignId]);
+    const lead = leadResult.rows[0];
+    const campaign = campaignResult.rows[0];
+
+    if (!lead || !campaign) {
+      // Lead or campaign was deleted while the job was queued
+      return { success: false, error: 'Lead or campaign no longer exists' };
+    }
+
+    // Create pending video record with expiration (upsert - one video per lead)
+    await pool.query(`
+      INSERT INTO generated_videos (lead_id, campaign_id, unique_slug, status, expires_at)
+      VALUES ($1, $2, $3, 'processing', $4)
+      ON CONFLICT ON CONSTRAINT unique_lead_video
+      DO UPDATE SET
+        status = 'processing',
+        unique_slug = EXCLUDED.unique_slug,
+        campaign_id = EXCLUDED.campaign_id,
+        error_code = NULL,
+        error_message = NULL,
+        expires_at = $4,
+        updated_at = CURRENT_TIMESTAMP
+    `, [leadId, campaignId, uniqueSlug, expiresAt]);
+
+    // Pre-flight resolves redirects (and http-only sites), so render the final URL
+    const websiteUrl = lead.resolved_url || lead.website_url;
+
+    console.log(`🎬 Processing video for lead ${leadId}: ${websiteUrl}`);
+    console.log(`   Expires: ${expiresAt.toISOString()}`);
+
+    // Generate the video using persistent storage
+    const result = await processor.generateVSL({
+      leadId,
+      websiteUrl,
+      introVideoPath: campaign.intro_video_path,
+      secondaryVideoPath: campaign.secondary_video_path,
+      outputDir: STORAGE_PATHS.videos,
+      settings: {
+        video_style: campaign.video_style,
+        video_position: campaign.video_position,
+        video_shape: campaign.video_shape,
+        display_delay: campaign.display_delay,
+        scroll_behavior: campaign.scroll_behavior,
+        mouse_display: campaign.mouse_display,
+        secondary_video_display: campaign.secondary_video_display,
+        fullscreen_transition_time: campaign.fullscreen_transition_time,
+        fullscreen_return_time: campaign.fullscreen_return_time,
+        fullscreen_transition: campaign.fullscreen_transition,
+        tour_mode: campaign.tour_mode,
+        tour_paths: campaign.tour_paths,
+        tour_max_pages: campaign.tour_max_pages,
+        render_profile: campaign.render_profile,
+        capture_device: campaign.capture_device,
+        capture_hide_selectors: campaign.capture_hide_selectors,
+        capture_click_selectors: campaign.capture_click_selectors,
+        max_capture_height: campaign.max_capture_height,
+        capture_mode: campaign.capture_mode
+      }
+    });
+
+    if (result.success) {
+      // Update record with success
+      await pool.query(`
+        UPDATE generated_videos
+        SET status = 'completed',
+            error_code = NULL,
+            error_message = NULL,
+            video_path = $1,
+            preview_path = $2,
+            thumbnail_path = $3,
+            background_path = $4,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE lead_id = $5
+      `, [result.videoPath, result.previewPath, result.thumbnailPath, result.backgroundPath, leadId]);
+
+      console.log(`✅ Video completed for lead ${leadId}`);
+      return { success: true };
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    console.error(`❌ Video failed for lead ${leadId}:`, error.message);
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the processor shared by all workers, launching the browser if needed
+ */
+function getSharedProcessor() {
+  if (!sharedProcessor) {
+    const processor = new VideoProcessor();
+    sharedProcessor = processor.init().then(() => processor);
+    // Let the next worker retry the launch if it failed
+    sharedProcessor.catch(() => {
+      sharedProcessor = null;
+    });
+  }
+  return sharedProcessor;
+}
+
+/**
+ * Close the shared browser once no worker is using it
+ */
+async function releaseSharedProcessor() {
+  if (activeWorkers > 0 || !sharedProcessor) return;
+
+  const pending = sharedProcessor;
+  sharedProcessor = null;
+
+  try {
+    const processor = await pending;
+    await processor.close();
+  } catch (error) {
+    // Browser never launched or already gone
+  }
+}
+
+/**
+ * Claim and render jobs until the queue is empty
+ */
+async function runWorker() {
+  activeWorkers++;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      let processor;
+      try {
+        processor = await getSharedProcessor();
+      } catch (error) {
+        console.error('❌ Failed to start video processor:', error.message);
+        await releaseJob(job.id).catch(() => {});
+        break;
+      }
+      await runJob(processor, job);
+    }
+  } catch (error) {
+    console.error('Render worker error:', error);
+  } finally {
+    activeWorkers--;
+    await releaseSharedProcessor();
+  }
+}
+
+/**
+ * Start workers in the background until the pool is full
+ */
+export function kickRenderQueue() {
+  while (activeWorkers < RENDER_CONCURRENCY) {
+    runWorker();
+  }
+}
+
+/**
+ * Whether this process is currently rendering
+ */
+export function isRenderQueueBusy() {
+  return activeWorkers > 0;
+}
+
+/**
+ * Get queue counts for a campaign from the render_jobs table
+ */
+export async function getQueueStatus(campaignId) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE status = 'queued') as queued,
+      COUNT(*) FILTER (WHERE status = 'queued' AND attempts > 0) as retrying,
+      COUNT(*) FILTER (WHERE status IN ('claimed', 'running')) as running
+    FROM render_jobs
+    WHERE campaign_id = $1 AND status = ANY($2)
+  `, [campaignId, ACTIVE_STATUSES]);
+
+  return {
+    queued: parseInt(result.rows[0].queued) || 0,
+    retrying: parseInt(result.rows[0].retrying) || 0,
+    running: parseInt(result.rows[0].running) || 0
+  };
+}
+
+/**
+ * Start the render queue worker
+ * Resumes jobs left over from a previous run, then polls for new work
+ */
+export async function startRenderQueue() {
+  console.log(`🎞️ Starting render queue (worker: ${WORKER_ID})`);
+  console.log(`   Lease: ${LEASE_SECONDS}s, poll every ${POLL_INTERVAL / 1000}s`);
+  console.log(`   Max attempts: ${MAX_ATTEMPTS}, retry backoff from ${RETRY_BASE_SECONDS}s`);
+  console.log(`   Workers: ${RENDER_CONCURRENCY}, ffmpeg slots: ${FFMPEG_CONCURRENCY} x ${FFMPEG_THREADS} threads`);
+
+  try {
+    await recoverStaleJobs();
+  } catch (error) {
+    console.error('⚠️ Failed to recover stale render jobs:', error.message);
+  }
+
+  kickRenderQueue();
+
+  pollTimer = setInterval(kickRenderQueue, POLL_INTERVAL);
+
+  return pollTimer;
+}
+
+/**
+ * Stop polling for new jobs
+ */
+export function stopRenderQueue() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('🎞️ Render queue stopped');
+  }
+}
+
+export default {
+  enqueueRenderJobs,
+  claimNextJob,
+  recoverStaleJobs,
+  getRetryDelaySeconds,
+  kickRenderQueue,
+  isRenderQueueBusy,
+  getQueueStatus,
+  startRenderQueue,
+  stopRenderQueue,
+};
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { STORAGE_PATHS } from './storage.js';
+import { normalizeUrl } from './urls.js';
+
+/**
+ * Website screenshot cache
+ *
+ * The same site often shows up in several campaigns, and re-generating a lead
+ * re-captures it, so full-page screenshots are kept under
+ * STORAGE_PATHS.screenshotCache and reused until they are older than
+ * SCREENSHOT_CACHE_HOURS:
+ *
+ *   <key>.png  - full-page screenshot
+ *   <key>.json - { url, capturedAt, fullHeight, links }
+ *
+ * The key is derived from the normalized URL and everything that changes the
+ * image (viewport or emulated device, max height, campaign clean-up selectors).
+ * Generated videos point their background_path at the cached screenshot, so
+ * entries are only removed by pruneScreenshotCache.
+ */
+
+// How long a screenshot is reused (0 = always capture again)
+export const SCREENSHOT_CACHE_HOURS = parseInt(process.env.SCREENSHOT_CACHE_HOURS ?? '24');
+
+// Expired entries are kept a little longer before pruning, so a render that
+// was handed a screenshot just before it expired can still read it
+const PRUNE_GRACE_MS = 60 * 60 * 1000;
+
+// Captures currently running, so leads on the same site wait for one capture
+const inFlight = new Map();
+
+/**
+ * Cache key for a URL and the options that affect the screenshot
+ * options: { viewport, userAgent, maxHeight, hideSelectors, clickSelectors }
+ */
+function getCacheKey(url, options) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([normalizeUrl(url), options]))
+    .digest('hex')
+    .slice(0, 20);
+}
+
+async function readEntry(key) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(STORAGE_PATHS.screenshotCache, `${key}.json`), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function isFresh(entry, graceMs = 0) {
+  return Date.now() - new Date(entry.capturedAt).getTime() < SCREENSHOT_CACHE_HOURS * 60 * 60 * 1000 + graceMs;
+}
+
+/**
+ * Get a screenshot from the cache, capturing it on a miss
+ * capture(outputPath) takes the screenshot and returns captureWebsite's result
+ * needsLinks = the caller needs discovered nav links (entries captured without them are a miss)
+ * Returns captureWebsite's result plus { screenshotPath, cached }
+ */
+export async function getScreenshot(url, options, capture, needsLinks = false) {
+  await fs.mkdir(STORAGE_PATHS.screenshotCache, { recursive: true });
+
+  const key = getCacheKey(url, options);
+  const screenshotPath = path.join(STORAGE_PATHS.screenshotCache, `${key}.png`);
+
+  if (!inFlight.has(key)) {
+    const promise = (async () => {
+      const entry = await readEntry(key);
+      if (entry && isFresh(entry) && (!needsLinks || entry.links)) {
+        try {
+          await fs.access(screenshotPath);
+          return { success: true, fullHeight: entry.fullHeight, links: entry.links || [], screenshotPath, cached: true };
+        } catch {
+          // Screenshot missing - capture again
+        }
+      }
+
+      // Captured to a temp file and moved into place, so readers never see a partial PNG
+      const tempPath = path.join(STORAGE_PATHS.screenshotCache, `${key}.tmp-${process.pid}.png`);
+      const result = await capture(tempPath);
+      if (!result.success) {
+        await fs.rm(tempPath, { force: true }).catch(() => {});
+        return result;
+      }
+
+      await fs.rename(tempPath, screenshotPath);
+      await fs.writeFile(path.join(STORAGE_PATHS.screenshotCache, `${key}.json`), JSON.stringify({
+        url: normalizeUrl(url),
+        capturedAt: new Date().toISOString(),
+        fullHeight: result.fullHeight,
+        links: needsLinks ? result.links : null
+      }));
+
+      return { ...result, screenshotPath, cached: false };
+    })().finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+  }
+
+  return inFlight.get(key);
+}
+
+/**
+ * Delete expired screenshots (after a grace period)
+ * Returns the deleted screenshot paths
+ */
+export async function pruneScreenshotCache() {
+  const deleted = [];
+
+  let files;
+  try {
+    files = await fs.readdir(STORAGE_PATHS.screenshotCache);
+  } catch {
+    return deleted; // Cache directory doesn't exist yet
+  }
+
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const key = path.basename(file, '.json');
+    if (inFlight.has(key)) continue;
+
+    const entry = await readEntry(key);
+    if (entry && isFresh(entry, PRUNE_GRACE_MS)) continue;
+
+    const screenshotPath = path.join(STORAGE_PATHS.screenshotCache, `${key}.png`);
+    await fs.rm(screenshotPath, { force: true }).catch(() => {});
+    await fs.rm(path.join(STORAGE_PATHS.screenshotCache, file), { force: true }).catch(() => {});
+    deleted.push(screenshotPath);
+  }
+
+  return deleted;
+}
+
+export default {
+  SCREENSHOT_CACHE_HOURS,
+  getScreenshot,
+  pruneScreenshotCache,
+};
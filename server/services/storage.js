@@ -29,6 +29,8 @@ export const STORAGE_PATHS = {
   previews: path.join(BASE_PATH, 'videos', 'previews'),  // Video previews
   thumbnails: path.join(BASE_PATH, 'videos', 'thumbnails'), // Video thumbnails
   temp: path.join(BASE_PATH, 'temp'),            // Temporary processing files
+  introCache: path.join(BASE_PATH, 'cache', 'intro'), // Pre-processed intro video variants
+  screenshotCache: path.join(BASE_PATH, 'cache', 'screenshots'), // Website screenshots shared between videos
 };
 
 // Retention period in days (default: 30 days)
@@ -138,8 +140,16 @@ export async function deleteFile(filePath) {
   }
 }
 
+/**
+ * Whether a file belongs to a shared cache (it outlives the videos that use it)
+ */
+export function isCacheFile(filePath) {
+  return Boolean(filePath) && path.resolve(filePath).startsWith(path.join(BASE_PATH, 'cache') + path.sep);
+}
+
 /**
  * Delete all files associated with a video
+ * Cached backgrounds are shared with other videos and pruned by the screenshot cache
  */
 export async function deleteVideoFiles(videoRecord) {
   const deleted = [];
@@ -153,7 +163,7 @@ export async function deleteVideoFiles(videoRecord) {
   if (videoRecord.thumbnail_path) {
     if (await deleteFile(videoRecord.thumbnail_path)) deleted.push('thumbnail');
   }
-  if (videoRecord.background_path) {
+  if (videoRecord.background_path && !isCacheFile(videoRecord.background_path)) {
     if (await deleteFile(videoRecord.background_path)) deleted.push('background');
   }
   
@@ -193,6 +203,39 @@ export async function getStorageStats() {
   return stats;
 }
 
+/**
+ * Get storage statistics for some generated videos (e.g. one workspace's)
+ * Same shape as getStorageStats, for their videos, previews and thumbnails
+ */
+export async function getVideoStorageStats(videoRecords) {
+  const columns = { videos: 'video_path', previews: 'preview_path', thumbnails: 'thumbnail_path' };
+  const stats = {};
+
+  for (const [name, column] of Object.entries(columns)) {
+    let fileCount = 0;
+    let totalSize = 0;
+
+    for (const video of videoRecords) {
+      if (!video[column]) continue;
+      try {
+        const fileStat = await fs.stat(video[column]);
+        if (fileStat.isFile()) {
+          fileCount++;
+          totalSize += fileStat.size;
+        }
+      } catch {}
+    }
+
+    stats[name] = {
+      fileCount,
+      totalSize,
+      totalSizeMB: Math.round(totalSize / 1024 / 1024 * 100) / 100
+    };
+  }
+
+  return stats;
+}
+
 export default {
   STORAGE_PATHS,
   RETENTION_DAYS,
@@ -205,6 +248,8 @@ export default {
   getTempPath,
   getExpirationDate,
   deleteFile,
+  isCacheFile,
   deleteVideoFiles,
   getStorageStats,
+  getVideoStorageStats,
 };
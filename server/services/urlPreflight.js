@@ -0,0 +1,213 @@
+import pool from '../db.js';
+import { createLimiter } from './concurrency.js';
+import { normalizeLeadUrl, normalizeUrl } from './urls.js';
+import { checkPublicUrl } from './network.js';
+
+/**
+ * Website pre-flight check
+ *
+ * Optionally run on import (or on demand) so leads whose site can't be
+ * rendered are flagged before they reach the render queue. Each lead gets a
+ * url_status:
+ *
+ *   unchecked   - never checked (default)
+ *   ok          - the site answered; resolved_url is where redirects end up
+ *   unreachable - timed out, errored or rate limited; could be transient, still rendered
+ *   dead        - the domain doesn't resolve, refuses connections or is gone (404/410)
+ *   parked      - a registrar or domain-for-sale parking page
+ *   blocked     - the site refuses the request (401/403/451)
+ *   invalid     - not a usable http(s) website URL, or one on a private network
+ *
+ * Leads that are dead, parked, blocked or invalid are skipped when generating.
+ * The statuses follow how renders treat the same response (see renderErrors.js):
+ * a page that would fail permanently is blocking, one that would be retried isn't.
+ */
+
+export const URL_STATUSES = ['unchecked', 'ok', 'unreachable', 'dead', 'parked', 'blocked', 'invalid'];
+
+// Statuses that keep a lead out of the render queue
+export const BLOCKING_URL_STATUSES = ['dead', 'parked', 'blocked', 'invalid'];
+
+const PREFLIGHT_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 10;
+const PREFLIGHT_CONCURRENCY = parseInt(process.env.PREFLIGHT_CONCURRENCY) || 8;
+
+// Only the start of the page is needed to spot a parking page
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Some sites refuse requests that don't look like a browser
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+// Domain marketplaces and parking services that for-sale domains redirect to
+const PARKING_HOSTS = /(^|\.)(sedo\.com|sedoparking\.com|dan\.com|afternic\.com|hugedomains\.com|bodis\.com|parkingcrew\.net|above\.com|undeveloped\.com|domainmarket\.com|buydomains\.com|parklogic\.com)$/i;
+
+// Text found on registrar and parking pages
+const PARKED_PATTERNS = /this domain (name )?(is|may be) for sale|buy this domain|domain is parked|parked free|parked domain|sedoparking|parkingcrew|bodis\.com|this domain has expired|domain has been registered at|future home of something quite cool/i;
+
+// Network errors (error.cause.code from fetch) that mean there's no site to render
+const DEAD_ERROR_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const preflightLimiter = createLimiter(PREFLIGHT_CONCURRENCY);
+
+async function readBodyStart(response) {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  try {
+    while (size < MAX_BODY_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+// Redirects are followed here rather than by fetch, so every hop is checked
+// against the private network guard before it's requested
+async function request(url) {
+  const signal = AbortSignal.timeout(PREFLIGHT_TIMEOUT_MS);
+  let currentUrl = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const blocked = await checkPublicUrl(currentUrl);
+    if (blocked) {
+      return { blocked: true };
+    }
+
+    const response = await fetch(currentUrl, {
+      redirect: 'manual',
+      signal,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml' }
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      response.body?.cancel().catch(() => {});
+      currentUrl = new URL(location, currentUrl).href;
+      if (!/^https?:$/.test(new URL(currentUrl).protocol)) {
+        return { blocked: true };
+      }
+      continue;
+    }
+
+    const isHtml = (response.headers.get('content-type') || '').includes('html');
+    const body = isHtml ? await readBodyStart(response) : '';
+    if (!isHtml) response.body?.cancel().catch(() => {});
+
+    return { status: response.status, finalUrl: currentUrl, body };
+  }
+
+  const error = new Error('Too many redirects');
+  error.code = 'ETOOMANYREDIRECTS';
+  throw error;
+}
+
+/**
+ * Check a website URL
+ * Returns { status, detail, resolvedUrl }
+ */
+export async function checkUrl(websiteUrl) {
+  const url = normalizeLeadUrl(websiteUrl);
+  if (!url) {
+    return { status: 'invalid', detail: 'Not a valid website URL', resolvedUrl: null };
+  }
+
+  let result;
+  try {
+    result = await request(url);
+  } catch (error) {
+    const code = error.cause?.code || error.code || error.name;
+
+    // Plenty of small sites still don't serve https - try plain http before giving up
+    if (url.startsWith('https://') && !['ENOTFOUND', 'TimeoutError'].includes(code)) {
+      try {
+        result = await request(url.replace(/^https:/, 'http:'));
+      } catch {
+        // Report the https failure below
+      }
+    }
+
+    if (!result) {
+      if (DEAD_ERROR_CODES.includes(code)) {
+        return { status: 'dead', detail: code === 'ENOTFOUND' ? 'Domain does not resolve' : `Connection failed (${code})`, resolvedUrl: null };
+      }
+      return { status: 'unreachable', detail: code === 'TimeoutError' ? 'Timed out' : `Request failed (${code})`, resolvedUrl: null };
+    }
+  }
+
+  // The site or one of its redirects points back into the server's own network
+  if (result.blocked) {
+    return { status: 'invalid', detail: 'Points at a private network address or a non-website URL', resolvedUrl: null };
+  }
+
+  const resolvedUrl = normalizeUrl(result.finalUrl);
+  const redirected = resolvedUrl !== url;
+  const finalHost = new URL(resolvedUrl).hostname;
+
+  if (PARKING_HOSTS.test(finalHost) || PARKED_PATTERNS.test(result.body)) {
+    return { status: 'parked', detail: redirected ? `Parked (redirects to ${finalHost})` : 'Parked domain', resolvedUrl };
+  }
+
+  if (result.status === 404 || result.status === 410) {
+    return { status: 'dead', detail: `HTTP ${result.status}`, resolvedUrl };
+  }
+
+  if ([401, 403, 451].includes(result.status)) {
+    return { status: 'blocked', detail: `HTTP ${result.status}`, resolvedUrl };
+  }
+
+  // The render refuses any error page, so nothing above 400 counts as ok
+  if (result.status >= 400) {
+    return { status: 'unreachable', detail: `HTTP ${result.status}`, resolvedUrl };
+  }
+
+  return { status: 'ok', detail: redirected ? `Redirects to ${resolvedUrl}` : null, resolvedUrl };
+}
+
+/**
+ * Check leads' websites and store the result on each lead
+ * leads: [{ id, website_url }]
+ * Returns the updated lead rows - a lead that couldn't be checked stays unchecked and is left out
+ */
+export async function preflightLeads(leads) {
+  const updated = await Promise.all(leads.map(lead => preflightLimiter.run(async () => {
+    try {
+      const result = await checkUrl(lead.website_url);
+
+      const { rows } = await pool.query(`
+        UPDATE leads
+        SET url_status = $1,
+            url_status_detail = $2,
+            resolved_url = $3,
+            url_checked_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING *
+      `, [result.status, result.detail, result.resolvedUrl, lead.id]);
+
+      return rows[0];
+    } catch (error) {
+      console.error(`⚠️ Pre-flight failed for lead ${lead.id}:`, error.message);
+      return null;
+    }
+  })));
+
+  const flagged = updated.filter(lead => lead && BLOCKING_URL_STATUSES.includes(lead.url_status)).length;
+  console.log(`🔎 Pre-flight checked ${leads.length} websites (${flagged} flagged)`);
+
+  return updated.filter(Boolean);
+}
+
+export default {
+  URL_STATUSES,
+  BLOCKING_URL_STATUSES,
+  checkUrl,
+  preflightLeads,
+};
@@ -0,0 +1,94 @@
+/**
+ * URL normalization
+ *
+ * Lead sheets contain website URLs in every spelling ("acme.com",
+ * "www.acme.com/", "HTTP://Acme.com/?utm_source=x"). Leads are stored with a
+ * normalized URL so renders, the screenshot cache and duplicate checks all see
+ * one canonical form.
+ */
+
+// Query parameters that never change the page
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|ref)$/i;
+
+// Dot-separated labels ending in an alphabetic (or punycode) TLD
+const HOSTNAME_PATTERN = /^([a-z\d]([a-z\d-]*[a-z\d])?\.)+(xn--[a-z\d-]+|[a-z]{2,})$/i;
+
+/**
+ * Normalize a URL so trivially different spellings compare equal:
+ * lowercase host, no default port, fragment or tracking parameters,
+ * sorted query and no trailing slash
+ */
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.searchParams.sort();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  // URL already lowercases the host and drops default ports
+  return parsed.href.replace(/\/$/, '');
+}
+
+/**
+ * Normalize a website URL typed or imported for a lead
+ * Adds https:// when the scheme is missing, converts international hosts to
+ * punycode, collapses repeated slashes and strips tracking parameters
+ * Returns null when the value isn't a usable http(s) website URL
+ */
+export function normalizeLeadUrl(value) {
+  let input = String(value ?? '').trim();
+  if (!input) return null;
+
+  // Email, phone and script links end up in website columns too
+  if (/^(mailto|tel|sms|javascript|data):/i.test(input)) return null;
+
+  if (input.startsWith('//')) {
+    input = `https:${input}`;
+  } else if (!/^[a-z][a-z\d+.-]*:\/\//i.test(input)) {
+    input = `https://${input}`;
+  }
+
+  let parsed;
+  try {
+    // The URL parser converts unicode hosts to punycode
+    parsed = new URL(input);
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || !HOSTNAME_PATTERN.test(parsed.hostname)) {
+    return null;
+  }
+
+  parsed.username = '';
+  parsed.password = '';
+  parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+
+  return normalizeUrl(parsed.href);
+}
+
+/**
+ * Domain of a website URL used to match leads: lowercase host without "www."
+ * Returns null for unparseable URLs
+ */
+export function getUrlDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  normalizeUrl,
+  normalizeLeadUrl,
+  getUrlDomain,
+};
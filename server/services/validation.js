@@ -0,0 +1,79 @@
+/**
+ * Request validation shared by the API routes
+ *
+ * Like the route-level parsers, these return { value } or { error } so the
+ * route can answer with a 400 in the usual { success: false, error } envelope.
+ */
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Most ids accepted in one request (e.g. leadIds for generation)
+const MAX_ID_LIST = 10000;
+
+// Postgres errors caused by bad input rather than a server fault:
+// invalid value for the column type, out of range, unknown column, failed check
+const INVALID_INPUT_CODES = ['22P02', '22003', '22007', '22008', '42703', '23514'];
+
+/**
+ * Validate ?limit and ?offset
+ * options: { defaultLimit, maxLimit } - a null defaultLimit returns every row unless a limit is sent
+ * Returns { value: { limit, offset } } or { error }
+ */
+export function parsePagination(query, { defaultLimit = 50, maxLimit = 500 } = {}) {
+  let limit = defaultLimit;
+  let offset = 0;
+
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      return { error: `limit must be an integer between 1 and ${maxLimit}` };
+    }
+  }
+
+  if (query.offset !== undefined && query.offset !== '') {
+    offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { error: 'offset must be a non-negative integer' };
+    }
+  }
+
+  return { value: { limit, offset } };
+}
+
+/**
+ * The pagination block returned with every list: { total, limit, offset }
+ */
+export function paginationInfo(total, { limit, offset }) {
+  return { total: parseInt(total) || 0, limit, offset };
+}
+
+/**
+ * Validate an optional list of ids (e.g. leadIds)
+ * Returns { value: ids | null } or { error }
+ */
+export function parseIdList(input, name) {
+  if (input === undefined || input === null) {
+    return { value: null };
+  }
+
+  if (!Array.isArray(input) || input.length > MAX_ID_LIST || !input.every(id => UUID_PATTERN.test(id))) {
+    return { error: `${name} must be an array of at most ${MAX_ID_LIST} ids` };
+  }
+
+  return { value: input.length > 0 ? input : null };
+}
+
+/**
+ * Whether a database error came from invalid input (answer with a 400, not a 500)
+ */
+export function isInvalidInputError(error) {
+  return INVALID_INPUT_CODES.includes(error.code);
+}
+
+export default {
+  UUID_PATTERN,
+  parsePagination,
+  paginationInfo,
+  parseIdList,
+  isInvalidInputError,
+};
@@ -1,21 +1,117 @@
 import ffmpeg from 'fluent-ffmpeg';
-import puppeteer from 'puppeteer';
+import puppeteer, { KnownDevices } from 'puppeteer';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { STORAGE_PATHS } from './storage.js';
+import { FFMPEG_THREADS, ffmpegLimiter } from './concurrency.js';
+import { prepareIntroVideo } from './introCache.js';
+import { cleanUpPage } from './captureCleanup.js';
+import { getScreenshot } from './screenshotCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const VIEWPORT_WIDTH = 1280;
-const VIEWPORT_HEIGHT = 720;
-const FPS = 24;
+// Render profiles (campaign render_profile)
+// width/height = output frame, viewport = browser viewport used for the capture
+// The viewport's deviceScaleFactor makes the screenshot as wide as the output frame
+export const RENDER_PROFILES = {
+  '720p': {
+    width: 1280,
+    height: 720,
+    fps: 24,
+    viewport: { width: 1280, height: 720, deviceScaleFactor: 1 }
+  },
+  '1080p': {
+    width: 1920,
+    height: 1080,
+    fps: 24,
+    viewport: { width: 1280, height: 720, deviceScaleFactor: 1.5 }
+  },
+  // LinkedIn/Instagram DMs - captured with a mobile viewport so sites show their mobile layout
+  vertical: {
+    width: 1080,
+    height: 1920,
+    fps: 24,
+    viewport: { width: 540, height: 960, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+  },
+  square: {
+    width: 1080,
+    height: 1080,
+    fps: 24,
+    viewport: { width: 1080, height: 1080, deviceScaleFactor: 1 }
+  }
+};
+
+const DEFAULT_RENDER_PROFILE = '720p';
+
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+// Bubble sizes and padding relative to the frame's shorter side
+// (200px / 400px / 20px at 720p)
+const BUBBLE_SCALE = {
+  small_bubble: 200 / 720,
+  big_bubble: 400 / 720
+};
+const BUBBLE_PADDING_SCALE = 20 / 720;
+
+/**
+ * Get a render profile by name, falling back to 720p
+ */
+export function getRenderProfile(name) {
+  return RENDER_PROFILES[name] || RENDER_PROFILES[DEFAULT_RENDER_PROFILE];
+}
+
+// Round to an even pixel count (yuv420p needs even dimensions)
+function even(value) {
+  return Math.round(value / 2) * 2;
+}
+
+// Full-page capture (campaign max_capture_height caps the screenshot, in CSS pixels)
+const DEFAULT_MAX_CAPTURE_HEIGHT = 15000;
+const PRIME_SCROLL_STEP = 0.8;        // Share of the viewport scrolled per priming step
+const PRIME_STEP_DELAY_MS = 150;      // Pause per step, for intersection observers and lazy images
+const PRIME_TIMEOUT_MS = 8000;        // Give up priming very long pages after this
+const ASSET_WAIT_TIMEOUT_MS = 5000;   // Longest wait for images and fonts once primed
+const SETTLE_DELAY_MS = 500;          // Pause after returning to the top (sticky headers, animations)
+
+// Phones the website can be captured on (campaign capture_device, desktop = no phone)
+// The page is emulated on the device (user agent, touch, viewport) and shown in a phone frame
+export const CAPTURE_DEVICES = {
+  iphone: { device: KnownDevices['iPhone 13'], notch: 'island' },
+  android: { device: KnownDevices['Pixel 5'], notch: 'punch_hole' }
+};
+
+// Phone frame size relative to the output frame's height, and bezel relative to the phone's height
+const PHONE_HEIGHT_SCALE = 0.9;
+const PHONE_BEZEL_SCALE = 0.022;
 
 // Loom-style scroll settings
 const SCROLL_STEP_DURATION = 2.5;  // Total duration of each step (scroll + pause)
 const SCROLL_PHASE_DURATION = 1.8; // How long the scroll part takes within each step
 const PAUSE_PHASE_DURATION = 0.7;  // How long the pause takes (SCROLL_STEP_DURATION - SCROLL_PHASE_DURATION)
+const SCROLL_RETURN_DURATION = 2;  // How long scrolling back to the top takes (scroll_back_up / loop)
+
+// How long the full_screen fade/grow takes
+const FULLSCREEN_ANIMATION_DURATION = 0.6;
+
+// Multi-page website tours (tour_mode: off | paths | auto)
+const MAX_TOUR_PAGES = 5;         // Pages per video, homepage included
+const MIN_TOUR_SEGMENT = 5;       // Seconds each page needs to be worth showing
+const HOME_SEGMENT_WEIGHT = 1.5;  // Homepage gets a bit more time than the other pages
+
+// Nav links that never make a good tour stop
+const TOUR_LINK_EXCLUDE = /login|log-in|signin|sign-in|signup|sign-up|register|logout|cart|checkout|account|privacy|terms|cookie|wp-admin|\.(pdf|jpe?g|png|gif|zip)$/i;
+
+// Rendered mouse cursor (mouse_display: moving | static | hidden)
+const CURSOR_WIDTH = 24;
+const CURSOR_HEIGHT = 36;
+const CURSOR_SVG = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="${CURSOR_WIDTH}" height="${CURSOR_HEIGHT}" viewBox="0 0 24 36">
+    <path d="M2 2 L2 28 L8.5 22 L13 33 L17.5 31 L13 20.5 L22 20.5 Z"
+      fill="#000" stroke="#fff" stroke-width="2" stroke-linejoin="round"/>
+  </svg>
+`;
 
 export class VideoProcessor {
   constructor(outputDir) {
@@ -55,37 +151,83 @@ export class VideoProcessor {
     });
   }
 
+  // Load a page ready for capture: emulated device or profile viewport, lazy content
+  // primed and overlays cleared (shared by captureWebsite and recordWebsite)
+  async openPage(page, url, options = {}) {
+    const { viewport } = options.profile || getRenderProfile();
+
+    if (options.device) {
+      await page.emulate(options.device);
+    } else {
+      await page.setViewport(viewport);
+      if (viewport.isMobile) {
+        await page.setUserAgent(MOBILE_USER_AGENT);
+      }
+    }
+    
+    // Navigate with timeout
+    const response = await page.goto(url, { 
+      waitUntil: 'networkidle2',
+      timeout: 30000 
+    });
+
+    // Don't render error pages into the video - surface the status instead
+    if (response && response.status() >= 400) {
+      throw new Error(`HTTP ${response.status()} from ${url}`);
+    }
+
+    // Scroll through the page so lazy images and scroll animations load
+    await this.primePage(page, options.maxHeight || DEFAULT_MAX_CAPTURE_HEIGHT);
+
+    // Get cookie banners, popups and chat widgets out of the way
+    // (after priming, since some popups only open once the page is scrolled)
+    const cleanup = await cleanUpPage(page, options.cleanup);
+    if (cleanup.clicked.length > 0 || cleanup.hiddenOverlays > 0) {
+      console.log(`   🧹 Cleared page: clicked ${cleanup.clicked.length}, hid ${cleanup.hiddenOverlays} overlay(s)`);
+    }
+  }
+
   // Capture full-page screenshot of website
-  async captureWebsite(url, outputPath) {
+  // options.profile = render profile (viewport to capture with, default 720p)
+  // options.device = puppeteer device to emulate instead (phone capture, see getPhoneLayout)
+  // options.discoverLinks = how many header/nav links to collect for a tour (0 = none)
+  // options.cleanup = { hideSelectors, clickSelectors } - campaign selectors for cleanUpPage
+  // options.maxHeight = tallest screenshot to take, in CSS pixels (default 15000)
+  async captureWebsite(url, outputPath, options = {}) {
     const page = await this.browser.newPage();
+    const maxHeight = options.maxHeight || DEFAULT_MAX_CAPTURE_HEIGHT;
     
     try {
-      await page.setViewport({ width: VIEWPORT_WIDTH, height: VIEWPORT_HEIGHT });
-      
-      // Navigate with timeout
-      await page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout: 30000 
-      });
-
-      // Wait for page to stabilize
-      await new Promise(r => setTimeout(r, 2000));
+      await this.openPage(page, url, options);
 
       // Get full page height
-      const bodyHandle = await page.$('body');
-      const { height: fullHeight } = await bodyHandle.boundingBox();
-      await bodyHandle.dispose();
+      const fullHeight = await page.evaluate(() =>
+        Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0)
+      );
+      const captureHeight = Math.min(fullHeight, maxHeight);
 
-      // Capture full page screenshot
+      // Capture the page from the top, down to the max capture height
       await page.screenshot({
         path: outputPath,
-        fullPage: true,
-        type: 'png'
+        type: 'png',
+        clip: { x: 0, y: 0, width: page.viewport().width, height: captureHeight },
+        captureBeyondViewport: true
       });
 
+      // Collect top navigation links for auto-discovered tours
+      let links = [];
+      if (options.discoverLinks) {
+        const hrefs = await page.evaluate(() =>
+          Array.from(document.querySelectorAll('header a[href], nav a[href], [role="navigation"] a[href]'))
+            .map(a => a.href)
+        );
+        links = this.pickTourLinks(hrefs, page.url(), options.discoverLinks);
+      }
+
       return { 
         success: true, 
-        fullHeight: Math.min(fullHeight, 15000) // Cap at 5000px
+        fullHeight: captureHeight,
+        links
       };
     } catch (error) {
       console.error(`Failed to capture ${url}:`, error.message);
@@ -95,58 +237,457 @@ export class VideoProcessor {
     }
   }
 
+  // Record the live page (carousels, videos and animations keep playing) while
+  // scrolling it the way createScrollingBackground pans a screenshot
+  // options = captureWebsite options, plus:
+  // options.duration = seconds to record
+  // options.scrollDuration / options.scrollBehavior = as for createScrollingBackground
+  // Records in real time to a WebM (VP9) file; see createLiveBackground
+  async recordWebsite(url, outputPath, options = {}) {
+    const page = await this.browser.newPage();
+    const { duration, scrollDuration, scrollBehavior = 'stay_down' } = options;
+    const maxHeight = options.maxHeight || DEFAULT_MAX_CAPTURE_HEIGHT;
+
+    try {
+      await this.openPage(page, url, options);
+
+      const recorder = await page.screencast({ path: outputPath });
+
+      try {
+        // Scrolling runs in the page on animation frames, so it stays smooth in the recording
+        await page.evaluate(({ maxHeight, duration, scrollDuration, scrollBehavior, steps, returnDuration }) => {
+          const smooth = (x) => x * x * (3 - 2 * x);
+          const scrollDown = (t) => {
+            if (t >= scrollDuration) return 1;
+            const within = (t % steps.stepDuration) / steps.scrollPhase;
+            return (Math.floor(t / steps.stepDuration) + (within < 1 ? smooth(within) : 1)) / steps.numSteps;
+          };
+          const scrollDownAndUp = (t) => {
+            if (t < scrollDuration) return scrollDown(t);
+            if (t < scrollDuration + returnDuration) return 1 - smooth((t - scrollDuration) / returnDuration);
+            return 0;
+          };
+          const position = (t) => {
+            switch (scrollBehavior) {
+              case 'scroll_back_up':
+                return scrollDownAndUp(t);
+              case 'loop':
+                return scrollDownAndUp(t % (scrollDuration + returnDuration));
+              default: // stay_down
+                return scrollDown(t);
+            }
+          };
+
+          const started = performance.now();
+          const tick = () => {
+            const t = (performance.now() - started) / 1000;
+            const maxScroll = Math.min(document.documentElement.scrollHeight, maxHeight) - window.innerHeight;
+            window.scrollTo({ top: Math.max(0, maxScroll) * position(t), behavior: 'instant' });
+            if (t < duration) requestAnimationFrame(tick);
+          };
+          requestAnimationFrame(tick);
+        }, {
+          maxHeight,
+          duration,
+          scrollDuration,
+          scrollBehavior,
+          steps: this.getScrollSteps(scrollDuration),
+          returnDuration: SCROLL_RETURN_DURATION
+        });
+
+        await new Promise(r => setTimeout(r, duration * 1000));
+      } finally {
+        await recorder.stop();
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error(`Failed to record ${url}:`, error.message);
+      return { success: false, error: error.message };
+    } finally {
+      await page.close();
+    }
+  }
+
+  // Scroll down the page in steps (up to maxHeight) to trigger lazy loading and
+  // intersection observers, wait for images and fonts, then return to the top
+  async primePage(page, maxHeight) {
+    await page.evaluate(async ({ maxHeight, step, delay, timeout }) => {
+      const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+      const started = Date.now();
+
+      // Re-read the height each step - lazy sections grow the page as they load
+      for (let y = 0; y < Math.min(document.documentElement.scrollHeight, maxHeight); y += window.innerHeight * step) {
+        if (Date.now() - started > timeout) break;
+        window.scrollTo(0, y);
+        await sleep(delay);
+      }
+      window.scrollTo(0, Math.min(document.documentElement.scrollHeight, maxHeight));
+      await sleep(delay);
+    }, {
+      maxHeight,
+      step: PRIME_SCROLL_STEP,
+      delay: PRIME_STEP_DELAY_MS,
+      timeout: PRIME_TIMEOUT_MS
+    });
+
+    await page.evaluate(async (timeout) => {
+      const images = Array.from(document.images)
+        .filter(img => !img.complete)
+        .map(img => new Promise(resolve => {
+          img.addEventListener('load', resolve, { once: true });
+          img.addEventListener('error', resolve, { once: true });
+        }));
+
+      await Promise.race([
+        Promise.all([...images, document.fonts.ready]),
+        new Promise(r => setTimeout(r, timeout))
+      ]);
+
+      window.scrollTo(0, 0);
+    }, ASSET_WAIT_TIMEOUT_MS);
+
+    await new Promise(r => setTimeout(r, SETTLE_DELAY_MS));
+  }
+
+  // captureWebsite through the screenshot cache - reuses a recent screenshot of the
+  // same page taken with the same viewport and clean-up settings
+  // Returns captureWebsite's result plus { screenshotPath, cached }
+  async captureCached(url, options = {}) {
+    const { viewport } = options.profile || getRenderProfile();
+    const cacheOptions = {
+      viewport: options.device ? options.device.viewport : viewport,
+      userAgent: options.device?.userAgent || (viewport.isMobile ? MOBILE_USER_AGENT : null),
+      maxHeight: options.maxHeight || DEFAULT_MAX_CAPTURE_HEIGHT,
+      hideSelectors: options.cleanup?.hideSelectors || [],
+      clickSelectors: options.cleanup?.clickSelectors || []
+    };
+
+    return getScreenshot(
+      url,
+      cacheOptions,
+      (outputPath) => this.captureWebsite(url, outputPath, options),
+      Boolean(options.discoverLinks)
+    );
+  }
+
+  // Same-site, de-duplicated page links worth touring (no login, cart, files...)
+  pickTourLinks(hrefs, homeUrl, limit) {
+    const home = new URL(homeUrl);
+    const sameSite = (host) => host.replace(/^www\./, '') === home.hostname.replace(/^www\./, '');
+    const seen = new Set([home.pathname.replace(/\/$/, '')]);
+    const links = [];
+
+    for (const href of hrefs) {
+      let link;
+      try {
+        link = new URL(href);
+      } catch {
+        continue;
+      }
+
+      const pagePath = link.pathname.replace(/\/$/, '');
+      if (!['http:', 'https:'].includes(link.protocol) || !sameSite(link.hostname)) continue;
+      if (seen.has(pagePath) || TOUR_LINK_EXCLUDE.test(pagePath)) continue;
+
+      seen.add(pagePath);
+      links.push(`${link.origin}${link.pathname}`);
+      if (links.length >= limit) break;
+    }
+
+    return links;
+  }
+
+  // Extra pages to tour after the homepage, per the campaign's tour settings
+  // paths - the campaign's relative paths (e.g. /pricing), resolved against the lead's site
+  // auto  - links discovered in the homepage's header/nav
+  getTourUrls(websiteUrl, settings, discoveredLinks = []) {
+    const maxPages = Math.min(settings.tour_max_pages || 3, MAX_TOUR_PAGES) - 1;
+
+    if (settings.tour_mode === 'paths') {
+      const home = new URL(websiteUrl);
+      const urls = (settings.tour_paths || [])
+        .map(tourPath => new URL(tourPath, home.origin).href)
+        .filter(url => url !== home.href);
+      return [...new Set(urls)].slice(0, maxPages);
+    }
+
+    if (settings.tour_mode === 'auto') {
+      return discoveredLinks.slice(0, maxPages);
+    }
+
+    return [];
+  }
+
+  // Render the mouse cursor to a transparent PNG using the shared browser
+  // scale = cursor size relative to 720p
+  async renderCursorImage(outputPath, scale = 1) {
+    const page = await this.browser.newPage();
+
+    try {
+      await page.setViewport({ width: CURSOR_WIDTH, height: CURSOR_HEIGHT, deviceScaleFactor: scale });
+      await page.setContent(`<html><body style="margin:0;background:transparent">${CURSOR_SVG}</body></html>`);
+      await page.screenshot({ path: outputPath, type: 'png', omitBackground: true });
+      return outputPath;
+    } finally {
+      await page.close();
+    }
+  }
+
+  // Where the phone and its screen sit in the output frame for a capture_device
+  // Returns null for desktop capture
+  // device is emulated at the pixel density the screen needs, not the phone's
+  // (a 3x full-page capture of a long page is huge and gets scaled down anyway)
+  getPhoneLayout(profile, captureDevice) {
+    const phone = CAPTURE_DEVICES[captureDevice];
+    if (!phone) return null;
+
+    const { viewport } = phone.device;
+    const bezel = Math.round(profile.height * PHONE_HEIGHT_SCALE * PHONE_BEZEL_SCALE);
+    const screenHeight = even(profile.height * PHONE_HEIGHT_SCALE - bezel * 2);
+    const screenWidth = even(screenHeight * viewport.width / viewport.height);
+    const width = screenWidth + bezel * 2;
+    const height = screenHeight + bezel * 2;
+    const x = Math.round((profile.width - width) / 2);
+    const y = Math.round((profile.height - height) / 2);
+    const deviceScaleFactor = Math.min(viewport.deviceScaleFactor, Math.max(1, Math.ceil(screenWidth / viewport.width)));
+
+    return {
+      device: { ...phone.device, viewport: { ...viewport, deviceScaleFactor } },
+      notch: phone.notch,
+      x,
+      y,
+      width,
+      height,
+      bezel,
+      radius: Math.round(width * 0.14),
+      screen: { x: x + bezel, y: y + bezel, width: screenWidth, height: screenHeight }
+    };
+  }
+
+  // Render the phone frame (body with a transparent screen cut-out) to a PNG
+  async renderPhoneFrame(outputPath, phone) {
+    const { width, height, bezel, radius, notch } = phone;
+    const screenWidth = phone.screen.width;
+    const screenRadius = radius - bezel;
+    const cutout = notch === 'island'
+      ? `<rect x="${(width - screenWidth * 0.3) / 2}" y="${bezel + screenWidth * 0.03}" width="${screenWidth * 0.3}" height="${screenWidth * 0.085}" rx="${screenWidth * 0.0425}" fill="#000"/>`
+      : `<circle cx="${width / 2}" cy="${bezel + screenWidth * 0.05}" r="${screenWidth * 0.028}" fill="#000"/>`;
+
+    const svg = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <mask id="screen">
+          <rect width="${width}" height="${height}" fill="#fff"/>
+          <rect x="${bezel}" y="${bezel}" width="${screenWidth}" height="${phone.screen.height}" rx="${screenRadius}" fill="#000"/>
+        </mask>
+        <rect x="1" y="1" width="${width - 2}" height="${height - 2}" rx="${radius}" fill="#111114" stroke="#3f3f46" stroke-width="2" mask="url(#screen)"/>
+        ${cutout}
+      </svg>
+    `;
+
+    const page = await this.browser.newPage();
+
+    try {
+      await page.setViewport({ width, height });
+      await page.setContent(`<html><body style="margin:0;background:transparent">${svg}</body></html>`);
+      await page.screenshot({ path: outputPath, type: 'png', omitBackground: true });
+      return outputPath;
+    } finally {
+      await page.close();
+    }
+  }
+
+  // Loom-style scroll steps for a scroll duration (also used for live recordings)
+  getScrollSteps(scrollDuration) {
+    // Calculate number of steps based on scroll duration
+    const numSteps = Math.max(3, Math.ceil(scrollDuration / SCROLL_STEP_DURATION));
+    const stepDuration = scrollDuration / numSteps;
+    const scrollPhase = stepDuration * 0.805; // 80.5% of each step is scrolling (15% slower than before)
+    return { numSteps, stepDuration, scrollPhase };
+  }
+
+  // FFmpeg expression (0 = top, 1 = bottom) for a scroll behavior
+  // stay_down      - Loom-style step scroll to the bottom, then freeze
+  // scroll_back_up - step scroll down, then glide back to the top and stay there
+  // loop           - step scroll down, glide back up, repeat for the whole video
+  getScrollExpression(scrollBehavior, scrollDuration) {
+    // Loom-style step scrolling formula
+    // Creates a staircase effect: scroll smoothly for a bit, then pause, then scroll, then pause
+    const { numSteps, stepDuration, scrollPhase } = this.getScrollSteps(scrollDuration);
+    
+    // FFmpeg expression for Loom-style step scrolling:
+    // - floor(T/stepDuration) gives current step number
+    // - mod(T, stepDuration) gives time within current step
+    // - During scroll phase: smoothly interpolate within the step
+    // - During pause phase: hold at step end position
+    // - After scrollDuration: freeze at bottom
+    
+    // The formula creates smooth scrolling within each step, then a pause
+    // progress = (step_num + smooth_progress_within_step) / num_steps
+    // where smooth_progress_within_step uses easing for natural movement
+    const scrollDown = (T) => `
+      if(lt(${T},${scrollDuration}),
+        (
+          floor(${T}/${stepDuration}) + 
+          if(lt(mod(${T},${stepDuration}),${scrollPhase}),
+            (mod(${T},${stepDuration})/${scrollPhase})*(mod(${T},${stepDuration})/${scrollPhase})*(3-2*(mod(${T},${stepDuration})/${scrollPhase})),
+            1
+          )
+        )/${numSteps},
+        1
+      )
+    `;
+
+    // Down, then one eased glide back to the top
+    const scrollDownAndUp = (T) => {
+      const back = `((${T}-${scrollDuration})/${SCROLL_RETURN_DURATION})`;
+      return `
+        if(lt(${T},${scrollDuration}),
+          ${scrollDown(T)},
+          if(lt(${T},${scrollDuration + SCROLL_RETURN_DURATION}),
+            1-${back}*${back}*(3-2*${back}),
+            0
+          )
+        )
+      `;
+    };
+
+    let formula;
+    switch (scrollBehavior) {
+      case 'scroll_back_up':
+        formula = scrollDownAndUp('t');
+        break;
+      case 'loop':
+        formula = scrollDownAndUp(`mod(t,${scrollDuration + SCROLL_RETURN_DURATION})`);
+        break;
+      default: // stay_down
+        formula = scrollDown('t');
+    }
+
+    return formula.replace(/\s+/g, '');
+  }
+
+  // Overlay x/y expressions for the cursor (W/H = video size)
+  // moving - drifts around the page like a presenter pointing at things
+  // static - parked in one spot
+  getCursorPosition(mouseDisplay) {
+    if (mouseDisplay === 'static') {
+      return { x: 'W*0.62', y: 'H*0.42' };
+    }
+
+    return {
+      x: 'W*0.5+W*0.28*sin(t*0.55)+W*0.08*sin(t*1.7+1)',
+      y: 'H*0.45+H*0.22*sin(t*0.8+0.6)+H*0.06*sin(t*2.1)'
+    };
+  }
+
   // Create Loom-style scrolling background video from screenshot
   // Scrolls in steps: scroll a bit -> pause -> scroll a bit -> pause
   // totalDuration = total video length
   // scrollDuration = how long the scrolling should take (before freezing at bottom)
-  async createScrollingBackground(screenshotPath, outputPath, scrollDuration, totalDuration) {
+  // options.scrollBehavior = stay_down | scroll_back_up | loop
+  // options.cursorImagePath = cursor PNG to draw on top (omit for no cursor)
+  // options.mouseDisplay = moving | static
+  // options.profile = render profile (output size and fps, default 720p)
+  // options.phone = phone layout + framePath - the page scrolls inside the phone's screen,
+  //   over a blurred copy of the top of the page (omit for a full-frame desktop page)
+  async createScrollingBackground(screenshotPath, outputPath, scrollDuration, totalDuration, options = {}) {
     const effectiveTotalDuration = totalDuration || scrollDuration;
-    
+    const { scrollBehavior = 'stay_down', profile = getRenderProfile(), phone } = options;
+    const { width, height } = phone ? phone.screen : profile;
+
+    const scrollFormula = this.getScrollExpression(scrollBehavior, scrollDuration);
+    const scrollCrop = `crop=${width}:${height}:0:'min(ih-${height},(${scrollFormula})*(ih-${height}))'`;
+
+    const command = ffmpeg(screenshotPath)
+      .inputOptions([
+        '-loop 1'
+      ]);
+
+    const filters = phone
+      ? [
+        `[0:v]scale=${width}:-2,split[tall][top]`,
+        `[tall]${scrollCrop}[page]`,
+        `[top]crop=${width}:${even(width * profile.height / profile.width)}:0:0,${this.getBackdropFilter(profile)}[backdrop]`
+      ]
+      : [`[0:v]scale=${width}:-2,${scrollCrop}[page]`];
+
+    return this.encodeBackground(command, filters, outputPath, effectiveTotalDuration, options);
+  }
+
+  // Create a background video from a live recording (see recordWebsite)
+  // The last frame is held if the recording comes up short
+  // options = as for createScrollingBackground (scrolling already happened in the recording)
+  async createLiveBackground(recordingPath, outputPath, totalDuration, options = {}) {
+    const { profile = getRenderProfile(), phone } = options;
+    const { width, height } = phone ? phone.screen : profile;
+
+    const fit = [
+      `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+      `crop=${width}:${height}`,
+      `fps=${profile.fps}`,
+      `tpad=stop_mode=clone:stop_duration=${totalDuration}`
+    ].join(',');
+
+    const command = ffmpeg(recordingPath);
+
+    const filters = phone
+      ? [
+        `[0:v]${fit},split[page][top]`,
+        `[top]crop=iw:${even(width * profile.height / profile.width)}:0:0,${this.getBackdropFilter(profile)}[backdrop]`
+      ]
+      : [`[0:v]${fit}[page]`];
+
+    return this.encodeBackground(command, filters, outputPath, totalDuration, options);
+  }
+
+  // Blur and darken a page image into a full-frame backdrop behind the phone
+  // (blurred at low resolution, which is much cheaper)
+  getBackdropFilter(profile) {
+    return `scale=${even(profile.width / 8)}:${even(profile.height / 8)},boxblur=6,scale=${profile.width}:${profile.height},eq=brightness=-0.25`;
+  }
+
+  // Draw the cursor and phone frame over a background's [page] (and [backdrop]) and encode it
+  // Every background shares these encode settings, so tour segments can be joined without re-encoding
+  async encodeBackground(command, filters, outputPath, duration, options = {}) {
+    const { cursorImagePath, mouseDisplay = 'moving', profile = getRenderProfile(), phone } = options;
+    let output = 'page';
+    let inputIndex = 1;
+
+    if (cursorImagePath) {
+      // Drawn on the page itself, so on a phone it stays inside the screen
+      const cursor = this.getCursorPosition(mouseDisplay);
+
+      command
+        .input(cursorImagePath)
+        .inputOptions(['-loop 1']);
+      filters.push(`[${output}][${inputIndex++}:v]overlay=x='${cursor.x}':y='${cursor.y}':format=auto[cursor]`);
+      output = 'cursor';
+    }
+
+    if (phone) {
+      command
+        .input(phone.framePath)
+        .inputOptions(['-loop 1']);
+      filters.push(
+        `[backdrop][${output}]overlay=${phone.screen.x}:${phone.screen.y}[screen]`,
+        `[screen][${inputIndex++}:v]overlay=${phone.x}:${phone.y}:format=auto[phone]`
+      );
+      output = 'phone';
+    }
+
     return new Promise((resolve, reject) => {
-      // Loom-style step scrolling formula
-      // Creates a staircase effect: scroll smoothly for a bit, then pause, then scroll, then pause
-      
-      // Calculate number of steps based on scroll duration
-      const numSteps = Math.max(3, Math.ceil(scrollDuration / SCROLL_STEP_DURATION));
-      const stepDuration = scrollDuration / numSteps;
-      const scrollPhase = stepDuration * 0.805; // 80.5% of each step is scrolling (15% slower than before)
-      
-      // FFmpeg expression for Loom-style step scrolling:
-      // - floor(t/stepDuration) gives current step number
-      // - mod(t, stepDuration) gives time within current step
-      // - During scroll phase: smoothly interpolate within the step
-      // - During pause phase: hold at step end position
-      // - After scrollDuration: freeze at bottom
-      
-      // The formula creates smooth scrolling within each step, then a pause
-      // progress = (step_num + smooth_progress_within_step) / num_steps
-      // where smooth_progress_within_step uses easing for natural movement
-      
-      const scrollFormula = `
-        if(lt(t,${scrollDuration}),
-          (
-            floor(t/${stepDuration}) + 
-            if(lt(mod(t,${stepDuration}),${scrollPhase}),
-              (mod(t,${stepDuration})/${scrollPhase})*(mod(t,${stepDuration})/${scrollPhase})*(3-2*(mod(t,${stepDuration})/${scrollPhase})),
-              1
-            )
-          )/${numSteps},
-          1
-        )
-      `.replace(/\s+/g, '');
-      
-      ffmpeg(screenshotPath)
-        .inputOptions([
-          '-loop 1'
-        ])
+      command
+        .complexFilter(filters.join(';'))
         .outputOptions([
-          `-t ${effectiveTotalDuration}`,
-          `-vf scale=${VIEWPORT_WIDTH}:-1,crop=${VIEWPORT_WIDTH}:${VIEWPORT_HEIGHT}:0:'min(ih-${VIEWPORT_HEIGHT},(${scrollFormula})*(ih-${VIEWPORT_HEIGHT}))'`,
+          `-map [${output}]`,
+          `-t ${duration}`,
           '-c:v libx264',
+          `-threads ${FFMPEG_THREADS}`,
           '-preset faster',
           '-crf 26',
           '-pix_fmt yuv420p',
-          `-r ${FPS}`
+          `-r ${profile.fps}`
         ])
         .output(outputPath)
         .on('end', () => resolve({ success: true }))
@@ -155,147 +696,267 @@ export class VideoProcessor {
     });
   }
 
-  // Overlay video bubble on background
-  async createVideoWithOverlay(config) {
-    const {
-      backgroundVideoPath,
-      overlayVideoPath,
-      secondaryVideoPath,
-      outputPath,
-      position = 'bottom_left',
-      shape = 'circle',
-      style = 'small_bubble',
-      fullscreenTransitionTime = 20 // Time in seconds when bubble transitions to fullscreen (ONLY for full_screen style)
-    } = config;
+  // Background for one page: its live recording if there is one, else its scrolling screenshot
+  // bgPage = { screenshotPath, recordingPath?, duration, scrollDuration }
+  async createPageBackground(bgPage, outputPath, options = {}) {
+    if (bgPage.recordingPath) {
+      return this.createLiveBackground(bgPage.recordingPath, outputPath, bgPage.duration, options);
+    }
+    return this.createScrollingBackground(bgPage.screenshotPath, outputPath, bgPage.scrollDuration, bgPage.duration, options);
+  }
+
+  // Record the live version of each background page (capture_mode live), in place
+  // A page that fails to record keeps its scrolling screenshot
+  // pages = [{ url, duration, scrollDuration }], options = recordWebsite options
+  async recordPages(pages, tempDir, options = {}) {
+    for (const [index, bgPage] of pages.entries()) {
+      const recordingPath = path.join(tempDir, `recording_page${index}.webm`);
+      console.log(`🎥 Recording ${bgPage.url} live (${bgPage.duration.toFixed(1)}s)`);
+
+      const result = await this.recordWebsite(bgPage.url, recordingPath, {
+        ...options,
+        duration: bgPage.duration,
+        scrollDuration: bgPage.scrollDuration
+      });
+
+      if (result.success) {
+        bgPage.recordingPath = recordingPath;
+      } else {
+        console.log(`   ⚠️ Using the screenshot instead: ${result.error}`);
+      }
+    }
+  }
+
+  // Background for a multi-page tour: one scrolling segment per page, cut together
+  // pages = [{ screenshotPath, recordingPath?, duration, scrollDuration }] - the last page also covers any buffer
+  async createTourBackground(pages, outputPath, options = {}) {
+    const segmentPaths = [];
+
+    for (const [index, tourPage] of pages.entries()) {
+      const segmentPath = outputPath.replace(/\.mp4$/, `_page${index}.mp4`);
+
+      await ffmpegLimiter.run(() => this.createPageBackground(tourPage, segmentPath, options));
+      segmentPaths.push(segmentPath);
+    }
+
+    // Segments share codec settings, so they can be joined without re-encoding
+    const listPath = outputPath.replace(/\.mp4$/, '_pages.txt');
+    await fs.writeFile(listPath, segmentPaths.map(segmentPath => `file '${segmentPath}'`).join('\n'));
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(listPath)
+        .inputOptions(['-f concat', '-safe 0'])
+        .outputOptions(['-c copy'])
+        .output(outputPath)
+        .on('end', () => resolve({ success: true }))
+        .on('error', (err) => reject(err))
+        .run();
+    });
+
+    return { success: true };
+  }
+
+  // Bubble size for a video style, relative to the output frame
+  getBubbleSize(style, profile = getRenderProfile()) {
+    const shortSide = Math.min(profile.width, profile.height);
 
-    // Calculate overlay dimensions based on style
-    let overlaySize;
-    const smallBubbleSize = { width: 200, height: 200 };
-    const bigBubbleSize = { width: 400, height: 400 };
-    
     switch (style) {
       case 'big_bubble':
-        overlaySize = bigBubbleSize;
-        break;
-      case 'full_screen':
-        // For fullscreen with transition, start with BIG bubble size (400x400)
-        overlaySize = bigBubbleSize;
-        break;
-      default: // small_bubble
-        overlaySize = smallBubbleSize;
+      case 'full_screen': {
+        // For fullscreen with transition, start with BIG bubble size (400x400 at 720p)
+        const size = even(shortSide * BUBBLE_SCALE.big_bubble);
+        return { width: size, height: size };
+      }
+      default: { // small_bubble
+        const size = even(shortSide * BUBBLE_SCALE.small_bubble);
+        return { width: size, height: size };
+      }
     }
+  }
 
-    // Calculate position for bubble in corner - use the actual overlay size for positioning
-    let posX, posY;
-    const padding = 20;
+  // Top-left corner of the bubble for a position - uses the actual overlay size
+  getBubblePosition(position, size, profile = getRenderProfile()) {
+    const { width, height } = profile;
+    const padding = Math.round(Math.min(width, height) * BUBBLE_PADDING_SCALE);
     switch (position) {
       case 'bottom_right':
-        posX = VIEWPORT_WIDTH - overlaySize.width - padding;
-        posY = VIEWPORT_HEIGHT - overlaySize.height - padding;
-        break;
+        return { x: width - size.width - padding, y: height - size.height - padding };
       case 'top_left':
-        posX = padding;
-        posY = padding;
-        break;
+        return { x: padding, y: padding };
       case 'top_right':
-        posX = VIEWPORT_WIDTH - overlaySize.width - padding;
-        posY = padding;
-        break;
+        return { x: width - size.width - padding, y: padding };
       default: // bottom_left
-        posX = padding;
-        posY = VIEWPORT_HEIGHT - overlaySize.height - padding;
+        return { x: padding, y: height - size.height - padding };
+    }
+  }
+
+  // Pre-render (or reuse) the scaled/masked intro variants this campaign needs
+  // Returns { duration, hasAudio, bubblePath, fullscreenPath, growInPath, growOutPath }
+  async prepareIntro(introVideoPath, settings = {}) {
+    const style = settings.video_style || 'small_bubble';
+    const shape = settings.video_shape || 'circle';
+    const profile = getRenderProfile(settings.render_profile);
+    const bubbleSize = this.getBubbleSize(style, profile);
+
+    const specs = {
+      bubble: { type: 'bubble', ...bubbleSize, shape }
+    };
+    if (style === 'full_screen') {
+      specs.fullscreen = { type: 'full', width: profile.width, height: profile.height };
+
+      if (settings.fullscreen_transition === 'grow') {
+        // Animated clips for the bubble growing to fullscreen (and shrinking back)
+        const { x, y } = this.getBubblePosition(settings.video_position, bubbleSize, profile);
+        const grow = {
+          type: 'grow',
+          width: profile.width,
+          height: profile.height,
+          x,
+          y,
+          size: bubbleSize.width,
+          shape,
+          duration: FULLSCREEN_ANIMATION_DURATION
+        };
+        const t0 = settings.fullscreen_transition_time || 20;
+        const t1 = settings.fullscreen_return_time;
+
+        specs.growIn = { ...grow, start: t0 };
+        if (t1) {
+          specs.growOut = { ...grow, start: t1 - FULLSCREEN_ANIMATION_DURATION, reverse: true };
+        }
+      }
     }
 
+    const { duration, hasAudio, variants } = await prepareIntroVideo(introVideoPath, specs);
+
+    return {
+      duration,
+      hasAudio,
+      bubblePath: variants.bubble,
+      fullscreenPath: variants.fullscreen || null,
+      growInPath: variants.growIn || null,
+      growOutPath: variants.growOut || null
+    };
+  }
+
+  // Pre-render (or reuse) the secondary video variant - fullscreen, or a bubble
+  // matching the intro's, depending on the campaign's secondary_video_display
+  // Returns { duration, hasAudio, path, display }
+  async prepareSecondary(secondaryVideoPath, settings = {}) {
+    const display = settings.secondary_video_display === 'bubble' ? 'bubble' : 'fullscreen';
+    const profile = getRenderProfile(settings.render_profile);
+
+    const spec = display === 'bubble'
+      ? { type: 'bubble', ...this.getBubbleSize(settings.video_style, profile), shape: settings.video_shape || 'circle' }
+      : { type: 'full', width: profile.width, height: profile.height };
+
+    const { duration, hasAudio, variants } = await prepareIntroVideo(secondaryVideoPath, { secondary: spec });
+
+    return {
+      duration,
+      hasAudio,
+      path: variants.secondary,
+      display
+    };
+  }
+
+  // Overlay video bubble on background
+  // intro/secondary come from prepareIntro/prepareSecondary: already scaled,
+  // and circle bubbles already carry their mask as alpha (VP9 webm)
+  // The secondary video (optional) starts when the intro ends
+  async createVideoWithOverlay(config) {
+    const {
+      backgroundVideoPath,
+      intro,
+      secondary,
+      outputPath,
+      position = 'bottom_left',
+      shape = 'circle',
+      style = 'small_bubble',
+      fullscreenTransitionTime = 20, // Time in seconds when bubble transitions to fullscreen (ONLY for full_screen style)
+      fullscreenReturnTime = null,   // Time in seconds when fullscreen shrinks back to the bubble (null = stays fullscreen)
+      fullscreenTransition = 'cut',  // cut | fade | grow
+      profile = getRenderProfile()
+    } = config;
+
+    const overlaySize = this.getBubbleSize(style, profile);
+    const { x: posX, y: posY } = this.getBubblePosition(position, overlaySize, profile);
+
     return new Promise((resolve, reject) => {
-      let filterComplex;
-      let outputOptions;
-      
+      const command = ffmpeg();
+      const filters = [];
+
+      // Inputs are added as needed - returns the input index for the filter graph
+      let inputCount = 0;
+      const addInput = (inputPath, hasAlpha = false) => {
+        command.input(inputPath);
+        if (hasAlpha) {
+          // The native VP9 decoder drops alpha - libvpx keeps it
+          command.inputOptions('-c:v libvpx-vp9');
+        }
+        return inputCount++;
+      };
+
+      addInput(backgroundVideoPath);
+      const bubbleInput = addInput(intro.bubblePath, shape === 'circle');
+
+      // With a secondary video the intro layers must disappear when the intro ends
+      // instead of freezing on their last frame
+      const introEof = secondary ? ':eof_action=pass' : '';
+
       if (style === 'full_screen') {
         // FULLSCREEN MODE:
-        // 1. Before transition: Show bubble (400x400 circle) in corner with website behind
-        // 2. At transition time: Quick ~0.5s animated expansion from bubble to fullscreen
-        // 3. After transition: Video is fullscreen (1280x720), website completely hidden
-        
-        const animDuration = 0.5;
+        // 1. Before transition: Show big bubble in corner with website behind
+        // 2. After transition: Video fills the frame, website completely hidden
+        // 3. Optionally, at the return time: back to the bubble (it kept playing underneath)
+        // The bubble and fullscreen inputs are the pre-masked/pre-scaled cached variants
         const t0 = fullscreenTransitionTime;
-        const transitionEnd = t0 + animDuration;
-        
-        // Bubble dimensions and position
-        const bubbleW = bigBubbleSize.width;   // 400
-        const bubbleH = bigBubbleSize.height;  // 400
-        
-        let bubbleX, bubbleY;
-        switch (position) {
-          case 'bottom_right':
-            bubbleX = VIEWPORT_WIDTH - bubbleW - padding;
-            bubbleY = VIEWPORT_HEIGHT - bubbleH - padding;
-            break;
-          case 'top_left':
-            bubbleX = padding;
-            bubbleY = padding;
-            break;
-          case 'top_right':
-            bubbleX = VIEWPORT_WIDTH - bubbleW - padding;
-            bubbleY = padding;
-            break;
-          default: // bottom_left
-            bubbleX = padding;
-            bubbleY = VIEWPORT_HEIGHT - bubbleH - padding;
+        const t1 = fullscreenReturnTime;
+        const grow = fullscreenTransition === 'grow' && intro.growInPath;
+
+        // Put bubble on background (alpha from the cached variant does the masking)
+        filters.push(`[0:v][${bubbleInput}:v]overlay=${posX}:${posY}:format=auto${introEof}[bg_with_bubble]`);
+        let current = '[bg_with_bubble]';
+
+        // Fullscreen is fully shown between these times - grow clips cover the animation
+        let fullStart = t0;
+        let fullEnd = t1;
+
+        if (grow) {
+          // GROW: the cached clips animate the bubble's box from its corner to the full frame
+          // (and back), with the circle's corners squaring off as it grows
+          const growClips = [[intro.growInPath, t0, 'grow_in']];
+          if (t1 && intro.growOutPath) {
+            growClips.push([intro.growOutPath, t1 - FULLSCREEN_ANIMATION_DURATION, 'grow_out']);
+          }
+
+          for (const [clipPath, start, label] of growClips) {
+            const clipInput = addInput(clipPath, true);
+            filters.push(`[${clipInput}:v]setpts=PTS-STARTPTS+${start}/TB[${label}_v]`);
+            filters.push(`${current}[${label}_v]overlay=0:0:format=auto:eof_action=pass[${label}]`);
+            current = `[${label}]`;
+          }
+
+          fullStart = t0 + FULLSCREEN_ANIMATION_DURATION;
+          fullEnd = growClips.length > 1 ? t1 - FULLSCREEN_ANIMATION_DURATION : t1;
         }
-        
-        if (shape === 'circle') {
-          // Two-layer approach:
-          // Layer 1: Bubble with circle mask on background (visible before and during transition)
-          // Layer 2: Fullscreen video overlay (fades in during transition, covers everything after)
-          
-          const circleMask = `geq=lum='p(X,Y)':cb='p(X,Y)':cr='p(X,Y)':a='if(lt((X-W/2)*(X-W/2)+(Y-H/2)*(Y-H/2),(W/2)*(W/2)),255,0)'`;
-          
-          // Bubble alpha: fade out during transition (1 -> 0)
-          // Fullscreen alpha: fade in during transition (0 -> 1)
-          // progress = clamp((t - t0) / animDuration, 0, 1)
-          const progress = `max(0,min(1,(t-${t0})/${animDuration}))`;
-          const bubbleAlpha = `(1-${progress})`;
-          const fullAlpha = progress;
-          
-          filterComplex = [
-            // Split overlay video into two streams
-            `[1:v]split[v_bubble][v_full];`,
-            
-            // Create bubble: scale to 400x400, apply circle mask, will fade out
-            `[v_bubble]scale=${bubbleW}:${bubbleH},format=rgba,${circleMask}[bubble];`,
-            
-            // Create fullscreen: scale to 1280x720, no mask
-            `[v_full]scale=${VIEWPORT_WIDTH}:${VIEWPORT_HEIGHT},format=rgba[fullvid];`,
-            
-            // Put bubble on background
-            `[0:v][bubble]overlay=${bubbleX}:${bubbleY}:format=auto[bg_with_bubble];`,
-            
-            // Overlay fullscreen on top - enabled starting at transition time
-            // The fullscreen video completely covers everything once it appears
-            `[bg_with_bubble][fullvid]overlay=0:0:enable='gte(t,${t0})'[outv]`
-          ].join('');
+
+        const fullscreenInput = addInput(intro.fullscreenPath);
+        if (fullscreenTransition === 'fade') {
+          // Fade the fullscreen layer's alpha in (and out again before returning)
+          const fades = [`fade=t=in:st=${t0}:d=${FULLSCREEN_ANIMATION_DURATION}:alpha=1`];
+          if (t1) {
+            fades.push(`fade=t=out:st=${t1 - FULLSCREEN_ANIMATION_DURATION}:d=${FULLSCREEN_ANIMATION_DURATION}:alpha=1`);
+          }
+          filters.push(`[${fullscreenInput}:v]format=yuva420p,${fades.join(',')}[fullscreen_v]`);
         } else {
-          // Square/rectangle version
-          filterComplex = [
-            `[1:v]split[v_bubble][v_full];`,
-            `[v_bubble]scale=${bubbleW}:${bubbleH}[bubble];`,
-            `[v_full]scale=${VIEWPORT_WIDTH}:${VIEWPORT_HEIGHT}[fullvid];`,
-            `[0:v][bubble]overlay=${bubbleX}:${bubbleY}[bg_with_bubble];`,
-            `[bg_with_bubble][fullvid]overlay=0:0:enable='gte(t,${t0})'[outv]`
-          ].join('');
+          filters.push(`[${fullscreenInput}:v]null[fullscreen_v]`);
         }
-        
-        outputOptions = [
-          '-map [outv]',
-          '-map 1:a?',
-          '-c:v libx264',
-          '-preset faster',
-          '-crf 28',
-          '-c:a aac',
-          '-b:a 96k',
-          '-shortest',
-          '-pix_fmt yuv420p'
-        ];
+
+        // Overlay fullscreen on top - enabled between the transition and return times
+        // The fullscreen video completely covers everything while it's shown
+        const enable = fullEnd ? `between(t,${fullStart},${fullEnd})` : `gte(t,${fullStart})`;
+        filters.push(`${current}[fullscreen_v]overlay=0:0:format=auto:enable='${enable}'${introEof}[intro_v]`);
       } else {
         // BUBBLE MODE (small_bubble or big_bubble):
         // - Bubble stays the SAME SIZE and SHAPE throughout the entire video
@@ -303,44 +964,54 @@ export class VideoProcessor {
         // - Video is ALWAYS VISIBLE from the start (no delay)
         // - Video plays until the uploaded video completes
         // - Background freezes on last frame when scrolling ends
-        
-        if (shape === 'circle') {
-          // Circle mask for bubble - stays circle the ENTIRE time, visible from t=0
-          filterComplex = [
-            `[1:v]scale=${overlaySize.width}:${overlaySize.height},format=rgba,geq=lum='p(X,Y)':cb='p(X,Y)':cr='p(X,Y)':a='if(lt((X-W/2)*(X-W/2)+(Y-H/2)*(Y-H/2),(W/2)*(W/2)),255,0)'[ov];`,
-            `[0:v][ov]overlay=${posX}:${posY}[outv]`
-          ].join('');
-        } else {
-          // Square/rectangle overlay - stays square the ENTIRE time, visible from t=0
-          filterComplex = [
-            `[1:v]scale=${overlaySize.width}:${overlaySize.height}[ov];`,
-            `[0:v][ov]overlay=${posX}:${posY}[outv]`
-          ].join('');
-        }
-        
-        outputOptions = [
-          '-map [outv]',
-          '-map 1:a?',
-          '-c:v libx264',
-          '-preset faster',
-          '-crf 28',
-          '-c:a aac',
-          '-b:a 96k',
-          '-shortest',
-          '-pix_fmt yuv420p'
-        ];
+        filters.push(`[0:v][${bubbleInput}:v]overlay=${posX}:${posY}:format=auto${introEof}[intro_v]`);
       }
 
-      const command = ffmpeg()
-        .input(backgroundVideoPath)
-        .input(overlayVideoPath);
+      let videoOut = '[intro_v]';
+      let audioMap = `${bubbleInput}:a?`;
 
-      if (secondaryVideoPath) {
-        command.input(secondaryVideoPath);
+      if (secondary) {
+        const offset = intro.duration;
+        const [secondaryX, secondaryY] = secondary.display === 'bubble' ? [posX, posY] : [0, 0];
+        const secondaryInput = addInput(secondary.path, secondary.display === 'bubble' && shape === 'circle');
+
+        // Shift the secondary video so it starts exactly when the intro ends
+        filters.push(`[${secondaryInput}:v]setpts=PTS-STARTPTS+${offset}/TB[secondary_v]`);
+        filters.push(`[intro_v][secondary_v]overlay=${secondaryX}:${secondaryY}:format=auto:eof_action=pass[outv]`);
+        videoOut = '[outv]';
+
+        // One continuous audio track: intro audio padded/trimmed to the intro's
+        // length so the secondary audio lines up with its picture
+        // Videos without audio contribute silence
+        const audioSegment = (input, source, duration, label) => source.hasAudio
+          ? `[${input}:a]apad,atrim=0:${duration},asetpts=PTS-STARTPTS[${label}]`
+          : `anullsrc=channel_layout=stereo:sample_rate=48000,atrim=0:${duration}[${label}]`;
+
+        filters.push(audioSegment(bubbleInput, intro, intro.duration, 'intro_a'));
+        filters.push(audioSegment(secondaryInput, secondary, secondary.duration, 'secondary_a'));
+        filters.push('[intro_a][secondary_a]concat=n=2:v=0:a=1[outa]');
+        audioMap = '[outa]';
       }
 
+      // -shortest alone lets the padded background run on past the secondary video
+      const durationLimit = secondary ? [`-t ${intro.duration + secondary.duration}`] : [];
+
+      const outputOptions = [
+        `-map ${videoOut}`,
+        `-map ${audioMap}`,
+        '-c:v libx264',
+        `-threads ${FFMPEG_THREADS}`,
+        '-preset faster',
+        '-crf 28',
+        '-c:a aac',
+        '-b:a 96k',
+        '-shortest',
+        ...durationLimit,
+        '-pix_fmt yuv420p'
+      ];
+
       command
-        .complexFilter(filterComplex)
+        .complexFilter(filters.join(';'))
         .outputOptions(outputOptions)
         .output(outputPath)
         .on('end', () => resolve({ success: true }))
@@ -356,6 +1027,7 @@ export class VideoProcessor {
         .outputOptions([
           `-t ${duration}`,
           '-c:v libx264',
+          `-threads ${FFMPEG_THREADS}`,
           '-preset faster',
           '-crf 30',
           '-c:a aac',
@@ -372,12 +1044,14 @@ export class VideoProcessor {
   // Create a scrolling GIF preview of just the website (no overlay)
   // This is optimized for sharing via text messages
   // Uses a two-pass approach to reduce memory usage
-  async createScrollingGif(screenshotPath, outputPath, duration = 5) {
+  async createScrollingGif(screenshotPath, outputPath, duration = 5, profile = getRenderProfile()) {
     const tempVideoPath = outputPath.replace('.gif', '_temp.mp4');
     
     // GIF settings optimized for text message sharing
-    const gifWidth = 480;
-    const gifHeight = 270;
+    // Longest side is 480px, keeping the render profile's aspect ratio
+    const gifScale = 480 / Math.max(profile.width, profile.height);
+    const gifWidth = even(profile.width * gifScale);
+    const gifHeight = even(profile.height * gifScale);
     const gifFps = 10;
 
     // Loom-style step scrolling for the GIF
@@ -406,6 +1080,7 @@ export class VideoProcessor {
           `-t ${duration}`,
           `-vf scale=${gifWidth}:-1,crop=${gifWidth}:${gifHeight}:0:'min(ih-${gifHeight},(${scrollFormula})*(ih-${gifHeight}))',fps=${gifFps}`,
           '-c:v libx264',
+          `-threads ${FFMPEG_THREADS}`,
           '-preset ultrafast',
           '-crf 28',
           '-pix_fmt yuv420p'
@@ -420,6 +1095,7 @@ export class VideoProcessor {
     await new Promise((resolve, reject) => {
       ffmpeg(tempVideoPath)
         .outputOptions([
+          `-threads ${FFMPEG_THREADS}`,
           `-vf fps=${gifFps},scale=${gifWidth}:${gifHeight}:flags=lanczos,split[s0][s1];[s0]palettegen=max_colors=64[p];[s1][p]paletteuse`,
           '-loop 0'
         ])
@@ -440,14 +1116,15 @@ export class VideoProcessor {
   }
 
   // Create thumbnail from video
-  async createThumbnail(inputPath, outputPath, timeOffset = 3) {
+  async createThumbnail(inputPath, outputPath, timeOffset = 3, profile = getRenderProfile()) {
     return new Promise((resolve, reject) => {
       ffmpeg(inputPath)
         .screenshots({
           timestamps: [timeOffset],
           filename: path.basename(outputPath),
           folder: path.dirname(outputPath),
-          size: '460x250'
+          // Landscape thumbnails keep their card size, others keep their aspect ratio
+          size: profile.width > profile.height ? '460x250' : '?x250'
         })
         .on('end', () => resolve({ success: true }))
         .on('error', (err) => reject(err));
@@ -469,64 +1146,156 @@ export class VideoProcessor {
     const tempDir = path.join(STORAGE_PATHS.temp, leadId);
     await fs.mkdir(tempDir, { recursive: true });
 
+    // Output size, fps and capture viewport
+    const profile = getRenderProfile(settings.render_profile);
+
     try {
-      // Step 1: Get the duration of the intro video
-      console.log(`⏱️ Getting intro video duration...`);
-      const introVideoDuration = await this.getVideoDuration(introVideoPath);
+      // Step 1: Get the cached intro variants (rendered once per campaign)
+      console.log(`⏱️ Preparing intro video...`);
+      const intro = await this.prepareIntro(introVideoPath, settings);
+      const introVideoDuration = intro.duration;
       console.log(`   Intro video duration: ${introVideoDuration.toFixed(2)}s`);
 
-      // Step 2: Capture website screenshot
-      console.log(`📸 Capturing website: ${websiteUrl}`);
-      const screenshotPath = path.join(tempDir, 'screenshot.png');
-      const captureResult = await this.captureWebsite(websiteUrl, screenshotPath);
+      // Secondary video plays after the intro
+      let secondary = null;
+      if (secondaryVideoPath) {
+        secondary = await this.prepareSecondary(secondaryVideoPath, settings);
+        console.log(`   Secondary video duration: ${secondary.duration.toFixed(2)}s (${secondary.display})`);
+      }
+      const totalVideoDuration = introVideoDuration + (secondary?.duration || 0);
+
+      // Step 2: Capture website screenshot (on a phone for capture_device iphone/android)
+      const phone = this.getPhoneLayout(profile, settings.capture_device);
+      const cleanup = {
+        hideSelectors: settings.capture_hide_selectors || [],
+        clickSelectors: settings.capture_click_selectors || []
+      };
+      const maxHeight = settings.max_capture_height || DEFAULT_MAX_CAPTURE_HEIGHT;
+      console.log(`📸 Capturing website: ${websiteUrl} (${phone ? phone.device.name : `${profile.width}x${profile.height}`})`);
+      const captureResult = await this.captureCached(websiteUrl, {
+        profile,
+        device: phone?.device,
+        cleanup,
+        maxHeight,
+        discoverLinks: settings.tour_mode === 'auto' ? MAX_TOUR_PAGES : 0
+      });
       
       if (!captureResult.success) {
         throw new Error(`Failed to capture website: ${captureResult.error}`);
       }
+      const { screenshotPath } = captureResult;
+      if (captureResult.cached) {
+        console.log(`   ♻️ Using cached screenshot`);
+      }
+
+      // Step 2b: Capture the other pages of a website tour
+      // A page that fails to load is left out of the tour instead of failing the video
+      const tourPages = [];
+      for (const pageUrl of this.getTourUrls(websiteUrl, settings, captureResult.links)) {
+        console.log(`📸 Capturing tour page: ${pageUrl}`);
+        const pageResult = await this.captureCached(pageUrl, { profile, device: phone?.device, cleanup, maxHeight });
+
+        if (pageResult.success) {
+          tourPages.push({ url: pageUrl, screenshotPath: pageResult.screenshotPath });
+        } else {
+          console.log(`   ⚠️ Skipping tour page: ${pageResult.error}`);
+        }
+      }
 
       // Step 3: Create scrolling background video with Loom-style scroll
       console.log(`🎬 Creating Loom-style scrolling background...`);
       const backgroundVideoPath = path.join(tempDir, 'background.mp4');
       const videoStyle = settings.video_style || 'small_bubble';
       
-      // Scroll duration is based on video length
-      // Use 70% of video duration for scrolling, leaving 30% frozen at bottom
+      // Scroll duration is based on how long the website is visible
+      // (a fullscreen secondary video hides it)
+      // Use 70% of that for scrolling, leaving 30% frozen at bottom
       // But cap scrolling at reasonable limits
-      const scrollDuration = Math.min(Math.max(introVideoDuration * 0.7, 8), 45);
+      const visibleDuration = secondary?.display === 'bubble' ? totalVideoDuration : introVideoDuration;
+      const scrollDuration = Math.min(Math.max(visibleDuration * 0.7, 8), 45);
       
-      // Total background duration needs to match the intro video
-      const totalBackgroundDuration = introVideoDuration + 1; // Add 1s buffer
+      // Total background duration needs to cover intro + secondary
+      const totalBackgroundDuration = totalVideoDuration + 1; // Add 1s buffer
       
-      console.log(`   Scroll duration: ${scrollDuration.toFixed(2)}s (Loom-style step scrolling)`);
+      const scrollBehavior = settings.scroll_behavior || 'stay_down';
+      const mouseDisplay = settings.mouse_display || 'moving';
+
+      console.log(`   Scroll duration: ${scrollDuration.toFixed(2)}s (Loom-style step scrolling, ${scrollBehavior})`);
       console.log(`   Total background: ${totalBackgroundDuration.toFixed(2)}s`);
-      
-      await this.createScrollingBackground(screenshotPath, backgroundVideoPath, scrollDuration, totalBackgroundDuration);
+
+      // Cursor drawn over the page, unless hidden
+      let cursorImagePath = null;
+      if (mouseDisplay !== 'hidden') {
+        const cursorScale = Math.min(profile.width, profile.height) / 720;
+        cursorImagePath = await this.renderCursorImage(path.join(tempDir, 'cursor.png'), cursorScale);
+      }
+
+      const backgroundOptions = { scrollBehavior, cursorImagePath, mouseDisplay, profile };
+      if (phone) {
+        backgroundOptions.phone = { ...phone, framePath: await this.renderPhoneFrame(path.join(tempDir, 'phone.png'), phone) };
+      }
+
+      // Drop tour pages until each gets enough screen time
+      const tourPageCount = Math.min(tourPages.length, Math.floor(visibleDuration / MIN_TOUR_SEGMENT) - 1);
+
+      let pages;
+      if (tourPageCount > 0) {
+        // Website tour: homepage first, then each page gets its own scroll segment
+        const unit = visibleDuration / (HOME_SEGMENT_WEIGHT + tourPageCount);
+        pages = [{ url: websiteUrl, screenshotPath }, ...tourPages.slice(0, tourPageCount)].map((tourPage, index) => ({
+          ...tourPage,
+          duration: index === 0 ? unit * HOME_SEGMENT_WEIGHT : unit
+        }));
+        // Last page stays on screen for the rest of the video
+        pages[pages.length - 1].duration += totalBackgroundDuration - visibleDuration;
+        for (const tourPage of pages) {
+          tourPage.scrollDuration = Math.min(Math.max(tourPage.duration * 0.7, 3), 45);
+        }
+
+        console.log(`   Website tour: ${pages.length} pages (${pages.map(p => p.duration.toFixed(1) + 's').join(', ')})`);
+      } else {
+        pages = [{ url: websiteUrl, screenshotPath, duration: totalBackgroundDuration, scrollDuration }];
+      }
+
+      // Live capture: record each page in real time instead of panning its screenshot
+      if (settings.capture_mode === 'live') {
+        await this.recordPages(pages, tempDir, { profile, device: phone?.device, cleanup, maxHeight, scrollBehavior });
+      }
+
+      if (pages.length > 1) {
+        await this.createTourBackground(pages, backgroundVideoPath, backgroundOptions);
+      } else {
+        await ffmpegLimiter.run(() => this.createPageBackground(pages[0], backgroundVideoPath, backgroundOptions));
+      }
 
       // Step 4: Overlay video bubble
       console.log(`🔄 Overlaying video bubble (style: ${videoStyle})...`);
       const finalVideoPath = path.join(outputDir, `${leadId}.mp4`);
-      await this.createVideoWithOverlay({
+      await ffmpegLimiter.run(() => this.createVideoWithOverlay({
         backgroundVideoPath,
-        overlayVideoPath: introVideoPath,
-        secondaryVideoPath,
+        intro,
+        secondary,
         outputPath: finalVideoPath,
         position: settings.video_position,
         shape: settings.video_shape,
         style: videoStyle,
-        fullscreenTransitionTime: settings.fullscreen_transition_time || 20
-      });
+        fullscreenTransitionTime: settings.fullscreen_transition_time || 20,
+        fullscreenReturnTime: settings.fullscreen_return_time || null,
+        fullscreenTransition: settings.fullscreen_transition || 'cut',
+        profile
+      }));
 
       // Step 5: Create GIF preview (scrolling website only, no overlay)
       console.log(`📹 Creating GIF preview (website scroll only)...`);
       const previewPath = path.join(STORAGE_PATHS.previews, `${leadId}_preview.gif`);
       await fs.mkdir(path.dirname(previewPath), { recursive: true });
-      await this.createScrollingGif(screenshotPath, previewPath, 6);
+      await ffmpegLimiter.run(() => this.createScrollingGif(screenshotPath, previewPath, 6, profile));
 
       // Step 6: Create thumbnail
       console.log(`🖼️ Creating thumbnail...`);
       const thumbnailPath = path.join(STORAGE_PATHS.thumbnails, `${leadId}.jpg`);
       await fs.mkdir(path.dirname(thumbnailPath), { recursive: true });
-      await this.createThumbnail(finalVideoPath, thumbnailPath);
+      await ffmpegLimiter.run(() => this.createThumbnail(finalVideoPath, thumbnailPath, 3, profile));
 
       // Clean up temp files
       await fs.rm(tempDir, { recursive: true, force: true });
@@ -536,7 +1305,7 @@ export class VideoProcessor {
         videoPath: finalVideoPath,
         previewPath,
         thumbnailPath,
-        backgroundPath: screenshotPath
+        backgroundPath: screenshotPath // In the screenshot cache, so it outlives the temp dir
       };
 
     } catch (error) {
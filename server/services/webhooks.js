@@ -0,0 +1,408 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import pool from '../db.js';
+import { isPublicRequestUrl, publicLookup } from './network.js';
+
+/**
+ * Outbound webhooks
+ *
+ * Each campaign can have webhook endpoints that receive video lifecycle
+ * events as JSON POSTs:
+ *   video.completed         - a lead's video finished rendering
+ *   video.failed            - a lead's video failed for good (no retries left)
+ *   video.viewed            - a lead opened their landing page
+ *   cta.clicked             - a lead clicked the landing page button
+ *   campaign.batch_finished - the campaign's render queue is empty again
+ *
+ * Every event is stored as a delivery (the delivery log) and sent in the
+ * background. Failed deliveries are retried with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS is reached.
+ *
+ * Requests are signed with the endpoint's secret:
+ *   X-VSL-Signature: t=<unix timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Endpoints on private or local networks are refused, when the webhook is
+ * saved and again for every request (see network.js).
+ */
+
+export const WEBHOOK_EVENTS = [
+  'video.completed',
+  'video.failed',
+  'video.viewed',
+  'cta.clicked',
+  'campaign.batch_finished'
+];
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const SECRET_PREFIX = 'whsec_';
+
+// Attempts per delivery before it's marked failed
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Backoff between attempts: base * 2^(attempt - 1), capped (default: 30s, 60s, 120s... up to 6 hours)
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// How long an endpoint has to answer
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// How long a claimed delivery is held before another worker may send it
+const CLAIM_SECONDS = 60;
+
+// How often pending deliveries are polled for retries
+const POLL_INTERVAL = 15 * 1000;
+
+// Deliveries sent in parallel
+const BATCH_SIZE = 10;
+
+// How long the delivery log is kept
+export const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+const APP_URL = process.env.APP_URL || 'https://ai-vsl-production.up.railway.app';
+
+let pollTimer = null;
+let delivering = false;
+let kickAgain = false;
+
+export function generateWebhookSecret() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * The X-VSL-Signature header for a request body
+ */
+export function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Queue an event for every active webhook on the campaign that subscribes to it
+ * Returns the number of deliveries queued
+ */
+export async function emitWebhookEvent(campaignId, event, data) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data
+  };
+
+  const result = await pool.query(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload)
+    SELECT id, $2::text, $3 FROM webhooks
+    WHERE campaign_id = $1 AND active = true AND events ? $2::text
+  `, [campaignId, event, payload]);
+
+  if (result.rowCount > 0) {
+    console.log(`🪝 Queued ${result.rowCount} ${event} webhook deliveries for campaign ${campaignId}`);
+    kickWebhookDeliveries();
+  }
+
+  return result.rowCount;
+}
+
+/**
+ * Queue a video event (video.completed, video.failed, video.viewed, cta.clicked)
+ * with the lead's video, lead and campaign details
+ * extra is merged into the event data (e.g. the viewer's user agent)
+ */
+export async function emitVideoEvent(event, leadId, extra = {}) {
+  const { rows } = await pool.query(`
+    SELECT
+      gv.id, gv.unique_slug, gv.status, gv.views, gv.error_code, gv.error_message,
+      gv.video_path, gv.thumbnail_path, gv.expires_at, gv.created_at, gv.updated_at,
+      l.id AS lead_id, l.first_name, l.last_name, l.company_name, l.email, l.phone,
+      l.website_url, l.custom_fields,
+      c.id AS campaign_id, c.name AS campaign_name
+    FROM generated_videos gv
+    JOIN leads l ON l.id = gv.lead_id
+    JOIN campaigns c ON c.id = gv.campaign_id
+    WHERE gv.lead_id = $1
+  `, [leadId]);
+
+  if (rows.length === 0) return 0;
+
+  const video = rows[0];
+  const slug = video.unique_slug;
+
+  return emitWebhookEvent(video.campaign_id, event, {
+    campaign: { id: video.campaign_id, name: video.campaign_name },
+    lead: {
+      id: video.lead_id,
+      first_name: video.first_name,
+      last_name: video.last_name,
+      company_name: video.company_name,
+      email: video.email,
+      phone: video.phone,
+      website_url: video.website_url,
+      custom_fields: video.custom_fields || {}
+    },
+    video: {
+      id: video.id,
+      slug,
+      status: video.status,
+      views: video.views,
+      landing_url: `${APP_URL}/v/${slug}`,
+      video_url: video.video_path ? `${APP_URL}/api/videos/file/${slug}` : null,
+      thumbnail_url: video.thumbnail_path ? `${APP_URL}/api/videos/thumbnail/${slug}` : null,
+      error_code: video.error_code,
+      error_message: video.error_message,
+      expires_at: video.expires_at,
+      created_at: video.created_at,
+      updated_at: video.updated_at
+    },
+    ...extra
+  });
+}
+
+/**
+ * Queue campaign.batch_finished with the campaign's video counts
+ */
+export async function emitBatchFinished(campaignId) {
+  const { rows } = await pool.query(`
+    SELECT
+      c.name,
+      (SELECT COUNT(*) FROM leads WHERE campaign_id = c.id) AS leads,
+      COUNT(gv.id) FILTER (WHERE gv.status = 'completed') AS completed,
+      COUNT(gv.id) FILTER (WHERE gv.status = 'failed') AS failed
+    FROM campaigns c
+    LEFT JOIN generated_videos gv ON gv.campaign_id = c.id
+    WHERE c.id = $1
+    GROUP BY c.id
+  `, [campaignId]);
+
+  if (rows.length === 0) return 0;
+
+  return emitWebhookEvent(campaignId, 'campaign.batch_finished', {
+    campaign: { id: campaignId, name: rows[0].name },
+    counts: {
+      leads: parseInt(rows[0].leads) || 0,
+      completed: parseInt(rows[0].completed) || 0,
+      failed: parseInt(rows[0].failed) || 0
+    }
+  });
+}
+
+/**
+ * Queue a new delivery of an earlier delivery's event (same payload and event id)
+ */
+export async function redeliver(deliveryId) {
+  const { rows } = await pool.query(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload)
+    SELECT webhook_id, event, payload FROM webhook_deliveries WHERE id = $1
+    RETURNING *
+  `, [deliveryId]);
+
+  if (rows.length > 0) kickWebhookDeliveries();
+
+  return rows[0] || null;
+}
+
+/**
+ * Seconds to wait before the next attempt
+ */
+export function getRetryDelaySeconds(attempt) {
+  return Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempt - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Claim due deliveries by pushing their next attempt out, so other
+ * workers skip them while they're being sent
+ */
+async function claimDeliveries() {
+  const { rows } = await pool.query(`
+    UPDATE webhook_deliveries d
+    SET next_attempt_at = NOW() + make_interval(secs => $2)
+    FROM webhooks w
+    WHERE w.id = d.webhook_id
+      AND d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+    RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret
+  `, [BATCH_SIZE, CLAIM_SECONDS]);
+
+  return rows;
+}
+
+/**
+ * POST a body to an endpoint, without following redirects
+ * Only public addresses are connected to
+ * Resolves with the response's status code
+ */
+function post(endpoint, headers, body) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(endpoint);
+    if (!isPublicRequestUrl(url)) {
+      return reject(new Error('Endpoint is a private or local network address'));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup
+    }, (response) => {
+      clearTimeout(timer);
+      response.destroy();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${REQUEST_TIMEOUT / 1000}s`));
+    }, REQUEST_TIMEOUT);
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * POST one delivery and record the outcome
+ */
+async function sendDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = delivery.attempts + 1;
+
+  let statusCode = null;
+  let error = null;
+
+  try {
+    statusCode = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'VSL-Webhooks/1.0',
+      'X-VSL-Event': delivery.event,
+      'X-VSL-Delivery': delivery.id,
+      'X-VSL-Signature': signPayload(delivery.secret, timestamp, body)
+    }, body);
+
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Endpoint answered HTTP ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = $2, last_status_code = $3, last_error = NULL,
+          delivered_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [delivery.id, attempt, statusCode]);
+    return;
+  }
+
+  const giveUp = attempt >= MAX_ATTEMPTS;
+  const delaySeconds = getRetryDelaySeconds(attempt);
+
+  await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+        next_attempt_at = NOW() + make_interval(secs => $6)
+    WHERE id = $1
+  `, [delivery.id, giveUp ? 'failed' : 'pending', attempt, statusCode, error, delaySeconds]);
+
+  if (giveUp) {
+    console.log(`⛔ Webhook delivery ${delivery.id} (${delivery.event}) failed after ${attempt} attempts: ${error}`);
+  } else {
+    console.log(`🔁 Webhook delivery ${delivery.id} (${delivery.event}) retrying in ${delaySeconds}s: ${error}`);
+  }
+}
+
+/**
+ * Send due deliveries until none are left
+ */
+async function runDeliveries() {
+  delivering = true;
+
+  try {
+    do {
+      kickAgain = false;
+      let deliveries;
+      while ((deliveries = await claimDeliveries()).length > 0) {
+        await Promise.all(deliveries.map(delivery => sendDelivery(delivery).catch(error => {
+          console.error(`❌ Webhook delivery ${delivery.id} crashed:`, error.message);
+        })));
+      }
+    } while (kickAgain);
+  } catch (error) {
+    console.error('Webhook delivery error:', error);
+  } finally {
+    delivering = false;
+  }
+}
+
+/**
+ * Send due deliveries in the background (no-op while already sending)
+ */
+export function kickWebhookDeliveries() {
+  if (delivering) {
+    kickAgain = true;
+    return;
+  }
+  runDeliveries();
+}
+
+/**
+ * Start the webhook delivery worker
+ * Sends deliveries left over from a previous run, then polls for retries
+ */
+export function startWebhookDeliveries() {
+  console.log(`🪝 Starting webhook deliveries (max attempts: ${MAX_ATTEMPTS}, retry backoff from ${RETRY_BASE_SECONDS}s)`);
+
+  kickWebhookDeliveries();
+
+  pollTimer = setInterval(kickWebhookDeliveries, POLL_INTERVAL);
+
+  return pollTimer;
+}
+
+/**
+ * Stop polling for deliveries
+ */
+export function stopWebhookDeliveries() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('🪝 Webhook deliveries stopped');
+  }
+}
+
+/**
+ * Delete delivery log entries older than DELIVERY_RETENTION_DAYS
+ */
+export async function deleteOldDeliveries() {
+  const result = await pool.query(`
+    DELETE FROM webhook_deliveries
+    WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)
+  `, [DELIVERY_RETENTION_DAYS]);
+  return result.rowCount;
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  DELIVERY_RETENTION_DAYS,
+  generateWebhookSecret,
+  signPayload,
+  emitWebhookEvent,
+  emitVideoEvent,
+  emitBatchFinished,
+  redeliver,
+  getRetryDelaySeconds,
+  kickWebhookDeliveries,
+  startWebhookDeliveries,
+  stopWebhookDeliveries,
+  deleteOldDeliveries,
+};
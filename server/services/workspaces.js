@@ -0,0 +1,125 @@
+import pool from '../db.js';
+import { UUID_PATTERN } from './validation.js';
+
+/**
+ * Workspaces
+ *
+ * Campaigns (and their leads, imports and videos) belong to a workspace, and
+ * users reach them through a membership with a role:
+ *   owner  - everything, plus renaming the workspace and managing members
+ *   editor - create, change and delete campaigns, leads and videos
+ *   viewer - read-only
+ *
+ * Each request works in one workspace, picked with the X-Workspace-Id header
+ * (the user's first workspace when it's missing). Requests made with an API
+ * key always work in the key's workspace, with the key's role.
+ */
+
+// Lowest to highest
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Whether a role includes the permissions of `minRole`
+ */
+export function hasRole(role, minRole) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+}
+
+/**
+ * Create a workspace with `ownerId` as its owner
+ */
+export async function createWorkspace(name, ownerId) {
+  const { rows: [workspace] } = await pool.query(
+    'INSERT INTO workspaces (name) VALUES ($1) RETURNING id, name, created_at',
+    [name]
+  );
+
+  await pool.query(
+    "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+    [workspace.id, ownerId]
+  );
+
+  return { ...workspace, role: 'owner' };
+}
+
+export async function hasPendingInvite(email) {
+  const { rows } = await pool.query('SELECT 1 FROM workspace_invites WHERE email = $1 LIMIT 1', [email]);
+  return rows.length > 0;
+}
+
+/**
+ * Turn a new user's pending invites into memberships
+ * Returns the number of workspaces joined
+ */
+export async function acceptInvites(user) {
+  const result = await pool.query(`
+    INSERT INTO workspace_members (workspace_id, user_id, role)
+    SELECT workspace_id, $1, role FROM workspace_invites WHERE email = $2
+    ON CONFLICT (workspace_id, user_id) DO NOTHING
+  `, [user.id, user.email]);
+
+  await pool.query('DELETE FROM workspace_invites WHERE email = $1', [user.email]);
+
+  return result.rowCount;
+}
+
+/**
+ * Middleware: pick the workspace for this request (behind requireAuth or requireUserOrApiKey)
+ * Sets req.workspace ({ id, name, role }); viewers can only make GET requests
+ */
+export async function requireWorkspace(req, res, next) {
+  try {
+    const workspaceId = req.headers['x-workspace-id'] || null;
+
+    if (req.apiKey) {
+      if (workspaceId && workspaceId !== req.apiKey.workspace_id) {
+        return res.status(403).json({ success: false, error: 'This API key belongs to another workspace' });
+      }
+      return enterWorkspace(req, res, next, {
+        id: req.apiKey.workspace_id,
+        name: req.apiKey.workspace_name,
+        role: req.apiKey.role
+      });
+    }
+
+    const { rows } = workspaceId && !UUID_PATTERN.test(workspaceId) ? { rows: [] } : await pool.query(`
+      SELECT w.id, w.name, m.role
+      FROM workspace_members m
+      JOIN workspaces w ON w.id = m.workspace_id
+      WHERE m.user_id = $1 AND ($2::uuid IS NULL OR w.id = $2)
+      ORDER BY m.created_at
+      LIMIT 1
+    `, [req.user.id, workspaceId]);
+
+    if (rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: workspaceId ? 'You are not a member of this workspace' : 'You are not a member of any workspace'
+      });
+    }
+
+    enterWorkspace(req, res, next, rows[0]);
+  } catch (error) {
+    console.error('Workspace error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+function enterWorkspace(req, res, next, workspace) {
+  req.workspace = workspace;
+
+  if (!['GET', 'HEAD'].includes(req.method) && !hasRole(workspace.role, 'editor')) {
+    return res.status(403).json({ success: false, error: 'Viewers can\'t make changes in this workspace' });
+  }
+
+  next();
+}
+
+export default {
+  WORKSPACE_ROLES,
+  hasRole,
+  createWorkspace,
+  hasPendingInvite,
+  acceptInvites,
+  requireWorkspace,
+};
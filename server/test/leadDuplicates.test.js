@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDuplicateIndex } from '../services/leadDuplicates.js';
+
+const existing = [
+  { id: 'a', email: 'Bo@Acme.com', website_url: 'https://www.acme.com' },
+  { id: 'b', email: null, website_url: 'https://globex.com/about' },
+  { id: 'c', email: 'sam@initech.com', website_url: 'https://initech.com' }
+];
+
+describe('createDuplicateIndex', () => {
+  it('matches the same email, ignoring case and spaces', () => {
+    const index = createDuplicateIndex(existing);
+    const match = index.find({ email: ' bo@acme.COM ', website_url: 'https://other.com' });
+    assert.equal(match.lead.id, 'a');
+    assert.equal(match.matchedBy, 'email');
+  });
+
+  it('matches the same domain, ignoring www. and the path', () => {
+    const index = createDuplicateIndex(existing);
+    assert.deepEqual(index.find({ email: null, website_url: 'https://acme.com/pricing' }), { lead: existing[0], matchedBy: 'domain' });
+    assert.equal(index.find({ email: '', website_url: 'https://www.globex.com' }).lead.id, 'b');
+  });
+
+  it('matches a domain when only one of the leads has an email', () => {
+    const index = createDuplicateIndex(existing);
+    assert.equal(index.find({ email: 'new@globex.com', website_url: 'https://globex.com' }).lead.id, 'b');
+    assert.equal(index.find({ email: null, website_url: 'https://initech.com' }).lead.id, 'c');
+  });
+
+  it('keeps another contact at the same company apart', () => {
+    const index = createDuplicateIndex(existing);
+    assert.equal(index.find({ email: 'jo@initech.com', website_url: 'https://initech.com' }), null);
+  });
+
+  it('does not match subdomains or different domains', () => {
+    const index = createDuplicateIndex(existing);
+    assert.equal(index.find({ email: null, website_url: 'https://shop.acme.com' }), null);
+    assert.equal(index.find({ email: null, website_url: 'https://acme.co' }), null);
+  });
+
+  it('does not match leads without an email or a usable URL', () => {
+    const index = createDuplicateIndex([{ id: 'x', email: '', website_url: 'not a url' }]);
+    assert.equal(index.find({ email: '', website_url: 'not a url' }), null);
+  });
+
+  it('matches rows added after the index was built', () => {
+    const index = createDuplicateIndex();
+    assert.equal(index.find({ email: 'bo@acme.com', website_url: 'https://acme.com' }), null);
+
+    index.add({ id: 'new', email: 'bo@acme.com', website_url: 'https://acme.com' });
+    assert.equal(index.find({ email: 'BO@acme.com', website_url: 'https://x.com' }).lead.id, 'new');
+    assert.equal(index.find({ email: null, website_url: 'https://www.acme.com' }).lead.id, 'new');
+  });
+
+  it('indexes the new email and domain of a lead added again after an update', () => {
+    const lead = { id: 'u', email: null, website_url: 'https://umbrella.com' };
+    const index = createDuplicateIndex([lead]);
+
+    lead.email = 'al@umbrella.com';
+    lead.website_url = 'https://umbrella-corp.com';
+    index.add(lead);
+    index.add(lead);
+
+    assert.equal(index.find({ email: 'AL@umbrella.com', website_url: 'https://x.com' }).lead.id, 'u');
+    assert.equal(index.find({ email: null, website_url: 'https://umbrella-corp.com' }).lead.id, 'u');
+    assert.equal(index.find({ email: null, website_url: 'https://umbrella.com' }).lead.id, 'u');
+  });
+
+  it('prefers an email match over a domain match', () => {
+    const index = createDuplicateIndex(existing);
+    const match = index.find({ email: 'sam@initech.com', website_url: 'https://acme.com' });
+    assert.deepEqual(match, { lead: existing[2], matchedBy: 'email' });
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimit } from '../services/rateLimit.js';
+
+describe('createRateLimit', () => {
+  it('allows up to the limit per key, then refuses', () => {
+    const hit = createRateLimit({ limit: 3, windowMs: 60000 });
+    assert.deepEqual([hit('a'), hit('a'), hit('a'), hit('a')], [true, true, true, false]);
+    assert.equal(hit('b'), true);
+  });
+
+  it('starts counting again once the window has passed', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    try {
+      const hit = createRateLimit({ limit: 1, windowMs: 1000 });
+      assert.equal(hit('a'), true);
+      assert.equal(hit('a'), false);
+
+      mock.timers.tick(999);
+      assert.equal(hit('a'), false);
+
+      mock.timers.tick(1);
+      assert.equal(hit('a'), true);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyRenderError } from '../services/renderErrors.js';
+
+describe('classifyRenderError', () => {
+  const cases = [
+    ['Cannot navigate to invalid URL', 'INVALID_URL', false],
+    ['Failed to capture website: HTTP 404 Not Found', 'SITE_NOT_FOUND', false],
+    ['Failed to capture website: HTTP 410', 'SITE_NOT_FOUND', false],
+    ['Failed to capture website: HTTP 403 Forbidden', 'SITE_BLOCKED', false],
+    ['net::ERR_BLOCKED_BY_CLIENT at https://acme.com', 'SITE_BLOCKED', false],
+    ['net::ERR_CERT_DATE_INVALID at https://acme.com', 'SSL_ERROR', false],
+    ['Lead or campaign no longer exists', 'MISSING_SOURCE', false],
+    ['ENOENT: no such file or directory, open \'/data/uploads/intro.mp4\'', 'MISSING_SOURCE', false],
+    ['Navigation timeout of 30000 ms exceeded', 'NAVIGATION_TIMEOUT', true],
+    ['net::ERR_NAME_NOT_RESOLVED at https://acme.com', 'DNS_FAILURE', true],
+    ['getaddrinfo EAI_AGAIN acme.com', 'DNS_FAILURE', true],
+    ['net::ERR_CONNECTION_RESET at https://acme.com', 'CONNECTION_FAILED', true],
+    ['Failed to capture website: HTTP 503', 'SITE_ERROR', true],
+    ['Failed to capture website: HTTP 429', 'SITE_ERROR', true],
+    ['ffmpeg was killed with signal SIGKILL', 'FFMPEG_KILLED', true],
+    ['Protocol error (Page.captureScreenshot): Target closed', 'BROWSER_CRASHED', true],
+    ['ffmpeg exited with code 1: Invalid data found when processing input', 'FFMPEG_ERROR', false]
+  ];
+
+  for (const [message, code, retryable] of cases) {
+    it(`classifies "${message}" as ${code}`, () => {
+      assert.deepEqual(classifyRenderError(message), { code, retryable, message });
+    });
+  }
+
+  it('uses the first matching rule', () => {
+    // A 404 page that also timed out is still a dead page
+    assert.equal(classifyRenderError('HTTP 404 after Navigation timeout').code, 'SITE_NOT_FOUND');
+  });
+
+  it('does not treat other status codes or longer numbers as matches', () => {
+    assert.equal(classifyRenderError('HTTP 4040').code, 'UNKNOWN');
+    assert.equal(classifyRenderError('HTTP 302 Found').code, 'UNKNOWN');
+  });
+
+  it('reads the message and code of an Error', () => {
+    const error = Object.assign(new Error('getaddrinfo failed'), { code: 'ENOTFOUND' });
+    assert.deepEqual(classifyRenderError(error), {
+      code: 'DNS_FAILURE',
+      retryable: true,
+      message: 'getaddrinfo failed'
+    });
+  });
+
+  it('retries unknown failures', () => {
+    assert.deepEqual(classifyRenderError('Something odd happened'), {
+      code: 'UNKNOWN',
+      retryable: true,
+      message: 'Something odd happened'
+    });
+  });
+
+  it('handles a missing error', () => {
+    assert.deepEqual(classifyRenderError(undefined), {
+      code: 'UNKNOWN',
+      retryable: true,
+      message: 'Unknown error'
+    });
+  });
+});
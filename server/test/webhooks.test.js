@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signPayload, generateWebhookSecret, getRetryDelaySeconds } from '../services/webhooks.js';
+import { isPrivateAddress } from '../services/network.js';
+
+describe('signPayload', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt_1', event: 'video.completed', data: { lead: { first_name: 'Bo' } } });
+
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+    assert.equal(signPayload(secret, 1700000000, body), `t=1700000000,v1=${expected}`);
+  });
+
+  it('matches a known signature', () => {
+    assert.equal(signPayload('secret', 1, '{}'), 't=1,v1=1122767b193110cfec322b6f199b599edbf608ed087f2d27afb0b97d99523908');
+  });
+
+  it('verifies the way the README tells receivers to', () => {
+    const header = signPayload(secret, 1700000000, body);
+    const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+    assert.ok(crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected)));
+  });
+
+  it('changes with the secret, the timestamp and the body', () => {
+    const signature = signPayload(secret, 1700000000, body);
+    assert.notEqual(signPayload('whsec_other', 1700000000, body), signature);
+    assert.notEqual(signPayload(secret, 1700000001, body), signature);
+    assert.notEqual(signPayload(secret, 1700000000, body.replace('Bo', 'Jo')), signature);
+  });
+});
+
+describe('generateWebhookSecret', () => {
+  it('returns a new whsec_ secret each time', () => {
+    const secret = generateWebhookSecret();
+    assert.match(secret, /^whsec_[A-Za-z0-9_-]{32}$/);
+    assert.notEqual(generateWebhookSecret(), secret);
+  });
+});
+
+describe('getRetryDelaySeconds', () => {
+  it('doubles from 30 seconds up to 6 hours', () => {
+    assert.deepEqual([1, 2, 3, 4].map(getRetryDelaySeconds), [30, 60, 120, 240]);
+    assert.equal(getRetryDelaySeconds(20), 6 * 60 * 60);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('refuses loopback, private, link-local and reserved addresses', () => {
+    for (const address of [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+    ]) {
+      assert.equal(isPrivateAddress(address), true, `${address} should be private`);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '203.0.113.5', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isPrivateAddress(address), false, `${address} should be public`);
+    }
+  });
+
+  it('treats anything that is not an IP address as private', () => {
+    assert.equal(isPrivateAddress('localhost'), true);
+    assert.equal(isPrivateAddress(''), true);
+  });
+});